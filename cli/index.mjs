@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+// Entry point for `npm run compare`: registers the module hooks before loading the runner,
+// so the runner can import the same comparison core as the UI.
+
+import { register } from 'node:module';
+
+register('./resolveHooks.mjs', import.meta.url);
+
+const { main } = await import('./run.mjs');
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,23 @@
+// Module hooks that let Node load the app's service modules as they are written for the CRA bundler:
+// extensionless relative imports ("./sdnComparison") and ES module syntax in plain .js files.
+
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const SRC_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../src');
+
+const isInSrc = (url) => url.startsWith('file:') && fileURLToPath(url).startsWith(SRC_DIR);
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith('.') && !path.extname(specifier) && context.parentURL && isInSrc(context.parentURL)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (isInSrc(url) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,261 @@
+// Headless comparison run for CI: reads an input workbook, calls every configured matcher version with the
+// matchingRequestDto payload, writes the combined and "Only in" Excel reports, and checks the thresholds.
+//
+// Exit codes: 0 when every threshold holds, 1 when a threshold is exceeded, 2 when the run itself fails.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { performance } from 'node:perf_hooks';
+import axios from 'axios';
+import * as XLSX from 'xlsx';
+import { createMatcher, runComparison } from '../src/services/comparisonCore.js';
+import { DEFAULT_REQUEST_POLICY } from '../src/services/requestPolicy.js';
+import { buildDiffColumns, getComparisonPairs, hasDifferences } from '../src/services/sdnComparison.js';
+import { FALLBACK_ENCODING, parseInputBuffer } from '../src/services/inputParser.js';
+import { getDefaultSelection, sliceSheetRows } from '../src/services/sheetSelection.js';
+import { extractRecords, guessMapping } from '../src/services/columnMapping.js';
+import { describeProfile } from '../src/services/environmentProfiles.js';
+import { DEFAULT_MATCH_IDENTITY, describeIdentity, sanitizeIdentity } from '../src/services/matchIdentity.js';
+import { checkThresholds, summarizeRun } from '../src/services/ciThresholds.js';
+import {
+  createArchive,
+  createRecordingPost,
+  createReplayPost,
+  parseArchive,
+  serializeArchive
+} from '../src/services/responseArchive.js';
+import {
+  buildOnlyInWorkbook,
+  buildScreeningResultRows,
+  buildScreeningWorkbook,
+  getOnlyInFileName,
+  getScreeningFileName,
+  WRITE_OPTIONS
+} from '../src/services/excelReports.js';
+
+const EXIT_OK = 0;
+const EXIT_THRESHOLDS = 1;
+const EXIT_FAILED = 2;
+
+const USAGE = `Usage: npm run compare -- --config <config.json> --input <names.xlsx> [--out <dir>] [--sheet <name>] [--record <archive.json>]
+       npm run compare -- --replay <archive.json> [--config <config.json>] [--out <dir>]
+
+  --config  JSON run configuration: profile, versions, pairs, concurrency, batchSize,
+            parallel, requestPolicy, comparedFields, matchIdentity and thresholds
+  --input   Workbook, CSV, TSV or JSON file in the same format the UI accepts
+  --out     Directory for the reports (default: current directory)
+  --sheet   Workbook sheet to read (default: first sheet)
+  --record  Also write every request, response, status and timing to a response archive
+  --replay  Re-run a response archive without any network; the versions, pairs, names and
+            batch settings come from the archive, comparison settings and thresholds from --config
+
+Authentication: NAMECHECK_TOKEN, or NAMECHECK_CLIENT_SECRET for a client-credentials grant
+against the profile's Keycloak realm (client ID from the profile or NAMECHECK_CLIENT_ID).`;
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (arg.startsWith('--')) {
+      const value = argv[i + 1];
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      args[arg.slice(2)] = value;
+      i++;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  return args;
+};
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+// Versions as { key, label, path }, and the compared pairs ("all" by default, or a pair key such as "v1_2|v2")
+const resolveRunConfig = (config) => {
+  const versions = (config.versions || config.profile?.endpoints || []).map(({ key, label, path: endpointPath }) => ({
+    key,
+    label: label || key,
+    path: endpointPath
+  }));
+  if (versions.length < 2 || versions.some(version => !version.key || !version.path)) {
+    throw new Error('Configure at least two versions, each with a key and path');
+  }
+
+  return { versions, pairs: getComparisonPairs(versions.map(version => version.key), config.pairs) };
+};
+
+const readRecords = (inputFile, sheetName) => {
+  const { sheets, encoding } = parseInputBuffer(fs.readFileSync(inputFile), path.basename(inputFile));
+  if (encoding === FALLBACK_ENCODING) {
+    console.error(`${inputFile} is not valid UTF-8; decoded it as ${FALLBACK_ENCODING}`);
+  }
+  const sheet = sheetName ? sheets.find(item => item.name === sheetName) : sheets[0];
+  if (!sheet) {
+    throw new Error(`Sheet "${sheetName}" not found in ${inputFile}`);
+  }
+  const rows = sliceSheetRows(sheet, getDefaultSelection(sheet));
+  return extractRecords(rows, guessMapping(rows[0]));
+};
+
+const getAccessToken = async (profile) => {
+  if (process.env.NAMECHECK_TOKEN) {
+    return process.env.NAMECHECK_TOKEN;
+  }
+  if (!process.env.NAMECHECK_CLIENT_SECRET) {
+    throw new Error('Set NAMECHECK_TOKEN or NAMECHECK_CLIENT_SECRET');
+  }
+  const response = await axios.post(
+    `${profile.keycloakUrl}/realms/${profile.realm}/protocol/openid-connect/token`,
+    new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: process.env.NAMECHECK_CLIENT_ID || profile.clientId,
+      client_secret: process.env.NAMECHECK_CLIENT_SECRET
+    })
+  );
+  return response.data.access_token;
+};
+
+// `post` for the comparison core: times only the HTTP call, like the UI's axios interceptors
+const createPost = (profile, token) => {
+  const api = axios.create({
+    baseURL: profile.apiBaseUrl,
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  return async (endpoint, payload, config) => {
+    const startTime = performance.now();
+    const response = await api.post(endpoint.path, payload, config);
+    return { data: response.data, duration: performance.now() - startTime };
+  };
+};
+
+const writeReports = (results, { outDir, meta, versions, diffColumns }) => {
+  fs.mkdirSync(outDir, { recursive: true });
+  const options = { meta, versions, diffColumns };
+
+  const rows = results.flatMap(result => buildScreeningResultRows(result, options));
+  const screeningFile = path.join(outDir, getScreeningFileName());
+  XLSX.writeFile(buildScreeningWorkbook(rows, results, options), screeningFile, WRITE_OPTIONS);
+
+  const onlyInFile = path.join(outDir, getOnlyInFileName(versions));
+  const onlyInResults = results.filter(result => hasDifferences(result._sdnComparison));
+  XLSX.writeFile(buildOnlyInWorkbook(onlyInResults, options), onlyInFile, WRITE_OPTIONS);
+
+  return [screeningFile, onlyInFile];
+};
+
+// Live run over the input file, recording into an archive when --record is given
+const prepareLiveRun = async (args, config) => {
+  const profile = { name: 'CLI', ...config.profile };
+  const { versions, pairs } = resolveRunConfig(config);
+  const records = readRecords(args.input, args.sheet);
+  if (records.length === 0) {
+    throw new Error(`No names found in ${args.input}`);
+  }
+
+  const settings = { batchSize: config.batchSize || 1, parallel: Boolean(config.parallel) };
+  const source = path.basename(args.input);
+  const livePost = createPost(profile, await getAccessToken(profile));
+  if (!args.record) {
+    return { profile, versions, pairs, records, settings, source, post: livePost };
+  }
+
+  const archive = createArchive({ source, profile: describeProfile(profile), versions, pairs, records, settings });
+  return { profile, versions, pairs, records, settings, source, post: createRecordingPost(livePost, archive), archive };
+};
+
+// Offline run answering every call from the archive; its batch settings reproduce the recorded payloads
+const prepareReplay = (args) => {
+  const archive = parseArchive(fs.readFileSync(args.replay, 'utf8'));
+  return {
+    profile: archive.profile,
+    versions: archive.versions,
+    pairs: archive.pairs,
+    records: archive.records,
+    settings: archive.settings,
+    source: `${archive.source} (replay)`,
+    post: createReplayPost(archive)
+  };
+};
+
+export const main = async (argv) => {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_FAILED;
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+  if (args.replay ? args.input || args.record : !args.config || !args.input) {
+    console.error(USAGE);
+    return EXIT_FAILED;
+  }
+
+  try {
+    const config = args.config ? readJson(args.config) : {};
+    const identity = config.matchIdentity ? sanitizeIdentity(config.matchIdentity) : DEFAULT_MATCH_IDENTITY;
+    const run = args.replay ? prepareReplay(args) : await prepareLiveRun(args, config);
+    const { profile, versions, pairs, records, settings } = run;
+
+    const policy = { ...DEFAULT_REQUEST_POLICY, ...config.requestPolicy };
+    const matcher = createMatcher({ post: run.post, getPolicy: () => policy });
+
+    console.log(`Comparing ${records.length} names across ${versions.map(version => version.label).join(', ')}, matching hits by ${describeIdentity(identity)}`);
+    let done = 0;
+    const { entries } = await runComparison(records.map((record, i) => ({ record, i })), {
+      matcher,
+      endpoints: versions,
+      pairs,
+      fields: config.comparedFields,
+      identity,
+      concurrency: config.concurrency || 5,
+      batchSize: settings.batchSize,
+      parallel: settings.parallel,
+      onEntries: (settled) => {
+        done += settled.length;
+        // Progress on one rewritten line in a terminal; CI logs just get the summary
+        if (process.stdout.isTTY) process.stdout.write(`\r${done} of ${records.length} names processed`);
+      }
+    });
+    if (process.stdout.isTTY) process.stdout.write('\n');
+
+    if (run.archive) {
+      fs.writeFileSync(args.record, serializeArchive(run.archive));
+      console.log(`Recorded ${run.archive.exchanges.length} matcher calls to ${args.record}`);
+    }
+
+    const diffColumns = buildDiffColumns(versions, pairs);
+    const meta = {
+      fileName: run.source,
+      profile: describeProfile(profile),
+      matchIdentity: describeIdentity(identity)
+    };
+    const files = writeReports(entries, { outDir: args.out || '.', meta, versions, diffColumns });
+    files.forEach(file => console.log(`Wrote ${file}`));
+
+    const summary = summarizeRun(entries);
+    console.log(`${summary.completed} completed, ${summary.divergent} divergent, ${summary.errors} failed`);
+
+    const violations = checkThresholds(entries, config.thresholds, { versions });
+    if (violations.length > 0) {
+      violations.forEach(violation => console.error(`Threshold exceeded: ${violation.message}`));
+      return EXIT_THRESHOLDS;
+    }
+    return EXIT_OK;
+  } catch (error) {
+    console.error(`Comparison run failed: ${error.message}`);
+    return EXIT_FAILED;
+  }
+};
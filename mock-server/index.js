@@ -0,0 +1,236 @@
+// Local mock of the matching service and its Keycloak realm, for development and tests without the real
+// backend. Serves the matcher endpoints (POST /namecheck/rule-matching/:version) from a fixture list and
+// the OpenID Connect endpoints under /realms/:realm/protocol/openid-connect/.
+//
+//   node mock-server/index.js [--port 4010] [--fixtures mock-server/fixtures.json]
+//
+// The same server mounts into the CRA dev server through src/setupProxy.js (MOCK_MATCHER=true), and tests
+// can call `post` directly as the comparison core's transport.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { planResponse } = require('./matching');
+const { createKeycloak } = require('./keycloak');
+
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, 'fixtures.json');
+const MATCHER_PATH = /^\/namecheck\/rule-matching\/([^/?]+)\/?$/;
+const OPENID_PATH = /^\/realms\/([^/]+)\/protocol\/openid-connect\/(auth|token|logout)\/?$/;
+
+const loadFixtures = (fixturesPath = DEFAULT_FIXTURES_PATH) => JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+
+// Shaped like axios' cancellation, which the comparison core treats as a user cancel
+const canceledError = () => {
+  const error = new Error('canceled');
+  error.code = 'ERR_CANCELED';
+  return error;
+};
+
+// Resolves after `ms`, or rejects as soon as `signal` aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(canceledError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(canceledError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  // Express body parsers may already have consumed the stream
+  if (req.body !== undefined) {
+    resolve(typeof req.body === 'string' ? req.body : JSON.stringify(req.body));
+    return;
+  }
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+const send = (res, status, body, headers = {}) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    ...headers
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+// Options:
+//   fixtures      fixture object (see fixtures.json); defaults to reading `fixturesPath`
+//   fixturesPath  fixture file, re-read on every request so edits apply without a restart
+//   random        random source for latency and error rates, for deterministic tests
+//   latency       false to answer immediately regardless of the fixture latencies
+//   requireAuth   false to accept matcher calls without a bearer token
+//   user          claims of the user signed in through the login page
+const createMockServer = ({
+  fixtures,
+  fixturesPath = DEFAULT_FIXTURES_PATH,
+  random = Math.random,
+  latency = true,
+  requireAuth = true,
+  user
+} = {}) => {
+  const keycloak = createKeycloak({ user });
+  const getFixtures = () => fixtures || loadFixtures(fixturesPath);
+
+  // { status, body, headers } for a matcher call, after the scripted latency (cut short by `signal`)
+  const match = async (version, payload, authorization, signal) => {
+    if (requireAuth && !keycloak.isAuthorized(authorization)) {
+      return { status: 401, body: { error: 'Missing or expired bearer token' }, headers: {} };
+    }
+    const plan = planResponse(getFixtures(), version, payload, random);
+    if (latency && plan.latencyMs > 0) {
+      await sleep(plan.latencyMs, signal);
+    }
+    return plan;
+  };
+
+  const handleOpenId = async (req, res, realm, action, url) => {
+    if (action === 'auth') {
+      if (!url.searchParams.get('redirect_uri')) {
+        send(res, 400, { error: 'invalid_request', error_description: 'redirect_uri is required' });
+        return;
+      }
+      res.writeHead(302, { Location: keycloak.authorize(realm, url.searchParams) });
+      res.end();
+      return;
+    }
+    if (action === 'logout') {
+      const target = url.searchParams.get('post_logout_redirect_uri');
+      if (target) {
+        res.writeHead(302, { Location: target });
+        res.end();
+      } else {
+        send(res, 204);
+      }
+      return;
+    }
+    if (req.method !== 'POST') {
+      send(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    const { status, body } = keycloak.token(realm, new URLSearchParams(await readBody(req)));
+    send(res, status, body);
+  };
+
+  // Connect/Express-style handler; requests for other paths go to `next`, or get a 404 standalone
+  const middleware = async (req, res, next) => {
+    const url = new URL(req.originalUrl || req.url, 'http://mock.local');
+    const matcherPath = url.pathname.match(MATCHER_PATH);
+    const openIdPath = url.pathname.match(OPENID_PATH);
+    if (!matcherPath && !openIdPath) {
+      if (next) next();
+      else send(res, 404, { error: `No mock for ${url.pathname}` });
+      return;
+    }
+
+    try {
+      if (req.method === 'OPTIONS') {
+        send(res, 204, undefined, {
+          'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+        });
+        return;
+      }
+      if (openIdPath) {
+        await handleOpenId(req, res, decodeURIComponent(openIdPath[1]), openIdPath[2], url);
+        return;
+      }
+      if (req.method !== 'POST') {
+        send(res, 405, { error: 'Method not allowed' });
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(await readBody(req) || 'null');
+      } catch (error) {
+        send(res, 400, { error: 'Request body is not valid JSON' });
+        return;
+      }
+      const { status, body, headers } = await match(decodeURIComponent(matcherPath[1]), payload, req.headers.authorization);
+      send(res, status, body, headers);
+    } catch (error) {
+      console.error('Mock server error:', error);
+      send(res, 500, { error: error.message });
+    }
+  };
+
+  // In-process transport with the comparison core's `post` contract, so tests run the real matching
+  // pipeline without sockets. Failures are shaped like axios errors for the request policy.
+  const post = async (endpoint, payload, { signal } = {}) => {
+    const version = String(endpoint.path).replace(/\/$/, '').split('/').pop();
+    const startTime = Date.now();
+    const { status, body, headers } = await match(
+      version,
+      payload,
+      `Bearer ${keycloak.issueTokens('mock', 'test', {}).access_token}`,
+      signal
+    );
+    if (signal?.aborted) {
+      throw canceledError();
+    }
+    if (status >= 400) {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = {
+        status,
+        data: body,
+        headers: Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]))
+      };
+      throw error;
+    }
+    return { data: body, duration: Date.now() - startTime, status };
+  };
+
+  // Standalone HTTP server; resolves with the server and its base URL once listening
+  const listen = (port = 0, host = '127.0.0.1') => new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => middleware(req, res));
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({ server, url: `http://${host}:${server.address().port}` });
+    });
+  });
+
+  return { middleware, post, listen, keycloak };
+};
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--port') args.port = Number(argv[++i]);
+    else if (argv[i] === '--fixtures') args.fixturesPath = path.resolve(argv[++i]);
+    else if (argv[i] === '--no-auth') args.requireAuth = false;
+    else if (argv[i] === '--no-latency') args.latency = false;
+    else throw new Error(`Unknown option: ${argv[i]}`);
+  }
+  return args;
+};
+
+if (require.main === module) {
+  try {
+    const { port = Number(process.env.PORT) || 4010, ...options } = parseArgs(process.argv.slice(2));
+    createMockServer(options).listen(port).then(({ url }) => {
+      console.log(`Mock matching server listening on ${url}`);
+      console.log(`  Matcher:  ${url}/namecheck/rule-matching/<version>`);
+      console.log(`  Keycloak: ${url}/realms/<realm>/protocol/openid-connect/`);
+    }, error => {
+      console.error(`Could not start mock server: ${error.message}`);
+      process.exit(2);
+    });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(2);
+  }
+}
+
+module.exports = { createMockServer, loadFixtures, DEFAULT_FIXTURES_PATH };
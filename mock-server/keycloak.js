@@ -0,0 +1,105 @@
+// Minimal stand-in for the Keycloak OpenID Connect endpoints the app and the CLI use: the login redirect
+// (signs in a fixed mock user straight away), the token endpoint and logout. Tokens are unsigned JWTs.
+
+const crypto = require('crypto');
+
+const base64Url = (value) => Buffer.from(value).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const createToken = (claims) => `${base64Url(JSON.stringify({ alg: 'none', typ: 'JWT' }))}.${base64Url(JSON.stringify(claims))}.`;
+
+const decodeToken = (token) => {
+  try {
+    return JSON.parse(Buffer.from(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+const createKeycloak = ({ user = {}, tokenLifetimeSec = 300, refreshLifetimeSec = 1800 } = {}) => {
+  const mockUser = {
+    sub: 'mock-user',
+    preferred_username: 'mock.user',
+    name: 'Mock User',
+    email: 'mock.user@example.com',
+    ...user
+  };
+  // Authorization codes waiting to be exchanged, with their PKCE challenge
+  const codes = new Map();
+
+  const issueTokens = (realm, clientId, subject) => {
+    const now = Math.floor(Date.now() / 1000);
+    const base = { iss: `mock/realms/${realm}`, azp: clientId, iat: now, ...subject };
+    return {
+      access_token: createToken({ ...base, typ: 'Bearer', exp: now + tokenLifetimeSec }),
+      refresh_token: createToken({ ...base, typ: 'Refresh', exp: now + refreshLifetimeSec }),
+      id_token: createToken({ ...base, typ: 'ID', aud: clientId, exp: now + tokenLifetimeSec }),
+      token_type: 'Bearer',
+      expires_in: tokenLifetimeSec,
+      refresh_expires_in: refreshLifetimeSec
+    };
+  };
+
+  // Redirect target with the code and state of a completed login
+  const authorize = (realm, params) => {
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      realm,
+      clientId: params.get('client_id'),
+      redirectUri: params.get('redirect_uri'),
+      challenge: params.get('code_challenge')
+    });
+    const target = new URL(params.get('redirect_uri'));
+    target.searchParams.set('code', code);
+    if (params.get('state')) target.searchParams.set('state', params.get('state'));
+    return target.toString();
+  };
+
+  // { status, body } for a token request; supports the authorization code (with PKCE),
+  // refresh token, client credentials and password grants
+  const token = (realm, params) => {
+    const clientId = params.get('client_id');
+    const invalidGrant = (description) => ({ status: 400, body: { error: 'invalid_grant', error_description: description } });
+
+    switch (params.get('grant_type')) {
+      case 'authorization_code': {
+        const pending = codes.get(params.get('code'));
+        codes.delete(params.get('code'));
+        if (!pending || pending.realm !== realm || pending.redirectUri !== params.get('redirect_uri')) {
+          return invalidGrant('Code not valid');
+        }
+        const verifier = params.get('code_verifier') || '';
+        if (pending.challenge && base64Url(crypto.createHash('sha256').update(verifier).digest()) !== pending.challenge) {
+          return invalidGrant('PKCE verification failed');
+        }
+        return { status: 200, body: issueTokens(realm, clientId, mockUser) };
+      }
+      case 'refresh_token': {
+        const claims = decodeToken(params.get('refresh_token') || '');
+        if (!claims || claims.typ !== 'Refresh' || claims.exp * 1000 < Date.now()) {
+          return invalidGrant('Token is not active');
+        }
+        const { typ, exp, iat, iss, azp, aud, ...subject } = claims;
+        return { status: 200, body: issueTokens(realm, clientId, subject) };
+      }
+      case 'client_credentials':
+        if (!params.get('client_secret')) {
+          return { status: 401, body: { error: 'unauthorized_client', error_description: 'Client secret required' } };
+        }
+        return { status: 200, body: issueTokens(realm, clientId, { sub: `service-account-${clientId}`, preferred_username: `service-account-${clientId}` }) };
+      case 'password':
+        return { status: 200, body: issueTokens(realm, clientId, { ...mockUser, preferred_username: params.get('username') || mockUser.preferred_username }) };
+      default:
+        return { status: 400, body: { error: 'unsupported_grant_type' } };
+    }
+  };
+
+  // Whether an Authorization header carries an unexpired access token issued here
+  const isAuthorized = (header) => {
+    const claims = decodeToken(String(header || '').replace(/^Bearer\s+/i, ''));
+    return Boolean(claims && claims.typ === 'Bearer' && String(claims.iss).startsWith('mock/') && claims.exp * 1000 > Date.now());
+  };
+
+  return { authorize, token, isAuthorized, issueTokens };
+};
+
+module.exports = { createKeycloak, createToken, decodeToken };
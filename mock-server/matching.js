@@ -0,0 +1,102 @@
+// Answers matchingRequestDto payloads from a fixture list of names → SDN hits, with per-version
+// differences, latency and error rates. See fixtures.json for the format.
+
+const normalizeName = (name) => String(name ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+// Fixture entry for a requested name: exact name or alias (ignoring case, accents and punctuation),
+// or a case-insensitive `pattern` matched against the normalized name
+const findFixture = (fixtures, fullName) => {
+  const name = normalizeName(fullName);
+  return (fixtures.names || []).find(entry => (
+    [entry.name, ...(entry.aliases || [])].some(candidate => normalizeName(candidate) === name)
+    || (entry.pattern && new RegExp(entry.pattern, 'i').test(name))
+  )) || null;
+};
+
+// Hits of a fixture entry as returned by `version`: the shared hits with the version's
+// `remove` (SDN IDs), `update` ({ sdnid: fields }) and `add` (hits) applied
+const getVersionHits = (entry, version) => {
+  const changes = entry.versions?.[version] || {};
+  const removed = new Set((changes.remove || []).map(String));
+  return [
+    ...(entry.hits || [])
+      .filter(hit => !removed.has(String(hit.sdnid)))
+      .map(hit => ({ ...hit, ...changes.update?.[hit.sdnid] })),
+    ...(changes.add || [])
+  ];
+};
+
+// Settings for one call, most specific first: the name's version override, the name, the version, the defaults
+const getSetting = (fixtures, entries, version, key) => {
+  for (const entry of entries) {
+    if (entry?.versions?.[version]?.[key] !== undefined) return entry.versions[version][key];
+    if (entry?.[key] !== undefined) return entry[key];
+  }
+  if (fixtures.versions?.[version]?.[key] !== undefined) return fixtures.versions[version][key];
+  return fixtures.defaults?.[key];
+};
+
+const pickLatency = (latency, random) => {
+  if (Array.isArray(latency)) {
+    const [min, max] = latency;
+    return min + (max - min) * random();
+  }
+  return Number(latency) || 0;
+};
+
+const toResponseItem = (hit, requestIndex, request, entry) => ({
+  requestIndex,
+  fullName: request.fullName,
+  score: hit.score ?? null,
+  rule: hit.ruleName ?? null,
+  rulesDetails: {
+    sdnid: String(hit.sdnid),
+    sdnname: hit.sdnname,
+    sanctionReferenceName: hit.sanctionReferenceName ?? '',
+    score: hit.score ?? null,
+    ruleName: hit.ruleName ?? null,
+    matchedName: entry.name
+  }
+});
+
+// Plan for answering a payload on `version`: { status, body, headers, latencyMs }.
+// The slowest matched name sets the latency; a scripted or random error fails the whole call,
+// like a real batch request would.
+const planResponse = (fixtures, version, payload, random = Math.random) => {
+  const requests = Array.isArray(payload?.matchingRequestDto) ? payload.matchingRequestDto : null;
+  if (!requests || requests.length === 0) {
+    return { status: 400, body: { error: 'matchingRequestDto must be a non-empty array' }, headers: {}, latencyMs: 0 };
+  }
+  if (!fixtures.versions?.[version]) {
+    return { status: 404, body: { error: `Unknown matcher version: ${version}` }, headers: {}, latencyMs: 0 };
+  }
+
+  const entries = requests.map(request => findFixture(fixtures, request.fullName));
+  const latencyMs = Math.max(0, ...[...entries, null].map(entry => (
+    pickLatency(getSetting(fixtures, [entry], version, 'latencyMs'), random)
+  )));
+
+  const scriptedError = entries.map(entry => getSetting(fixtures, [entry], version, 'error')).find(Boolean);
+  const errorRate = getSetting(fixtures, [], version, 'errorRate') || 0;
+  if (scriptedError || random() < errorRate) {
+    const status = scriptedError || getSetting(fixtures, [], version, 'errorStatus') || 503;
+    return {
+      status,
+      body: { error: status >= 500 ? 'Matching service unavailable' : 'Request rejected' },
+      headers: status === 503 || status === 429 ? { 'Retry-After': '1' } : {},
+      latencyMs
+    };
+  }
+
+  const responses = requests.flatMap((request, idx) => (
+    entries[idx] ? getVersionHits(entries[idx], version).map(hit => toResponseItem(hit, idx, request, entries[idx])) : []
+  ));
+  return { status: 200, body: { responses }, headers: {}, latencyMs };
+};
+
+module.exports = { normalizeName, findFixture, getVersionHits, planResponse };
@@ -1,61 +1,376 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo, useDeferredValue } from 'react';
 import { 
   Button, 
   CircularProgress, 
   Container, 
   Paper, 
-  Table, 
-  TableBody, 
   TableCell, 
-  TableContainer, 
-  TableHead, 
   TableRow,
   Typography,
   Snackbar,
   Alert,
   Box,
   Tabs,
-  Tab
+  Tab,
+  Checkbox,
+  FormControl,
+  FormControlLabel,
+  FormGroup,
+  InputLabel,
+  MenuItem,
+  Select,
+  TextField,
+  IconButton,
+  Tooltip,
+  Menu
 } from '@mui/material';
 import UploadFileIcon from '@mui/icons-material/UploadFile';
 import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import PauseIcon from '@mui/icons-material/Pause';
+import StopIcon from '@mui/icons-material/Stop';
+import SettingsIcon from '@mui/icons-material/Settings';
+import TuneIcon from '@mui/icons-material/Tune';
+import HistoryIcon from '@mui/icons-material/History';
+import RuleIcon from '@mui/icons-material/Rule';
+import TableChartIcon from '@mui/icons-material/TableChart';
+import DataObjectIcon from '@mui/icons-material/DataObject';
+import ContentPasteIcon from '@mui/icons-material/ContentPaste';
+import ShuffleIcon from '@mui/icons-material/Shuffle';
+import ReplayIcon from '@mui/icons-material/Replay';
+import ArchiveIcon from '@mui/icons-material/Archive';
+import ViewListIcon from '@mui/icons-material/ViewList';
+import LoginIcon from '@mui/icons-material/Login';
+import LogoutIcon from '@mui/icons-material/Logout';
+import DnsIcon from '@mui/icons-material/Dns';
+import FingerprintIcon from '@mui/icons-material/Fingerprint';
 import * as XLSX from 'xlsx';
 import { saveAs } from 'file-saver';
 import apiService from './services/apiService';
+import authService, { isAuthRequired } from './services/authService';
+import endpointRegistry from './services/endpointRegistry';
+import environmentProfiles, { describeProfile } from './services/environmentProfiles';
+import {
+  ALL_PAIRS,
+  buildDiffColumns,
+  describeFieldChanges,
+  getComparisonPairs,
+  hasDifferences,
+  loadComparedFields,
+  recompareResults,
+  saveComparedFields
+} from './services/sdnComparison';
+import { describeIdentity, loadMatchIdentity, saveMatchIdentity } from './services/matchIdentity';
+import runStore, { RUN_STATUS, getResumeState } from './services/runStore';
+import {
+  EXPORT_TYPES,
+  buildCombinedRows,
+  buildHtmlReport,
+  buildJUnitXml,
+  buildJsonExport,
+  toCsv
+} from './services/resultExports';
+import { extractRecords, hasSavedMapping, loadMapping, saveMapping } from './services/columnMapping';
+import { isEvaluated } from './services/goldenEvaluation';
+import { buildVariantRows, isVariantResult } from './services/nameVariants';
+import { createArchive, getArchiveFileName, parseArchive, serializeArchive } from './services/responseArchive';
+import { DEFAULT_RESULT_QUERY, createResultQuery, describeQuery } from './services/resultFilters';
+import { createResultViewCache, estimateCombinedHeight, estimateOnlyInHeight } from './services/resultGrid';
+import { ACCEPTED_EXTENSIONS, FALLBACK_ENCODING, INPUT_FORMATS, parsePastedText, readInputFile } from './services/inputParser';
+import triageStore, { buildTriageRows, findTriage, getHitKey, hasUntriagedSdns, isTriaged } from './services/triageStore';
+import {
+  DEFAULT_CONCURRENCY,
+  MAX_BATCH_SIZE,
+  MAX_CONCURRENCY,
+  createBatchController,
+  createEntryBuffer,
+  mergeInOrder
+} from './services/batchRunner';
+import { runComparison } from './services/comparisonCore';
+import {
+  WRITE_OPTIONS,
+  buildOnlyInWorkbook,
+  buildScreeningResultRows,
+  buildScreeningWorkbook,
+  describeErrorDetails,
+  getOnlyInFileName,
+  getResultStatus,
+  getScreeningFileName
+} from './services/excelReports';
+import EndpointRegistryDialog from './components/EndpointRegistryDialog';
+import ColumnMappingDialog from './components/ColumnMappingDialog';
+import RequestSettingsDialog from './components/RequestSettingsDialog';
+import RecentRunsDialog from './components/RecentRunsDialog';
+import RunDiffPanel from './components/RunDiffPanel';
+import LatencyPanel from './components/LatencyPanel';
+import ComparedFieldsDialog from './components/ComparedFieldsDialog';
+import MatchIdentityDialog from './components/MatchIdentityDialog';
+import EnvironmentProfilesDialog from './components/EnvironmentProfilesDialog';
+import EvaluationPanel from './components/EvaluationPanel';
+import ResponseInspectorDrawer from './components/ResponseInspectorDrawer';
+import PasteNamesDialog from './components/PasteNamesDialog';
+import VariantGeneratorDialog from './components/VariantGeneratorDialog';
+import VariantPanel from './components/VariantPanel';
+import WorkbookLoaderDialog from './components/WorkbookLoaderDialog';
+import TriageControls from './components/TriageControls';
+import VirtualizedTable from './components/VirtualizedTable';
+import ResultFilterBar from './components/ResultFilterBar';
 import { Download } from '@mui/icons-material';
 
 function App() {
   const [file, setFile] = useState(null);
   const [results, setResults] = useState([]);
-  const [onlyInResults, setOnlyInResults] = useState([]);
   const [loading, setLoading] = useState(false);
   const [activeTab, setActiveTab] = useState('combined');
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'info' });
   const [initializing, setInitializing] = useState(true);
+  const [user, setUser] = useState(null);
+  const [activeProfile, setActiveProfile] = useState(() => environmentProfiles.getActiveProfile());
+  const [profilesOpen, setProfilesOpen] = useState(false);
+  const [endpoints, setEndpoints] = useState(() => endpointRegistry.getEndpoints());
+  const [selectedVersions, setSelectedVersions] = useState(() => endpointRegistry.getEndpoints().map(endpoint => endpoint.key));
+  const [pairSelection, setPairSelection] = useState(ALL_PAIRS);
+  const [runConfig, setRunConfig] = useState({ versions: [], pairs: [], profile: null });
+  const [registryOpen, setRegistryOpen] = useState(false);
+  const [sheetData, setSheetData] = useState([]);
+  const [columnMapping, setColumnMapping] = useState(null);
+  const [mappingOpen, setMappingOpen] = useState(false);
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+  const [parallelVersions, setParallelVersions] = useState(false);
+  const [batchSize, setBatchSize] = useState(1);
+  const [recordResponses, setRecordResponses] = useState(false);
+  // Archive written by the last recorded run, offered for download
+  const [recordedArchive, setRecordedArchive] = useState(null);
+  const [paused, setPaused] = useState(false);
+  const [requestSettingsOpen, setRequestSettingsOpen] = useState(false);
+  const [recentRunsOpen, setRecentRunsOpen] = useState(false);
+  // Run being processed right now, and the stored run whose results are on screen (kept after it finishes)
+  const [activeRunId, setActiveRunId] = useState(null);
+  const [currentRunId, setCurrentRunId] = useState(null);
+  const [comparedFields, setComparedFields] = useState(() => loadComparedFields());
+  const [comparedFieldsOpen, setComparedFieldsOpen] = useState(false);
+  const [matchIdentity, setMatchIdentity] = useState(() => loadMatchIdentity());
+  const [matchIdentityOpen, setMatchIdentityOpen] = useState(false);
+  const [inspectedResult, setInspectedResult] = useState(null);
+  const [pasteOpen, setPasteOpen] = useState(false);
+  const [variantsOpen, setVariantsOpen] = useState(false);
+  const [workbookSheets, setWorkbookSheets] = useState([]);
+  // Encoding a CSV/TSV/JSON input was decoded with; null for workbooks and pasted or generated names
+  const [inputEncoding, setInputEncoding] = useState(null);
+  const [loaderOpen, setLoaderOpen] = useState(false);
+  const [exportMenuAnchor, setExportMenuAnchor] = useState(null);
+  const [triage, setTriage] = useState(() => triageStore.getEntries());
+  const [reviewer, setReviewer] = useState(() => triageStore.getReviewer());
+  const [untriagedOnly, setUntriagedOnly] = useState(false);
+  const [resultQuery, setResultQuery] = useState(DEFAULT_RESULT_QUERY);
+  const batchControllerRef = useRef(null);
+
+  // Derived once per change of the results, run or verdicts rather than on every render, so large runs
+  // stay responsive while results stream in
+  const diffColumns = useMemo(
+    () => buildDiffColumns(runConfig.versions, runConfig.pairs),
+    [runConfig.versions, runConfig.pairs]
+  );
+  const getResultView = useMemo(
+    () => createResultViewCache(runConfig.versions, matchIdentity),
+    [runConfig.versions, matchIdentity]
+  );
+  // Search, filters and sort of the results tabs; exports use the same subset. Deferred so typing
+  // in the search fields stays responsive on large runs.
+  const deferredQuery = useDeferredValue(resultQuery);
+  const runResultQuery = useMemo(
+    () => createResultQuery(deferredQuery, { versions: runConfig.versions, diffColumns }),
+    [deferredQuery, runConfig.versions, diffColumns]
+  );
+  const filteredResults = useMemo(() => runResultQuery(results), [runResultQuery, results]);
+  const resultViews = useMemo(() => filteredResults.map(getResultView), [filteredResults, getResultView]);
+  const onlyInResults = useMemo(
+    () => filteredResults.filter(result => hasDifferences(result._sdnComparison)),
+    [filteredResults]
+  );
+  // Verdict checks are cached per result until the verdicts or columns change
+  const isUntriaged = useMemo(() => {
+    const cache = new WeakMap();
+    return (result) => {
+      if (!cache.has(result)) {
+        cache.set(result, hasUntriagedSdns(result, diffColumns, triage));
+      }
+      return cache.get(result);
+    };
+  }, [diffColumns, triage]);
+  const untriagedResults = useMemo(() => onlyInResults.filter(isUntriaged), [onlyInResults, isUntriaged]);
+  // Rows of the "Only in" tab, which its export also writes
+  const shownOnlyInResults = untriagedOnly ? untriagedResults : onlyInResults;
+  const onlyInViews = useMemo(() => shownOnlyInResults.map(getResultView), [shownOnlyInResults, getResultView]);
 
   useEffect(() => {
-    // Initialize by getting the first access token
+    // Finish a login redirect if there is one, then restore the session (renewing it if needed)
     const initializeAuth = async () => {
       try {
-        await apiService.getAccessToken();
-        setInitializing(false);
+        await authService.handleRedirectCallback();
+        await authService.getAccessToken();
+        setUser(authService.getUser());
       } catch (error) {
-        console.error('Authentication failed:', error);
-        showSnackbar('Failed to authenticate with the server', 'error');
+        if (!isAuthRequired(error)) {
+          console.error('Authentication failed:', error);
+          showSnackbar(`Failed to authenticate with the server: ${error.message}`, 'error');
+        }
+      } finally {
         setInitializing(false);
       }
     };
 
     initializeAuth();
+    return authService.subscribe(setUser);
   }, []);
 
-  const handleFileChange = (e) => {
-    setFile(e.target.files[0]);
+  const handleLogin = async () => {
+    try {
+      await authService.login();
+    } catch (error) {
+      console.error('Login failed:', error);
+      showSnackbar(`Login failed: ${error.message}`, 'error');
+    }
+  };
+
+  // Every input source ends up here as sheet-style rows with the header row first
+  const loadInputRows = (data, source) => {
+    const headers = (data[0] || []).map(String);
+    setFile(source);
+    setSheetData(data);
+    setColumnMapping(loadMapping(headers));
+
+    if (hasSavedMapping(headers)) {
+      showSnackbar('Using the saved column mapping for this file layout', 'info');
+    } else {
+      setMappingOpen(true);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const selectedFile = e.target.files[0];
+    // Allow re-selecting the same file to reload it
+    e.target.value = '';
+    if (!selectedFile) return;
+
+    setFile(selectedFile);
+    setSheetData([]);
+    setColumnMapping(null);
+    setInputEncoding(null);
+
+    try {
+      const { format, sheets, encoding } = await readInputFile(selectedFile);
+      setInputEncoding(encoding);
+      if (encoding === FALLBACK_ENCODING) {
+        showSnackbar(`${selectedFile.name} is not valid UTF-8 and was read as ${FALLBACK_ENCODING}. Check accented names.`, 'warning');
+      }
+      if (format === INPUT_FORMATS.WORKBOOK) {
+        // Workbooks go through the loader dialog to pick the sheet, header row and range
+        setWorkbookSheets(sheets);
+        setLoaderOpen(true);
+      } else {
+        setWorkbookSheets([]);
+        loadInputRows(sheets[0].rows, selectedFile);
+      }
+    } catch (error) {
+      console.error('Error reading file:', error);
+      showSnackbar(`Failed to read file: ${error.message}`, 'error');
+    }
+  };
+
+  const handleLoaderConfirm = (data) => {
+    setLoaderOpen(false);
+    loadInputRows(data, file);
+  };
+
+  const handlePasteConfirm = (text) => {
+    const data = parsePastedText(text);
+    if (data.length < 2) {
+      showSnackbar('No names found in the pasted text', 'warning');
+      return;
+    }
+    setPasteOpen(false);
+    setWorkbookSheets([]);
+    setInputEncoding(null);
+    loadInputRows(data, { name: 'Pasted names' });
+  };
+
+  // Records of the loaded input, offered as seeds for the variant generator
+  const loadedRecords = useMemo(
+    () => (variantsOpen && columnMapping ? extractRecords(sheetData, columnMapping) : []),
+    [variantsOpen, sheetData, columnMapping]
+  );
+
+  // Seeds keep the expected hits of the loaded record with the same name, so variants are scored against them
+  const handleVariantsConfirm = (seedNames, options) => {
+    const loaded = new Map(loadedRecords.map(record => [record.fullName.toLowerCase(), record]));
+    const seeds = seedNames.map(name => ({ fullName: name, expectedHits: loaded.get(name.toLowerCase())?.expectedHits }));
+    const data = buildVariantRows(seeds, options);
+    setVariantsOpen(false);
+    setWorkbookSheets([]);
+    setInputEncoding(null);
+    loadInputRows(data, { name: 'Generated variants' });
+    showSnackbar(`Generated ${data.length - 1 - seeds.length} variants of ${seeds.length} seed names`, 'success');
+  };
+
+  const handleMappingConfirm = (mapping) => {
+    saveMapping((sheetData[0] || []).map(String), mapping);
+    setColumnMapping(mapping);
+    setMappingOpen(false);
+  };
+
+  const handleEndpointsChange = (updatedEndpoints) => {
+    setEndpoints(updatedEndpoints);
+    // Drop selections for endpoints that were removed
+    setSelectedVersions(prev => prev.filter(key => updatedEndpoints.some(endpoint => endpoint.key === key)));
+  };
+
+  // Profile edits may change the active profile's endpoints, or make another profile active
+  // (deleting the active one); each profile has its own session
+  const handleProfilesChange = () => {
+    setActiveProfile(environmentProfiles.getActiveProfile());
+    handleEndpointsChange(endpointRegistry.getEndpoints());
+    setUser(authService.getUser());
+  };
+
+  const handleActivateProfile = (id) => {
+    try {
+      const profile = environmentProfiles.setActiveProfile(id);
+      const profileEndpoints = endpointRegistry.getEndpoints();
+      setActiveProfile(profile);
+      setEndpoints(profileEndpoints);
+      setSelectedVersions(profileEndpoints.map(endpoint => endpoint.key));
+      setPairSelection(ALL_PAIRS);
+      // Each profile has its own session; the user may need to sign in again
+      setUser(authService.getUser());
+      setProfilesOpen(false);
+      showSnackbar(`Switched to the "${profile.name}" profile`, 'info');
+    } catch (error) {
+      console.error('Error switching profile:', error);
+      showSnackbar(`Failed to switch profile: ${error.message}`, 'error');
+    }
+  };
+
+  const handleVersionToggle = (key) => {
+    setSelectedVersions(prev => (
+      prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]
+    ));
   };
 
+  // Keep the selected versions in registry order so columns are stable
+  const orderedSelection = endpoints
+    .map(endpoint => endpoint.key)
+    .filter(key => selectedVersions.includes(key));
+  const availablePairs = getComparisonPairs(orderedSelection, ALL_PAIRS);
+
   const handleProcessFile = async () => {
     if (!file) {
-      showSnackbar('Please select a file first', 'warning');
+      showSnackbar('Please select a file or paste names first', 'warning');
+      return;
+    }
+
+    if (columnMapping?.fullName === undefined) {
+      showSnackbar('Map a column to fullName before processing', 'warning');
+      setMappingOpen(true);
       return;
     }
     
@@ -64,243 +379,254 @@ function App() {
       return;
     }
 
+    if (orderedSelection.length < 2) {
+      showSnackbar('Select at least two versions to compare', 'warning');
+      return;
+    }
+
+    // Snapshot the versions and pairs so later registry edits don't affect this run
+    const versions = endpoints
+      .filter(endpoint => orderedSelection.includes(endpoint.key))
+      .map(({ key, label, path }) => ({ key, label, path }));
+    const pairs = getComparisonPairs(orderedSelection, pairSelection);
+    const records = extractRecords(sheetData, columnMapping);
+    const profile = describeProfile(activeProfile);
+    setRecordedArchive(null);
+
+    let run;
+    try {
+      run = await runStore.createRun({ fileName: file.name, profile, versions, pairs, records });
+    } catch (error) {
+      // Keep going without persistence rather than blocking the batch
+      console.error('Error saving run:', error);
+      showSnackbar('This run will not be saved: browser storage is unavailable', 'warning');
+      run = { id: null, fileName: file.name, profile, versions, pairs, records };
+    }
+
+    if (!recordResponses) {
+      await executeRun(run, []);
+      return;
+    }
+
+    const archive = createArchive({
+      source: file.name,
+      profile,
+      versions,
+      pairs,
+      records,
+      settings: { batchSize, parallel: parallelVersions }
+    });
+    apiService.startRecording(archive);
+    try {
+      await executeRun(run, []);
+    } finally {
+      apiService.useLiveEndpoints();
+    }
+    setRecordedArchive(archive);
+    showSnackbar(`Recorded ${archive.exchanges.length} matcher calls. Save the response archive to replay this run offline.`, 'info');
+  };
+
+  const handleSaveArchive = () => {
+    try {
+      const blob = new Blob([serializeArchive(recordedArchive)], { type: 'application/json;charset=utf-8' });
+      saveAs(blob, getArchiveFileName(recordedArchive));
+    } catch (error) {
+      console.error('Error saving response archive:', error);
+      showSnackbar(`Failed to save archive: ${error.message}`, 'error');
+    }
+  };
+
+  // Re-run a recorded archive with the current comparison settings, answering every call from the archive
+  const handleReplayFile = async (e) => {
+    const archiveFile = e.target.files[0];
+    e.target.value = '';
+    if (!archiveFile) return;
+
+    let archive;
+    try {
+      archive = parseArchive(await archiveFile.text());
+    } catch (error) {
+      console.error('Error reading response archive:', error);
+      showSnackbar(`Failed to read archive: ${error.message}`, 'error');
+      return;
+    }
+
+    setFile({ name: `${archive.source} (replay)` });
+    setActiveTab('combined');
+    apiService.startReplay(archive);
+    try {
+      // The recorded batch settings reproduce the exact payloads that were recorded
+      await executeRun({
+        id: null,
+        fileName: archive.source,
+        profile: archive.profile,
+        versions: archive.versions,
+        pairs: archive.pairs,
+        records: archive.records,
+        settings: archive.settings
+      }, []);
+    } finally {
+      apiService.useLiveEndpoints();
+    }
+  };
+
+  // Process every record of a run that doesn't have a stored result yet.
+  // `existingResults` are results already collected for this run (when resuming).
+  // Runs replayed from an archive bring their own batch settings.
+  const executeRun = async (run, existingResults) => {
+    const { versions, pairs, records, profile } = run;
+    const settings = run.settings || { batchSize, parallel: parallelVersions };
+    const controller = createBatchController();
+    batchControllerRef.current = controller;
+
+    const { completed, pending } = getResumeState(records, existingResults);
+
     setLoading(true);
-    setResults([]);
+    setPaused(false);
+    // Results already stored when resuming are re-compared so every name uses the current settings
+    setResults(recompareResults(completed, pairs, { fields: comparedFields, identity: matchIdentity }));
+    setRunConfig({ versions, pairs, profile });
+    setActiveRunId(run.id);
+    setCurrentRunId(run.id);
+
+    const persistResult = (entry) => {
+      if (!run.id) return;
+      runStore.saveResult(run.id, entry).catch(error => {
+        console.error('Error saving result:', error);
+      });
+    };
+
+    // Streamed results are merged into the table a few times a second rather than one by one
+    const resultBuffer = createEntryBuffer(entries => setResults(prevResults => mergeInOrder(prevResults, entries)));
 
     try {
-      const data = await readExcel(file);
-      const names = extractNames(data);
+      showSnackbar('Processing started. Results will appear below as they are ready.', 'info');
       
-      // Process each name and update results in real-time
-      for (let i = 0; i < names.length; i++) {
-        const name = names[i];
-        try {
-          const result = await apiService.processName(name);
-          
-          // Compare SDN data between V2 and V4
-          const sdnComparison = compareSdnData(result.v2, result.v4);
-          
-          // Update results with the new data
-          setResults(prevResults => [
-            ...prevResults,
-            {
-              name,
-              v2: result.v2,
-              v4: result.v4,
-              _totalDuration: result._totalDuration,
-              _sdnComparison: sdnComparison,
-              id: `${name}-${Date.now()}-${i}` // Add a unique ID for each result
-            }
-          ]);
-          
-          // Show a snackbar for the first few results or on completion
-          if (i === 0) {
-            showSnackbar('Processing started. Results will appear below as they are ready.', 'info');
-          }
-        } catch (error) {
-          console.error(`Error processing name: ${name}`, error);
-          // Add a failed entry to results
-          setResults(prevResults => [
-            ...prevResults,
-            {
-              name,
-              error: `Error: ${error.message}`,
-              id: `${name}-error-${Date.now()}-${i}`
-            }
-          ]);
+      // Process names concurrently and update results in real-time, keeping input order
+      const { entries, notRun, cancelled } = await runComparison(pending, {
+        matcher: apiService.matcher,
+        endpoints: versions,
+        pairs,
+        fields: comparedFields,
+        identity: matchIdentity,
+        concurrency,
+        batchSize: settings.batchSize,
+        parallel: settings.parallel,
+        controller,
+        onEntries: (entries) => {
+          resultBuffer.push(entries);
+          entries.filter(entry => !entry.notRun).forEach(persistResult);
         }
+      });
+      resultBuffer.flush();
+      
+      if (cancelled) {
+        setResults(prevResults => mergeInOrder(prevResults, notRun));
+        const processedCount = completed.length + entries.filter(entry => !entry.notRun).length;
+        showSnackbar(`Processing cancelled. ${processedCount} of ${records.length} names processed.`, 'warning');
+      } else {
+        showSnackbar('All names processed!', 'success');
       }
       
-      showSnackbar('All names processed!', 'success');
+      if (run.id) {
+        await runStore.updateRun(run.id, {
+          status: controller.cancelled ? RUN_STATUS.CANCELLED : RUN_STATUS.COMPLETED
+        });
+      }
     } catch (error) {
       console.error('Error processing file:', error);
       showSnackbar('Failed to process file. Please try again.', 'error');
     } finally {
+      resultBuffer.flush();
+      batchControllerRef.current = null;
+      setActiveRunId(null);
+      setPaused(false);
       setLoading(false);
     }
   };
 
-  const readExcel = (file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        try {
-          const data = new Uint8Array(e.target.result);
-          const workbook = XLSX.read(data, { type: 'array' });
-          const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-          const jsonData = XLSX.utils.sheet_to_json(firstSheet, { header: 1 });
-          resolve(jsonData);
-        } catch (error) {
-          reject(error);
-        }
-      };
-      reader.readAsArrayBuffer(file);
-    });
+  const handleOpenRun = async (runId) => {
+    try {
+      const { run, results: storedResults } = await runStore.loadRun(runId);
+      setResults(recompareResults(storedResults, run.pairs, { fields: comparedFields, identity: matchIdentity }));
+      setActiveTab('combined');
+      setCurrentRunId(run.id);
+      setRunConfig({ versions: run.versions, pairs: run.pairs, profile: run.profile });
+      setRecentRunsOpen(false);
+      showSnackbar(`Opened run for ${run.fileName} (${storedResults.length} of ${run.total} names)`, 'info');
+    } catch (error) {
+      console.error('Error opening run:', error);
+      showSnackbar(`Failed to open run: ${error.message}`, 'error');
+    }
   };
 
-  const extractNames = (data) => {
-    return data.slice(1).map(row => row[0]).filter(Boolean);
+  const handleResumeRun = async (runId) => {
+    try {
+      const { run, results: storedResults } = await runStore.loadRun(runId);
+      // Remaining names must go to the same environment as the ones already processed
+      if (run.profile && run.profile.id !== activeProfile.id) {
+        showSnackbar(`Switch to the "${run.profile.name}" profile to resume this run`, 'warning');
+        return;
+      }
+      setRecentRunsOpen(false);
+      setActiveTab('combined');
+      await runStore.updateRun(run.id, { status: RUN_STATUS.RUNNING });
+      await executeRun(run, storedResults);
+    } catch (error) {
+      console.error('Error resuming run:', error);
+      showSnackbar(`Failed to resume run: ${error.message}`, 'error');
+    }
   };
 
-  // Helper function to compare SDN data between V2 and V4
-  const compareSdnData = (v2Data, v4Data) => {
-    // Extract unique SDN IDs from V2 and V4
-    const v2Sdns = new Set(
-      (v2Data?.responses || [])
-        .flatMap(item => item.rulesDetails?.sdnid || [])
-        .filter(Boolean)
-    );
-    
-    const v4Sdns = new Set(
-      (v4Data?.responses || [])
-        .flatMap(item => item.rulesDetails?.sdnid || [])
-        .filter(Boolean)
-    );
+  // Stable notification callbacks for child components that load data in effects
+  const handleNotify = useCallback((message, severity = 'info') => {
+    setSnackbar({ open: true, message, severity });
+  }, []);
 
-    // Find SDNs in V2 but not in V4
-    const onlyInV2 = [];
-    v2Sdns.forEach(sdnId => {
-      if (!v4Sdns.has(sdnId)) {
-        const sdnInfo = (v2Data?.responses || [])
-          .flatMap(item => item.rulesDetails || [])
-          .find(rule => rule.sdnid === sdnId);
-        if (sdnInfo) {
-          onlyInV2.push({
-            id: sdnId,
-            name: sdnInfo.sdnname || 'N/A',
-            reference: sdnInfo.sanctionReferenceName || ''
-          });
-        }
-      }
-    });
+  const handleRunsError = useCallback((message) => handleNotify(message, 'error'), [handleNotify]);
 
-    // Find SDNs in V4 but not in V2
-    const onlyInV4 = [];
-    v4Sdns.forEach(sdnId => {
-      if (!v2Sdns.has(sdnId)) {
-        const sdnInfo = (v4Data?.responses || [])
-          .flatMap(item => item.rulesDetails || [])
-          .find(rule => rule.sdnid === sdnId);
-        if (sdnInfo) {
-          onlyInV4.push({
-            id: sdnId,
-            name: sdnInfo.sdnname || 'N/A',
-            reference: sdnInfo.sanctionReferenceName || ''
-          });
-        }
-      }
-    });
+  const handlePauseResume = () => {
+    const controller = batchControllerRef.current;
+    if (!controller) return;
 
-    return { onlyInV2, onlyInV4 };
+    if (controller.paused) {
+      controller.resume();
+      setPaused(false);
+    } else {
+      controller.pause();
+      setPaused(true);
+      showSnackbar('Pausing after requests in flight complete...', 'info');
+    }
   };
 
-  // Helper function to split SDN list into chunks that fit within Excel's cell limit
-  const splitSdnsForExport = (sdns) => {
-    if (sdns.length === 0) return [{ content: 'No matches', isContinuation: false }];
-    
-    const MAX_CHUNK_SIZE = 30000; // Leave some buffer under 32,767 limit
-    const result = [];
-    let currentChunk = [];
-    let currentLength = 0;
-    
-    for (const sdn of sdns) {
-      // Use Excel-compatible line break (\r\n) and ensure each SDN is on its own line
-      const sdnText = `${sdn.id} - ${sdn.name}\r\n`;
-      
-      if (currentLength + sdnText.length > MAX_CHUNK_SIZE && currentChunk.length > 0) {
-        result.push({
-          content: currentChunk.join('').trim(),
-          isContinuation: result.length > 0
-        });
-        currentChunk = [];
-        currentLength = 0;
-      }
-      
-      currentChunk.push(sdnText);
-      currentLength += sdnText.length;
-    }
-    
-    // Add the last chunk if not empty
-    if (currentChunk.length > 0) {
-      result.push({
-        content: currentChunk.join('').trim(),
-        isContinuation: result.length > 0
-      });
-    }
-    
-    return result;
+  const handleCancel = () => {
+    batchControllerRef.current?.cancel();
+    setPaused(false);
+  };
+
+  const getStatus = (result) => getResultStatus(result, runConfig.versions);
+
+  const formatResponseBody = (body) => {
+    if (body === null || body === undefined) return '';
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return text.length > 500 ? `${text.slice(0, 500)}…` : text;
   };
 
   const exportOnlyInToExcel = async () => {
-    if (onlyInResults.length === 0) {
-      showSnackbar('No "Only in V2/V4" data to export', 'warning');
+    if (shownOnlyInResults.length === 0) {
+      showSnackbar('No "Only in" data to export', 'warning');
       return;
     }
     
     try {
-      const loadingSnackbar = showSnackbar('Preparing export...', 'info', 0);
-      
-      // Prepare data for export
-      const exportData = [];
-      let rowIndex = 1; // Start serial number from 1
-      
-      onlyInResults.forEach((result, idx) => {
-        const v2Sdns = result.v2?.responses?.length > 0 ? result.v2.responses : [];
-        const v4Sdns = result.v4?.responses?.length > 0 ? result.v4.responses : [];
-        
-        // Find SDNs only in V2 or only in V4
-        const onlyInV2 = v2Sdns.filter(v2 => 
-          !v4Sdns.some(v4 => v4.rulesDetails?.sdnid === v2.rulesDetails?.sdnid)
-        );
-        
-        const onlyInV4 = v4Sdns.filter(v4 => 
-          !v2Sdns.some(v2 => v2.rulesDetails?.sdnid === v4.rulesDetails?.sdnid)
-        );
-        
-        // Format SDNs for export - one row per SDN
-        const maxRows = Math.max(onlyInV2.length, onlyInV4.length);
-        
-        for (let i = 0; i < maxRows; i++) {
-          const v2Sdn = onlyInV2[i]?.rulesDetails;
-          const v4Sdn = onlyInV4[i]?.rulesDetails;
-          
-          const v2Text = v2Sdn ? 
-            `${v2Sdn.sdnid || 'N/A'} - ${v2Sdn.sdnname || 'N/A'}` : '';
-          
-          const v4Text = v4Sdn ? 
-            `${v4Sdn.sdnid || 'N/A'} - ${v4Sdn.sdnname || 'N/A'}` : '';
-          
-          const rowData = {
-            'Name': i === 0 ? result.name : '',
-            'Only in V2': v2Text,
-            'Only in V4': v4Text
-          };
-          
-          exportData.push(rowData);
-        }
-        
-        if (maxRows > 0) {
-          rowIndex++; // Increment serial number for the next name
-        }
-      });
-      
-      // Create worksheet
-      const ws = XLSX.utils.json_to_sheet(exportData);
-      
-      // Set column widths
-      ws['!cols'] = [
-        { wch: 30 }, // Name
-        { wch: 60 }, // Only in V2
-        { wch: 60 }  // Only in V4
-      ];
-      
-      // Create workbook and add worksheet
-      const wb = XLSX.utils.book_new();
-      XLSX.utils.book_append_sheet(wb, ws, 'Only in V2-V4 Results');
-      
-      // Generate and save the Excel file
-      XLSX.writeFile(wb, `only_in_v2_v4_results_${new Date().toISOString().slice(0, 10)}.xlsx`);
-      
+      showSnackbar('Preparing export...', 'info', 0);
+      const options = getExportOptions();
+      const meta = {
+        ...options.meta,
+        filter: [options.meta.filter, untriagedOnly && 'Untriaged only'].filter(Boolean).join('; '),
+        exportedCount: `${shownOnlyInResults.length} of ${results.length}`
+      };
+      XLSX.writeFile(buildOnlyInWorkbook(shownOnlyInResults, { ...options, meta }), getOnlyInFileName(runConfig.versions), WRITE_OPTIONS);
       showSnackbar('Export successful!', 'success');
     } catch (error) {
       console.error('Error exporting to Excel:', error);
@@ -309,7 +635,7 @@ function App() {
   };
 
   const exportToExcel = async () => {
-    if (results.length === 0) {
+    if (filteredResults.length === 0) {
       showSnackbar('No data to export', 'warning');
       return;
     }
@@ -317,184 +643,31 @@ function App() {
     try {
       // Show loading indicator
       const loadingSnackbar = showSnackbar('Preparing export...', 'info', 0);
+      const options = getExportOptions();
       
-      // Process data in chunks to avoid memory issues
-      const CHUNK_SIZE = 100; // Smaller chunk size for better responsiveness
+      // Process data in chunks to keep the page responsive
+      const CHUNK_SIZE = 100;
       const exportData = [];
       
-      for (let i = 0; i < results.length; i += CHUNK_SIZE) {
-        const chunk = results.slice(i, i + CHUNK_SIZE);
-        
-        // Process chunk
-        for (const result of chunk) {
-          // Get unique SDNs for V2 and V4
-          const v2Sdns = result.v2?.responses?.length > 0
-            ? result.v2.responses.map(item => ({
-                id: item.rulesDetails?.sdnid || 'N/A',
-                name: item.rulesDetails?.sdnname || 'N/A'
-              }))
-            : [];
-
-          const v4Sdns = result.v4?.responses?.length > 0
-            ? result.v4.responses.map(item => ({
-                id: item.rulesDetails?.sdnid || 'N/A',
-                name: item.rulesDetails?.sdnname || 'N/A'
-              }))
-            : [];
-
-          // Find SDNs only in V2 or only in V4
-          const onlyInV2 = v2Sdns.filter(v2 => 
-            !v4Sdns.some(v4 => v4.id === v2.id)
-          );
-          
-          const onlyInV4 = v4Sdns.filter(v4 => 
-            !v2Sdns.some(v2 => v2.id === v4.id)
-          );
-
-          // Split SDN lists into chunks that fit within Excel's cell limit
-          const v2Chunks = splitSdnsForExport(v2Sdns);
-          const onlyV2Chunks = splitSdnsForExport(onlyInV2);
-          const v4Chunks = splitSdnsForExport(v4Sdns);
-          const onlyV4Chunks = splitSdnsForExport(onlyInV4);
-          
-          // Calculate which version is faster
-          const v2Faster = result.v2?._duration && result.v4?._duration && 
-                          result.v2._duration < result.v4._duration;
-          const v4Faster = result.v2?._duration && result.v4?._duration && 
-                          result.v4._duration < result.v2._duration;
-          
-          // Determine how many rows we'll need for this result
-          const maxChunks = Math.max(
-            v2Chunks.length,
-            onlyV2Chunks.length,
-            v4Chunks.length,
-            onlyV4Chunks.length,
-            1 // At least one row
-          );
-          
-          // Create rows for this result
-          for (let i = 0; i < maxChunks; i++) {
-            const isFirstRow = i === 0;
-            const rowData = {
-              'Name': isFirstRow ? result.name : `(cont.) ${result.name}`,
-              'V2 Duration (ms)': isFirstRow ? (result.v2?._duration ? result.v2._duration.toFixed(2) : 'N/A') : '',
-              'V2 SDN Matches': v2Chunks[i]?.content || (isFirstRow ? 'No matches' : ''),
-              'Only in V2': onlyV2Chunks[i]?.content || (isFirstRow ? 'No matches' : ''),
-              'V4 Duration (ms)': isFirstRow ? (result.v4?._duration ? result.v4._duration.toFixed(2) : 'N/A') : '',
-              'V4 SDN Matches': v4Chunks[i]?.content || (isFirstRow ? 'No matches' : ''),
-              'Only in V4': onlyV4Chunks[i]?.content || (isFirstRow ? 'No matches' : ''),
-              'V2 Faster?': isFirstRow ? (v2Faster ? '✓' : '') : '',
-              'V4 Faster?': isFirstRow ? (v4Faster ? '✓' : '') : '',
-              'Total Duration (ms)': isFirstRow ? (result._totalDuration ? result._totalDuration.toFixed(2) : 'N/A') : ''
-            };
-            
-            exportData.push(rowData);
-          }
-        } // End of result processing
+      for (let i = 0; i < filteredResults.length; i += CHUNK_SIZE) {
+        const chunk = filteredResults.slice(i, i + CHUNK_SIZE);
+        chunk.forEach(result => exportData.push(...buildScreeningResultRows(result, options)));
         
         // Update progress
-        const progress = Math.min(100, Math.round(((i + chunk.length) / results.length) * 100));
+        const progress = Math.min(100, Math.round(((i + chunk.length) / filteredResults.length) * 100));
         showSnackbar(`Processing... ${progress}%`, 'info', 0, loadingSnackbar);
         
         // Allow UI to update
         await new Promise(resolve => setTimeout(resolve, 0));
       }
 
-      // Create worksheet
-      const ws = XLSX.utils.json_to_sheet(exportData);
-      
-      // Set column widths
-      ws['!cols'] = [
-        {wch: 30}, // Name
-        {wch: 15}, // V2 Duration
-        {wch: 40}, // V2 SDN Matches
-        {wch: 40}, // Only in V2
-        {wch: 15}, // V4 Duration
-        {wch: 40}, // V4 SDN Matches
-        {wch: 40}, // Only in V4
-        {wch: 10}, // V2 Faster?
-        {wch: 10}, // V4 Faster?
-        {wch: 15}  // Total Duration
-      ];
-      
-      // Create workbook and add worksheet
-      const wb = XLSX.utils.book_new();
-      XLSX.utils.book_append_sheet(wb, ws, 'Screening Results');
-      
-      // Add styling to all cells
-      const range = XLSX.utils.decode_range(ws['!ref']);
-      
-      // Style header row
-      for (let C = range.s.c; C <= range.e.c; ++C) {
-        const cell = ws[XLSX.utils.encode_cell({r: 0, c: C})];
-        if (cell) {
-          cell.s = { 
-            font: { bold: true },
-            fill: { fgColor: { rgb: 'D3D3D3' } },
-            alignment: { wrapText: true, vertical: 'top' },
-            border: {
-              top: { style: 'thin' },
-              bottom: { style: 'thin' },
-              left: { style: 'thin' },
-              right: { style: 'thin' }
-            }
-          };
-        }
-      }
-      
-      // Style data rows with wrap text and borders
-      for (let R = range.s.r + 1; R <= range.e.r; ++R) {
-        // Set row height to auto
-        if (!ws['!rows']) ws['!rows'] = [];
-        ws['!rows'][R] = { hpx: 'auto', hpt: 'auto' };
-        
-        for (let C = range.s.c; C <= range.e.c; ++C) {
-          const cell = ws[XLSX.utils.encode_cell({r: R, c: C})];
-          if (cell) {
-            // Preserve existing styles if any
-            const existingStyle = cell.s || {};
-            cell.s = {
-              ...existingStyle,
-              alignment: { 
-                wrapText: true, 
-                vertical: 'top',
-                ...(existingStyle.alignment || {})
-              },
-              border: {
-                top: { style: 'thin' },
-                bottom: { style: 'thin' },
-                left: { style: 'thin' },
-                right: { style: 'thin' },
-                ...(existingStyle.border || {})
-              }
-            };
-          }
-        }
-      }
-      
-      // Set explicit column widths for better readability
-      ws['!cols'] = [
-        { wch: 30 }, // Name
-        { wch: 15 }, // V2 Duration
-        { wch: 40 }, // V2 SDN Matches
-        { wch: 40 }, // Only in V2
-        { wch: 15 }, // V4 Duration
-        { wch: 40 }, // V4 SDN Matches
-        { wch: 40 }, // Only in V4
-        { wch: 12 }, // V2 Faster?
-        { wch: 12 }, // V4 Faster?
-        { wch: 18 }  // Total Duration
-      ];
-      
-      // Generate and save the Excel file
+      // Generate and save the Excel file, with the verdict of every divergent hit
       showSnackbar('Generating Excel file...', 'info', 0, loadingSnackbar);
-      
-      // Use writeFile with options for better performance
-      XLSX.writeFile(wb, `screening_results_${new Date().toISOString().slice(0, 10)}.xlsx`, {
-        bookType: 'xlsx',
-        type: 'array',
-        compression: true
+      const wb = buildScreeningWorkbook(exportData, filteredResults, {
+        ...options,
+        triageRows: buildTriageRows(onlyInResults, diffColumns, triage)
       });
+      XLSX.writeFile(wb, getScreeningFileName(), WRITE_OPTIONS);
       
       showSnackbar('Export successful!', 'success');
     } catch (error) {
@@ -503,6 +676,65 @@ function App() {
     }
   };
 
+  // Context shared by the text export formats so they match the Excel export
+  const getExportOptions = () => ({
+    meta: {
+      fileName: file?.name,
+      runId: currentRunId,
+      profile: runConfig.profile,
+      matchIdentity: describeIdentity(matchIdentity),
+      filter: describeQuery(deferredQuery, runConfig.versions).map(chip => chip.label).join('; '),
+      exportedCount: `${filteredResults.length} of ${results.length}`
+    },
+    versions: runConfig.versions,
+    pairs: runConfig.pairs,
+    diffColumns,
+    getStatus,
+    getTriage: (result, sdn) => findTriage(triage, result.name, getHitKey(sdn)),
+    identity: matchIdentity
+  });
+
+  const exportText = (type, buildContent, baseName) => {
+    if (filteredResults.length === 0) {
+      showSnackbar('No data to export', 'warning');
+      return;
+    }
+
+    try {
+      const content = buildContent(filteredResults, getExportOptions());
+      // CSV gets a byte order mark so Excel opens it as UTF-8
+      const parts = type === EXPORT_TYPES.CSV ? ['\ufeff', content] : [content];
+      saveAs(
+        new Blob(parts, { type: type.mimeType }),
+        `${baseName}_${new Date().toISOString().slice(0, 10)}.${type.extension}`
+      );
+      showSnackbar('Export successful!', 'success');
+    } catch (error) {
+      console.error(`Error exporting ${type.extension}:`, error);
+      showSnackbar(`Export failed: ${error.message}`, 'error');
+    }
+  };
+
+  const handleTextExport = (format) => {
+    setExportMenuAnchor(null);
+    switch (format) {
+      case 'json':
+        exportText(EXPORT_TYPES.JSON, (items, options) => JSON.stringify(buildJsonExport(items, options), null, 2), 'screening_results');
+        break;
+      case 'csv':
+        exportText(EXPORT_TYPES.CSV, (items, options) => toCsv(buildCombinedRows(items, options)), 'screening_results');
+        break;
+      case 'html':
+        exportText(EXPORT_TYPES.HTML, buildHtmlReport, 'screening_report');
+        break;
+      case 'junit':
+        exportText(EXPORT_TYPES.JUNIT, buildJUnitXml, 'screening_junit');
+        break;
+      default:
+        break;
+    }
+  };
+
   const showSnackbar = (message, severity = 'info') => {
     setSnackbar({ open: true, message, severity });
   };
@@ -511,60 +743,155 @@ function App() {
     setSnackbar(prev => ({ ...prev, open: false }));
   };
 
+  // Save the compared fields and re-run the comparison for results already collected
+  const handleComparedFieldsSave = (fields) => {
+    const saved = saveComparedFields(fields);
+    setComparedFields(saved);
+    setComparedFieldsOpen(false);
+    setResults(prevResults => recompareResults(prevResults, runConfig.pairs, { fields: saved, identity: matchIdentity }));
+  };
+
+  // Save the match identity strategy and re-run the comparison for results already collected
+  const handleMatchIdentitySave = (identity) => {
+    const saved = saveMatchIdentity(identity);
+    setMatchIdentity(saved);
+    setMatchIdentityOpen(false);
+    setResults(prevResults => recompareResults(prevResults, runConfig.pairs, { fields: comparedFields, identity: saved }));
+    showSnackbar(`Hits are now matched by ${describeIdentity(saved)}`, 'info');
+  };
+
   const handleTabChange = (event, newValue) => {
     setActiveTab(newValue);
-    
-    // When switching to only-in tab, prepare the data
-    if (newValue === 'onlyIn') {
-      const onlyInData = results.filter(result => {
-        const v2Sdns = result.v2?.responses?.length > 0 ? result.v2.responses : [];
-        const v4Sdns = result.v4?.responses?.length > 0 ? result.v4.responses : [];
-        
-        // Find SDNs only in V2 or only in V4
-        const onlyInV2 = v2Sdns.filter(v2 => 
-          !v4Sdns.some(v4 => v4.rulesDetails?.sdnid === v2.rulesDetails?.sdnid)
-        );
-        
-        const onlyInV4 = v4Sdns.filter(v4 => 
-          !v2Sdns.some(v2 => v2.rulesDetails?.sdnid === v4.rulesDetails?.sdnid)
-        );
-        
-        return onlyInV2.length > 0 || onlyInV4.length > 0;
-      });
-      
-      setOnlyInResults(onlyInData);
+  };
+
+  const handleReviewerChange = (value) => {
+    setReviewer(value);
+    triageStore.setReviewer(value);
+  };
+
+  // Record a verdict for a divergent hit; it applies to this name + SDN ID in every later run too
+  const handleTriageSave = (result, sdn, { verdict, note }) => {
+    if (!reviewer.trim()) {
+      showSnackbar('Enter your name as reviewer before triaging', 'warning');
+      return;
+    }
+    try {
+      setTriage({ ...triageStore.saveTriage(result.name, getHitKey(sdn), { verdict, note, reviewer, runId: currentRunId, sdnId: sdn.id }) });
+    } catch (error) {
+      console.error('Error saving verdict:', error);
+      showSnackbar(`Could not save verdict: ${error.message}`, 'error');
     }
   };
 
+  // Comparison settings that re-analyse loaded results, also offered for replays without a session
+  const renderComparisonSettings = () => (
+    <>
+      <Button
+        variant="text"
+        startIcon={<RuleIcon />}
+        onClick={() => setComparedFieldsOpen(true)}
+        disabled={loading}
+      >
+        Compared Fields
+      </Button>
+
+      <Button
+        variant="text"
+        startIcon={<FingerprintIcon />}
+        onClick={() => setMatchIdentityOpen(true)}
+        disabled={loading}
+      >
+        Match Identity
+      </Button>
+    </>
+  );
+
+  // Exports of the displayed results, also offered for replays without a session
+  const renderResultActions = () => (
+    <>
+      <Button
+        variant="contained"
+        color="primary"
+        onClick={exportToExcel}
+        disabled={results.length === 0}
+        startIcon={<Download />}
+      >
+        Export All to Excel
+      </Button>
+
+      <Button
+        variant="outlined"
+        color="primary"
+        onClick={exportOnlyInToExcel}
+        disabled={shownOnlyInResults.length === 0}
+        startIcon={<Download />}
+      >
+        Export Only in {runConfig.versions.map(version => version.label).join('/')}
+      </Button>
+
+      <Button
+        variant="outlined"
+        color="primary"
+        onClick={(e) => setExportMenuAnchor(e.currentTarget)}
+        disabled={results.length === 0}
+        startIcon={<Download />}
+      >
+        More Exports
+      </Button>
+
+      <Button
+        variant="outlined"
+        color="primary"
+        onClick={handleSaveArchive}
+        disabled={!recordedArchive || loading}
+        startIcon={<ArchiveIcon />}
+      >
+        Save Response Archive
+      </Button>
+      <Menu
+        anchorEl={exportMenuAnchor}
+        open={Boolean(exportMenuAnchor)}
+        onClose={() => setExportMenuAnchor(null)}
+      >
+        <MenuItem onClick={() => handleTextExport('json')}>JSON (full raw results)</MenuItem>
+        <MenuItem onClick={() => handleTextExport('csv')}>CSV (combined table)</MenuItem>
+        <MenuItem onClick={() => handleTextExport('html')}>HTML report</MenuItem>
+        <MenuItem onClick={() => handleTextExport('junit')}>JUnit XML</MenuItem>
+      </Menu>
+    </>
+  );
+
   const renderResults = () => {
-    if (results.length === 0) {
-      return (
-        <Box sx={{ p: 3, textAlign: 'center' }}>
-          <Typography variant="body1" color="textSecondary">
-            No results to display. Process a file to see the results.
-          </Typography>
-        </Box>
-      );
-    }
+    const renderEmptyResults = () => (
+      <Box sx={{ p: 3, textAlign: 'center' }}>
+        <Typography variant="body1" color="textSecondary">
+          No results to display. Process a file to see the results.
+        </Typography>
+      </Box>
+    );
 
-    const renderTable = (version = 'combined') => {
-      // Define base headers
-      const baseHeaders = [
-        '#', 'Name', 'API Version', 'SDN ID', 'SDN Name', 'Duration', 
-        'V2 Faster?', 'V4 Faster?'
-      ];
-      
-      // For combined view, add additional columns
-      const combinedHeaders = [
-        ...baseHeaders.slice(0, -2), // Remove the last two columns (V2/V4 Faster?)
-        'V2 Faster?', 
-        'V4 Faster?',
-        'Only in V2', 
-        'Only in V4',
+    const versionLabels = runConfig.versions.map(version => version.label);
+
+    // Name with a button opening the raw request/response inspector
+    const renderNameContent = (result) => (
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+        {result.name}
+        <Tooltip title="Inspect raw JSON">
+          <IconButton size="small" aria-label={`Inspect ${result.name}`} onClick={() => setInspectedResult(result)}>
+            <DataObjectIcon fontSize="inherit" />
+          </IconButton>
+        </Tooltip>
+      </Box>
+    );
+
+    // Combined view: each version's SDN hits grouped under the name, followed by the comparison cells.
+    // Only the results near the viewport are rendered.
+    const renderTable = () => {
+      const headers = [
+        '#', 'Name', 'API Version', 'SDN ID', 'SDN Name', 'Duration',
+        ...versionLabels.map(label => `${label} Faster?`),
+        ...diffColumns.map(column => column.label)
       ];
-      
-      // Use appropriate headers based on view
-      const headers = version === 'combined' ? combinedHeaders : baseHeaders;
 
       const renderSdnDifferences = (sdns) => {
         if (!sdns?.length) return 'N/A';
@@ -575,168 +902,161 @@ function App() {
               <div key={`sdn-diff-${i}`}>
                 <strong>{sdn.id}</strong>: {sdn.name}
                 {sdn.reference && ` (${sdn.reference})`}
+                {sdn.fields && (
+                  <Typography variant="body2" component="div" sx={{ color: '#8a6d00' }}>
+                    {describeFieldChanges(sdn.fields)}
+                  </Typography>
+                )}
               </div>
             ))}
           </Box>
         );
       };
 
-      return (
-        <TableContainer component={Paper} sx={{ mt: 2, maxHeight: '70vh', overflow: 'auto' }}>
-          <Table stickyHeader>
-            <TableHead>
-              <TableRow>
-                {headers.map((header, idx) => (
-                  <TableCell key={idx} style={{ fontWeight: 'bold' }}>{header}</TableCell>
-                ))}
+      const renderResultRows = (view, idx) => {
+        const { result } = view;
+        const serialNumber = idx + 1;
+        
+        if (result.error) {
+          return (
+            <TableRow style={{ backgroundColor: '#ffebee' }}>
+              <TableCell>{serialNumber}</TableCell>
+              <TableCell colSpan={headers.length - 1} align="center">
+                <Typography color="error">
+                  {result.name}: {result.error}
+                </Typography>
+                {result.errorDetails && (
+                  <Typography variant="body2" color="textSecondary">
+                    {describeErrorDetails(result.errorDetails, runConfig.versions)}
+                  </Typography>
+                )}
+                {result.errorDetails?.responseBody && (
+                  <Typography variant="caption" component="pre" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-all', textAlign: 'left' }}>
+                    {formatResponseBody(result.errorDetails.responseBody)}
+                  </Typography>
+                )}
+              </TableCell>
+            </TableRow>
+          );
+        }
+
+        if (result.notRun) {
+          return (
+            <TableRow style={{ backgroundColor: '#f5f5f5' }}>
+              <TableCell>{serialNumber}</TableCell>
+              <TableCell>{result.name}</TableCell>
+              <TableCell colSpan={headers.length - 2}>
+                <Typography color="textSecondary">Not run</Typography>
+              </TableCell>
+            </TableRow>
+          );
+        }
+
+        // Comparison cells shared by every row of a version group
+        const renderComparisonCells = (rowSpan) => (
+          <>
+            {runConfig.versions.map(({ key }) => (
+              <TableCell 
+                key={`faster-${key}`}
+                rowSpan={rowSpan}
+                style={{
+                  backgroundColor: view.fastestVersion === key ? 'rgba(0, 200, 0, 0.1)' : 'transparent',
+                  color: view.fastestVersion === key ? 'green' : 'inherit'
+                }}
+              >
+                {view.fastestVersion === key ? '✓' : ''}
+              </TableCell>
+            ))}
+            {diffColumns.map(column => (
+              <TableCell key={column.label} rowSpan={rowSpan}>
+                {renderSdnDifferences(column.getSdns(result))}
+              </TableCell>
+            ))}
+          </>
+        );
+
+        // One row per SDN hit (or a single "No matches" row), with the name and version cells spanning the group
+        return view.groups.flatMap(group => {
+          const rowSpan = Math.max(1, group.hits.length);
+          const rows = group.hits.length > 0 ? group.hits : [null];
+
+          return rows.map((hit, i) => {
+            // Highlight hits returned by both versions with different field values
+            const changedStyle = hit?.changed ? { backgroundColor: '#fff3cd' } : undefined;
+
+            return (
+              <TableRow key={`${group.key}-${i}`}>
+                {i === 0 && (
+                  <>
+                    <TableCell rowSpan={rowSpan}>{serialNumber}</TableCell>
+                    <TableCell rowSpan={rowSpan}>{renderNameContent(result)}</TableCell>
+                    <TableCell rowSpan={rowSpan}>{group.label}</TableCell>
+                  </>
+                )}
+                <TableCell style={changedStyle}>{hit ? hit.id : 'No matches'}</TableCell>
+                <TableCell style={changedStyle}>{hit ? hit.name : 'N/A'}</TableCell>
+                {i === 0 && (
+                  <>
+                    <TableCell rowSpan={rowSpan}>
+                      {group.duration ? `${group.duration.toFixed(2)} ms` : 'N/A'}
+                    </TableCell>
+                    {renderComparisonCells(rowSpan)}
+                  </>
+                )}
               </TableRow>
-            </TableHead>
-            <TableBody>
-              {results.map((result, idx) => {
-                const serialNumber = idx + 1;
-                
-                if (result.error) {
+            );
+          });
+        });
+      };
+
+      return (
+        <VirtualizedTable
+          headers={headers}
+          items={resultViews}
+          estimateHeight={estimateCombinedHeight}
+          renderItem={renderResultRows}
+        />
+      );
+    };
+
+    // Divergent hits of one name with their triage controls
+    const renderOnlyInRow = (view, idx) => {
+      const { result } = view;
+
+      return (
+        <TableRow>
+          <TableCell style={{ width: '80px' }}>{idx + 1}</TableCell>
+          <TableCell>{renderNameContent(result)}</TableCell>
+          {diffColumns.map(column => {
+            const sdns = column.getSdns(result).filter(sdn => (
+              !untriagedOnly || !isTriaged(findTriage(triage, result.name, getHitKey(sdn)))
+            ));
+            return (
+              <TableCell key={column.label}>
+                {sdns.map((sdn, i) => {
+                  const entry = findTriage(triage, result.name, getHitKey(sdn));
                   return (
-                    <TableRow key={`error-${idx}`} style={{ backgroundColor: '#ffebee' }}>
-                      <TableCell>{serialNumber}</TableCell>
-                      <TableCell colSpan={headers.length - 1} align="center">
-                        <Typography color="error">
-                          {result.name}: {result.error}
+                    <div key={`sdn-${i}`} style={{ marginBottom: '8px' }}>
+                      <strong>{i + 1}. {sdn.id}</strong>: {sdn.name}
+                      {sdn.fields && (
+                        <Typography variant="body2" component="div" sx={{ color: '#8a6d00' }}>
+                          {describeFieldChanges(sdn.fields)}
                         </Typography>
-                      </TableCell>
-                    </TableRow>
+                      )}
+                      <TriageControls
+                        key={entry?.updatedAt || 'untriaged'}
+                        entry={entry}
+                        currentRunId={currentRunId}
+                        onSave={(changes) => handleTriageSave(result, sdn, changes)}
+                      />
+                    </div>
                   );
-                }
-
-                const renderVersionRows = (versionKey) => {
-                  const versionData = result[versionKey];
-                  if (!versionData) return null;
-
-                  // If no matches, return a single row with 'No matches'
-                  if (!versionData?.responses?.length) {
-                    return (
-                      <TableRow key={`${versionKey}-${idx}-no-match`}>
-                        <TableCell>{serialNumber}</TableCell>
-                        <TableCell>{result.name}</TableCell>
-                        <TableCell>{versionKey.toUpperCase()}</TableCell>
-                        <TableCell>No matches</TableCell>
-                        <TableCell>N/A</TableCell>
-                        <TableCell>
-                          {versionData?._duration ? `${versionData._duration.toFixed(2)} ms` : 'N/A'}
-                        </TableCell>
-                        {version === 'combined' && result.v2?._duration && result.v4?._duration && (
-                          <>
-                            <TableCell 
-                              style={{
-                                backgroundColor: result.v2._duration < result.v4._duration ? 'rgba(0, 200, 0, 0.1)' : 'transparent',
-                                color: result.v2._duration < result.v4._duration ? 'green' : 'inherit'
-                              }}
-                            >
-                              {result.v2._duration < result.v4._duration ? '✓' : ''}
-                            </TableCell>
-                            <TableCell 
-                              style={{
-                                backgroundColor: result.v4._duration < result.v2._duration ? 'rgba(0, 200, 0, 0.1)' : 'transparent',
-                                color: result.v4._duration < result.v4._duration ? 'green' : 'inherit'
-                              }}
-                            >
-                              {result.v4._duration < result.v2._duration ? '✓' : ''}
-                            </TableCell>
-                          </>
-                        )}
-                        {version === 'combined' && (
-                          <>
-                            <TableCell>N/A</TableCell>
-                            <TableCell>N/A</TableCell>
-                          </>
-                        )}
-                      </TableRow>
-                    );
-                  }
-
-                  // For each response, create a row with separate columns for ID and Name
-                  return versionData.responses.map((item, i) => {
-                    const sdnId = item.rulesDetails?.sdnid || 'N/A';
-                    const sdnName = item.rulesDetails?.sdnname || 'N/A';
-                    
-                    return (
-                      <TableRow key={`${versionKey}-${idx}-${i}`}>
-                        {i === 0 ? (
-                          <>
-                            <TableCell rowSpan={versionData.responses.length}>
-                              {serialNumber}
-                            </TableCell>
-                            <TableCell rowSpan={versionData.responses.length}>
-                              {result.name}
-                            </TableCell>
-                            <TableCell rowSpan={versionData.responses.length}>
-                              {versionKey.toUpperCase()}
-                            </TableCell>
-                          </>
-                        ) : null}
-                        <TableCell>{sdnId}</TableCell>
-                        <TableCell>{sdnName}</TableCell>
-                        {i === 0 && (
-                          <>
-                            <TableCell rowSpan={versionData.responses.length}>
-                              {versionData?._duration ? `${versionData._duration.toFixed(2)} ms` : 'N/A'}
-                            </TableCell>
-                            {version === 'combined' && result.v2?._duration && result.v4?._duration && (
-                              <>
-                                <TableCell 
-                                  rowSpan={versionData.responses.length}
-                                  style={{
-                                    backgroundColor: result.v2._duration < result.v4._duration ? 'rgba(0, 200, 0, 0.1)' : 'transparent',
-                                    color: result.v2._duration < result.v4._duration ? 'green' : 'inherit'
-                                  }}
-                                >
-                                  {result.v2._duration < result.v4._duration ? '✓' : ''}
-                                </TableCell>
-                                <TableCell 
-                                  rowSpan={versionData.responses.length}
-                                  style={{
-                                    backgroundColor: result.v4._duration < result.v2._duration ? 'rgba(0, 200, 0, 0.1)' : 'transparent',
-                                    color: result.v4._duration < result.v2._duration ? 'green' : 'inherit'
-                                  }}
-                                >
-                                  {result.v4._duration < result.v2._duration ? '✓' : ''}
-                                </TableCell>
-                              </>
-                            )}
-                            {version === 'combined' && (
-                              <>
-                                <TableCell rowSpan={versionData.responses.length}>
-                                  {renderSdnDifferences(result._sdnComparison?.onlyInV2)}
-                                </TableCell>
-                                <TableCell rowSpan={versionData.responses.length}>
-                                  {renderSdnDifferences(result._sdnComparison?.onlyInV4)}
-                                </TableCell>
-                              </>
-                            )}
-                          </>
-                        )}
-                      </TableRow>
-                    );
-                  });
-                };
-
-                switch (version) {
-                  case 'v2':
-                    return renderVersionRows('v2');
-                  case 'v4':
-                    return renderVersionRows('v4');
-                  default:
-                    return (
-                      <React.Fragment key={`combined-${idx}`}>
-                        {result.v2 && renderVersionRows('v2')}
-                        {result.v4 && renderVersionRows('v4')}
-                      </React.Fragment>
-                    );
-                }
-              })}
-            </TableBody>
-          </Table>
-        </TableContainer>
+                })}
+                {sdns.length === 0 && <div>-</div>}
+              </TableCell>
+            );
+          })}
+        </TableRow>
       );
     };
 
@@ -753,86 +1073,62 @@ function App() {
           <Tab value="combined" label="Combined Results" />
           <Tab 
             value="onlyIn" 
-            label="Only in V2/V4" 
+            label={`Only in ${versionLabels.join('/')} / Changed`} 
             disabled={results.length === 0}
           />
+          <Tab value="latency" label="Latency" disabled={results.length === 0} />
+          <Tab value="evaluation" label="Evaluation" disabled={!results.some(isEvaluated)} />
+          <Tab value="variants" label="Variants" disabled={!results.some(isVariantResult)} />
+          <Tab value="runDiff" label="Run vs Run" />
         </Tabs>
         
-        {activeTab === 'combined' && renderTable('combined')}
-        {activeTab === 'onlyIn' && (
-          <TableContainer component={Paper} sx={{ mt: 2, maxHeight: '70vh', overflow: 'auto' }}>
-            <Table stickyHeader>
-              <TableHead>
-                <TableRow>
-                  <TableCell style={{ fontWeight: 'bold', width: '80px' }}>S.No.</TableCell>
-                  <TableCell style={{ fontWeight: 'bold' }}>Name</TableCell>
-                  <TableCell style={{ fontWeight: 'bold' }}>Only in V2</TableCell>
-                  <TableCell style={{ fontWeight: 'bold' }}>Only in V4</TableCell>
-                </TableRow>
-              </TableHead>
-              <TableBody>
-                {onlyInResults.map((result, idx) => {
-                  const serialNumber = idx + 1;
-                  
-                  if (result.error) {
-                    return (
-                      <TableRow key={`error-${idx}`} style={{ backgroundColor: '#ffebee' }}>
-                        <TableCell>{serialNumber}</TableCell>
-                        <TableCell colSpan={2} align="center">
-                          <Typography color="error">
-                            {result.name}: {result.error}
-                          </Typography>
-                        </TableCell>
-                      </TableRow>
-                    );
-                  }
-
-                  const v2Sdns = result.v2?.responses?.length > 0 ? result.v2.responses : [];
-                  const v4Sdns = result.v4?.responses?.length > 0 ? result.v4.responses : [];
-
-                  // Find SDNs only in V2 or only in V4
-                  const onlyInV2 = v2Sdns.filter(v2 => 
-                    !v4Sdns.some(v4 => v4.rulesDetails?.sdnid === v2.rulesDetails?.sdnid)
-                  );
-                  
-                  const onlyInV4 = v4Sdns.filter(v4 => 
-                    !v2Sdns.some(v2 => v2.rulesDetails?.sdnid === v4.rulesDetails?.sdnid)
-                  );
-
-                  return (
-                    <TableRow key={idx}>
-                      <TableCell>{idx + 1}</TableCell>
-                      <TableCell>{result.name}</TableCell>
-                      <TableCell>
-                        {onlyInV2.map((sdn, i) => {
-                          const sdnId = sdn.rulesDetails?.sdnid || 'N/A';
-                          const sdnName = sdn.rulesDetails?.sdnname || 'N/A';
-                          return (
-                            <div key={`sdn-v2-${i}`} style={{ marginBottom: '4px' }}>
-                              <strong>{i + 1}. {sdnId}</strong>: {sdnName}
-                            </div>
-                          );
-                        })}
-                        {onlyInV2.length === 0 && <div>-</div>}
-                      </TableCell>
-                      <TableCell>
-                        {onlyInV4.map((sdn, i) => {
-                          const sdnId = sdn.rulesDetails?.sdnid || 'N/A';
-                          const sdnName = sdn.rulesDetails?.sdnname || 'N/A';
-                          return (
-                            <div key={`sdn-v4-${i}`} style={{ marginBottom: '4px' }}>
-                              <strong>{i + 1}. {sdnId}</strong>: {sdnName}
-                            </div>
-                          );
-                        })}
-                        {onlyInV4.length === 0 && <div>-</div>}
-                      </TableCell>
-                    </TableRow>
-                  );
-                })}
-              </TableBody>
-            </Table>
-          </TableContainer>
+        {activeTab !== 'runDiff' && results.length === 0 && renderEmptyResults()}
+        {(activeTab === 'combined' || activeTab === 'onlyIn') && results.length > 0 && (
+          <Typography variant="body2" color="textSecondary" sx={{ mt: 2 }}>
+            Hits matched across versions by {describeIdentity(matchIdentity)}
+          </Typography>
+        )}
+        {(activeTab === 'combined' || activeTab === 'onlyIn') && results.length > 0 && (
+          <ResultFilterBar
+            query={resultQuery}
+            versions={runConfig.versions}
+            shownCount={activeTab === 'onlyIn' ? shownOnlyInResults.length : filteredResults.length}
+            totalCount={results.length}
+            onChange={setResultQuery}
+          />
+        )}
+        {activeTab === 'combined' && results.length > 0 && renderTable()}
+        {activeTab === 'latency' && results.length > 0 && (
+          <LatencyPanel results={results} versions={runConfig.versions} />
+        )}
+        {activeTab === 'evaluation' && results.length > 0 && (
+          <EvaluationPanel results={results} versions={runConfig.versions} />
+        )}
+        {activeTab === 'variants' && results.length > 0 && (
+          <VariantPanel results={results} versions={runConfig.versions} />
+        )}
+        {activeTab === 'runDiff' && <RunDiffPanel identity={matchIdentity} onNotify={handleNotify} />}
+        {activeTab === 'onlyIn' && results.length > 0 && (
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mt: 2 }}>
+            <TextField
+              size="small"
+              label="Reviewer"
+              value={reviewer}
+              onChange={(e) => handleReviewerChange(e.target.value)}
+            />
+            <FormControlLabel
+              control={<Checkbox checked={untriagedOnly} onChange={(e) => setUntriagedOnly(e.target.checked)} />}
+              label={`Untriaged only (${untriagedResults.length} names)`}
+            />
+          </Box>
+        )}
+        {activeTab === 'onlyIn' && results.length > 0 && (
+          <VirtualizedTable
+            headers={['S.No.', 'Name', ...diffColumns.map(column => column.label)]}
+            items={onlyInViews}
+            estimateHeight={estimateOnlyInHeight}
+            renderItem={renderOnlyInRow}
+          />
         )}
       </Box>
     );
@@ -840,9 +1136,29 @@ function App() {
 
   return (
     <Container maxWidth="lg" sx={{ py: 4 }}>
-      <Typography variant="h4" component="h1" gutterBottom>
-        API Name Matcher
-      </Typography>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+        <Typography variant="h4" component="h1" sx={{ flexGrow: 1 }}>
+          API Name Matcher
+        </Typography>
+        <Button
+          variant="text"
+          startIcon={<DnsIcon />}
+          onClick={() => setProfilesOpen(true)}
+          disabled={loading}
+        >
+          {activeProfile.name}
+        </Button>
+        {user && (
+          <>
+            <Typography variant="body2" color="textSecondary">
+              Signed in as <strong>{user.name}</strong>{user.email && ` (${user.email})`}
+            </Typography>
+            <Button variant="outlined" size="small" startIcon={<LogoutIcon />} onClick={authService.logout} disabled={loading}>
+              Log Out
+            </Button>
+          </>
+        )}
+      </Box>
       
       {initializing ? (
         <Box sx={{ display: 'flex', justifyContent: 'center', my: 4 }}>
@@ -851,10 +1167,99 @@ function App() {
             Initializing authentication...
           </Typography>
         </Box>
+      ) : !user ? (
+        <>
+          <Paper sx={{ p: 4, my: 4, textAlign: 'center' }}>
+            <Typography variant="body1" sx={{ mb: 2 }}>
+              Sign in with your own account to run name checks.
+            </Typography>
+            <Button variant="contained" startIcon={<LoginIcon />} onClick={handleLogin}>
+              Sign In
+            </Button>
+            <Typography variant="body2" color="textSecondary" sx={{ mt: 2 }}>
+              Or re-analyse a recorded run offline:{' '}
+              <label htmlFor="replay-file">
+                <Button size="small" component="span" disabled={loading} startIcon={<ReplayIcon />}>
+                  Replay Archive
+                </Button>
+              </label>
+            </Typography>
+          </Paper>
+          {results.length > 0 && (
+            <Box sx={{ mb: 3, display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+              {renderComparisonSettings()}
+              {renderResultActions()}
+            </Box>
+          )}
+        </>
       ) : (
         <Box sx={{ mb: 3, display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+          <Box sx={{ width: '100%', display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+            <FormGroup row>
+              {endpoints.map(endpoint => (
+                <FormControlLabel
+                  key={endpoint.key}
+                  control={
+                    <Checkbox
+                      checked={selectedVersions.includes(endpoint.key)}
+                      onChange={() => handleVersionToggle(endpoint.key)}
+                      disabled={loading}
+                    />
+                  }
+                  label={endpoint.label}
+                />
+              ))}
+            </FormGroup>
+
+            <FormControl size="small" sx={{ minWidth: 200 }} disabled={loading || availablePairs.length === 0}>
+              <InputLabel id="pair-selection-label">Compare</InputLabel>
+              <Select
+                labelId="pair-selection-label"
+                label="Compare"
+                value={pairSelection === ALL_PAIRS || availablePairs.some(pair => pair.key === pairSelection) ? pairSelection : ALL_PAIRS}
+                onChange={(e) => setPairSelection(e.target.value)}
+              >
+                <MenuItem value={ALL_PAIRS}>All pairs</MenuItem>
+                {availablePairs.map(pair => (
+                  <MenuItem key={pair.key} value={pair.key}>
+                    {endpoints.find(endpoint => endpoint.key === pair.a)?.label} vs {endpoints.find(endpoint => endpoint.key === pair.b)?.label}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
+            <Button
+              variant="text"
+              startIcon={<SettingsIcon />}
+              onClick={() => setRegistryOpen(true)}
+              disabled={loading}
+            >
+              Manage Endpoints
+            </Button>
+
+            <Button
+              variant="text"
+              startIcon={<TuneIcon />}
+              onClick={() => setRequestSettingsOpen(true)}
+              disabled={loading}
+            >
+              Request Settings
+            </Button>
+
+            {renderComparisonSettings()}
+
+            <Button
+              variant="text"
+              startIcon={<HistoryIcon />}
+              onClick={() => setRecentRunsOpen(true)}
+              disabled={loading}
+            >
+              Recent Runs
+            </Button>
+          </Box>
+
           <input
-            accept=".xlsx, .xls"
+            accept={ACCEPTED_EXTENSIONS}
             style={{ display: 'none' }}
             id="excel-file"
             type="file"
@@ -866,9 +1271,103 @@ function App() {
               component="span"
               startIcon={<UploadFileIcon />}
             >
-              {file ? file.name : 'Select Excel File'}
+              {file ? file.name : 'Select Input File'}
             </Button>
           </label>
+          {file && inputEncoding && (
+            <Typography
+              variant="caption"
+              color={inputEncoding === FALLBACK_ENCODING ? 'warning.main' : 'text.secondary'}
+            >
+              Encoding: {inputEncoding}{inputEncoding === FALLBACK_ENCODING && ' (not valid UTF-8)'}
+            </Typography>
+          )}
+
+          <Button
+            variant="outlined"
+            onClick={() => setPasteOpen(true)}
+            disabled={loading}
+            startIcon={<ContentPasteIcon />}
+          >
+            Paste Names
+          </Button>
+
+          <Button
+            variant="outlined"
+            onClick={() => setVariantsOpen(true)}
+            disabled={loading}
+            startIcon={<ShuffleIcon />}
+          >
+            Generate Variants
+          </Button>
+
+          <label htmlFor="replay-file">
+            <Button variant="outlined" component="span" disabled={loading} startIcon={<ReplayIcon />}>
+              Replay Archive
+            </Button>
+          </label>
+          
+          <TextField
+            size="small"
+            type="number"
+            label="Workers"
+            value={concurrency}
+            onChange={(e) => setConcurrency(Math.max(1, Math.min(MAX_CONCURRENCY, Number(e.target.value) || 1)))}
+            inputProps={{ min: 1, max: MAX_CONCURRENCY }}
+            disabled={loading}
+            sx={{ width: 100 }}
+          />
+          
+          <TextField
+            size="small"
+            type="number"
+            label="Names per request"
+            value={batchSize}
+            onChange={(e) => setBatchSize(Math.max(1, Math.min(MAX_BATCH_SIZE, Number(e.target.value) || 1)))}
+            inputProps={{ min: 1, max: MAX_BATCH_SIZE }}
+            disabled={loading}
+            sx={{ width: 150 }}
+          />
+          
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={parallelVersions}
+                onChange={(e) => setParallelVersions(e.target.checked)}
+                disabled={loading}
+              />
+            }
+            label="Call versions in parallel"
+          />
+
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={recordResponses}
+                onChange={(e) => setRecordResponses(e.target.checked)}
+                disabled={loading}
+              />
+            }
+            label="Record responses"
+          />
+          
+          <Button
+            variant="outlined"
+            onClick={() => setLoaderOpen(true)}
+            disabled={workbookSheets.length === 0 || loading}
+            startIcon={<ViewListIcon />}
+          >
+            Sheet &amp; Range
+          </Button>
+
+          <Button
+            variant="outlined"
+            onClick={() => setMappingOpen(true)}
+            disabled={sheetData.length === 0 || loading}
+            startIcon={<TableChartIcon />}
+          >
+            Map Columns
+          </Button>
           
           <Button
             variant="contained"
@@ -877,34 +1376,134 @@ function App() {
             disabled={!file || loading}
             startIcon={loading ? <CircularProgress size={20} /> : <PlayArrowIcon />}
           >
-            {loading ? 'Processing...' : 'Process'}
+            {loading ? (paused ? 'Paused' : 'Processing...') : 'Process'}
           </Button>
+          
+          {loading && (
+            <>
+              <Button
+                variant="outlined"
+                onClick={handlePauseResume}
+                startIcon={paused ? <PlayArrowIcon /> : <PauseIcon />}
+              >
+                {paused ? 'Resume' : 'Pause'}
+              </Button>
+              <Button
+                variant="outlined"
+                color="error"
+                onClick={handleCancel}
+                startIcon={<StopIcon />}
+              >
+                Cancel
+              </Button>
+            </>
+          )}
           <Box sx={{ mt: 2, display: 'flex', gap: 2 }}>
-            <Button
-              variant="contained"
-              color="primary"
-              onClick={exportToExcel}
-              disabled={results.length === 0}
-              startIcon={<Download />}
-            >
-              Export All to Excel
-            </Button>
-            
-            <Button
-              variant="outlined"
-              color="primary"
-              onClick={exportOnlyInToExcel}
-              disabled={onlyInResults.length === 0}
-              startIcon={<Download />}
-            >
-              Export Only in V2/V4
-            </Button>
+            {renderResultActions()}
           </Box>
         </Box>
       )}
       
+      <input
+        accept=".json,application/json"
+        style={{ display: 'none' }}
+        id="replay-file"
+        type="file"
+        onChange={handleReplayFile}
+      />
+
       {renderResults()}
 
+      <EnvironmentProfilesDialog
+        open={profilesOpen}
+        activeProfileId={activeProfile.id}
+        onChange={handleProfilesChange}
+        onActivate={handleActivateProfile}
+        onClose={() => setProfilesOpen(false)}
+        onNotify={handleNotify}
+      />
+
+      <EndpointRegistryDialog
+        open={registryOpen}
+        endpoints={endpoints}
+        onChange={handleEndpointsChange}
+        onClose={() => setRegistryOpen(false)}
+        onError={(message) => showSnackbar(message, 'error')}
+      />
+
+      <RequestSettingsDialog
+        open={requestSettingsOpen}
+        onClose={() => setRequestSettingsOpen(false)}
+        onSaved={() => {
+          setRequestSettingsOpen(false);
+          showSnackbar('Request settings saved', 'success');
+        }}
+      />
+
+      <WorkbookLoaderDialog
+        open={loaderOpen}
+        fileName={file?.name}
+        sheets={workbookSheets}
+        onConfirm={handleLoaderConfirm}
+        onClose={() => setLoaderOpen(false)}
+      />
+
+      <PasteNamesDialog
+        open={pasteOpen}
+        onConfirm={handlePasteConfirm}
+        onClose={() => setPasteOpen(false)}
+      />
+
+      <VariantGeneratorDialog
+        open={variantsOpen}
+        loadedNames={loadedRecords.map(record => record.fullName)}
+        onConfirm={handleVariantsConfirm}
+        onClose={() => setVariantsOpen(false)}
+      />
+
+      <ResponseInspectorDrawer
+        key={inspectedResult?.id ?? 'closed'}
+        result={inspectedResult}
+        versions={runConfig.versions}
+        profile={runConfig.profile}
+        initialPair={runConfig.pairs[0]}
+        onClose={() => setInspectedResult(null)}
+        onNotify={handleNotify}
+      />
+
+      <ComparedFieldsDialog
+        open={comparedFieldsOpen}
+        fields={comparedFields}
+        onSave={handleComparedFieldsSave}
+        onClose={() => setComparedFieldsOpen(false)}
+      />
+
+      <MatchIdentityDialog
+        open={matchIdentityOpen}
+        identity={matchIdentity}
+        onSave={handleMatchIdentitySave}
+        onClose={() => setMatchIdentityOpen(false)}
+      />
+
+      <RecentRunsDialog
+        open={recentRunsOpen}
+        activeRunId={activeRunId}
+        onOpenRun={handleOpenRun}
+        onResumeRun={handleResumeRun}
+        onClose={() => setRecentRunsOpen(false)}
+        onError={handleRunsError}
+      />
+
+      <ColumnMappingDialog
+        open={mappingOpen}
+        headers={(sheetData[0] || []).map(String)}
+        rows={sheetData.slice(1)}
+        encoding={inputEncoding}
+        initialMapping={columnMapping}
+        onConfirm={handleMappingConfirm}
+        onClose={() => setMappingOpen(false)}
+      />
+
       <Snackbar
         open={snackbar.open}
         autoHideDuration={6000}
@@ -1,8 +1,60 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { saveAs } from 'file-saver';
 import App from './App';
+import { createArchive, serializeArchive } from './services/responseArchive';
+import { buildMatchingRequest } from './services/matchingRequest';
 
-test('renders learn react link', () => {
+jest.mock('file-saver', () => ({ saveAs: jest.fn() }));
+
+const versions = [
+  { key: 'v1_2', label: 'V2', path: '/namecheck/rule-matching/v1.2' },
+  { key: 'v2', label: 'V4', path: '/namecheck/rule-matching/v2' }
+];
+
+const recordedArchive = () => {
+  const archive = createArchive({
+    source: 'names.xlsx',
+    versions,
+    pairs: [{ a: 'v1_2', b: 'v2', key: 'v1_2|v2' }],
+    records: [{ fullName: 'John Smith' }],
+    settings: { batchSize: 1, parallel: false }
+  });
+  archive.exchanges = versions.map(version => ({
+    endpoint: version.key,
+    path: version.path,
+    request: { matchingRequestDto: [buildMatchingRequest({ fullName: 'John Smith' })] },
+    status: 200,
+    response: { responses: [{ rulesDetails: { sdnid: '1', sdnname: 'SMITH, John' } }] },
+    duration: 10,
+    recordedAt: archive.createdAt
+  }));
+  return archive;
+};
+
+test('asks for sign-in and offers offline replay without a session', async () => {
+  render(<App />);
+  expect(await screen.findByRole('button', { name: /sign in/i })).toBeInTheDocument();
+  expect(screen.getByText(/replay archive/i)).toBeInTheDocument();
+});
+
+test('exports a replayed archive without a session', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await screen.findByRole('button', { name: /sign in/i });
+  expect(screen.queryByRole('button', { name: /more exports/i })).not.toBeInTheDocument();
+
+  // jsdom's File has no text(), which the replay reads the archive with
+  const archiveFile = new File([], 'responses.json', { type: 'application/json' });
+  archiveFile.text = async () => serializeArchive(recordedArchive());
+  fireEvent.change(screen.getByLabelText(/replay archive/i), { target: { files: [archiveFile] } });
+
+  const moreExports = await screen.findByRole('button', { name: /more exports/i });
+  expect(screen.getByRole('button', { name: /compared fields/i })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /match identity/i })).toBeInTheDocument();
+  await waitFor(() => expect(moreExports).toBeEnabled());
+
+  fireEvent.click(moreExports);
+  fireEvent.click(await screen.findByRole('menuitem', { name: /json/i }));
+
+  expect(saveAs).toHaveBeenCalledTimes(1);
+  expect(saveAs.mock.calls[0][1]).toMatch(/\.json$/);
 });
@@ -0,0 +1,97 @@
+/** @jest-environment node */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as XLSX from 'xlsx';
+import { main } from '../cli/run.mjs';
+import { createMockServer } from '../mock-server';
+import { createMatcher, runComparison } from './services/comparisonCore';
+import { createArchive, createRecordingPost, serializeArchive } from './services/responseArchive';
+import { getOnlyInFileName, getScreeningFileName } from './services/excelReports';
+
+const versions = [
+  { key: 'v1_2', label: 'V2', path: '/namecheck/rule-matching/v1.2' },
+  { key: 'v2', label: 'V4', path: '/namecheck/rule-matching/v2' }
+];
+const pairs = [{ a: 'v1_2', b: 'v2', key: 'v1_2|v2' }];
+
+const fixtures = {
+  defaults: { latencyMs: 0, errorRate: 0, errorStatus: 503 },
+  versions: { 'v1.2': {}, v2: {} },
+  names: [
+    {
+      name: 'Mohammed Al Rashid',
+      hits: [{ sdnid: '1', sdnname: 'AL-RASHID, Mohammed' }, { sdnid: '2', sdnname: 'AL RASHEED, Muhammad' }],
+      versions: { v2: { remove: ['2'] } }
+    }
+  ]
+};
+
+let dir;
+
+// Archive recorded against the mock server, for runs without any network
+const writeArchive = async () => {
+  const records = [{ fullName: 'Mohammed Al Rashid' }, { fullName: 'Jane Doe' }];
+  const archive = createArchive({ source: 'names.xlsx', versions, pairs, records, settings: { batchSize: 1, parallel: false } });
+  const matcher = createMatcher({
+    post: createRecordingPost(createMockServer({ fixtures, latency: false }).post, archive),
+    getPolicy: () => ({ timeoutMs: 1000, maxRetries: 0, baseDelayMs: 0, maxDelayMs: 0 })
+  });
+  await runComparison(records.map((record, i) => ({ record, i })), { matcher, endpoints: versions, pairs });
+
+  const file = path.join(dir, 'archive.json');
+  fs.writeFileSync(file, serializeArchive(archive));
+  return file;
+};
+
+const writeConfig = (config) => {
+  const file = path.join(dir, 'config.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+};
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'namecheck-cli-'));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('rejects invalid arguments with exit code 2', async () => {
+  const archive = await writeArchive();
+
+  expect(await main([])).toBe(2);
+  expect(await main(['--config'])).toBe(2);
+  expect(await main(['names.xlsx'])).toBe(2);
+  expect(await main(['--replay', archive, '--input', 'names.xlsx'])).toBe(2);
+  expect(await main(['--replay', archive, '--record', path.join(dir, 'again.json')])).toBe(2);
+  expect(await main(['--help'])).toBe(0);
+  expect(fs.readdirSync(dir)).toEqual(['archive.json']);
+});
+
+test('replays an archive into the reports and exits 0 within the thresholds', async () => {
+  const archive = await writeArchive();
+  const out = path.join(dir, 'reports');
+
+  expect(await main(['--replay', archive, '--out', out, '--config', writeConfig({ thresholds: { maxDivergentNames: 1 } })])).toBe(0);
+
+  const onlyInFile = path.join(out, getOnlyInFileName(versions));
+  expect(fs.readdirSync(out).sort()).toEqual([getScreeningFileName(), getOnlyInFileName(versions)].sort());
+  const onlyIn = XLSX.readFile(onlyInFile);
+  expect(JSON.stringify(XLSX.utils.sheet_to_json(onlyIn.Sheets[onlyIn.SheetNames[0]]))).toContain('Mohammed Al Rashid');
+});
+
+test('exits 1 when a threshold is exceeded and 2 when the run fails', async () => {
+  const archive = await writeArchive();
+
+  expect(await main(['--replay', archive, '--out', dir, '--config', writeConfig({ thresholds: { maxDivergentNames: 0 } })])).toBe(1);
+  expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Threshold exceeded'));
+
+  fs.writeFileSync(archive, '{"format":"something-else"}');
+  expect(await main(['--replay', archive, '--out', dir])).toBe(2);
+  expect(console.error).toHaveBeenCalledWith('Comparison run failed: Not a response archive');
+});
@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import { REQUEST_FIELDS, buildMatchingRequest } from '../services/matchingRequest';
+import { MAPPABLE_FIELDS, mapRow } from '../services/columnMapping';
+import { FALLBACK_ENCODING } from '../services/inputParser';
+
+const PREVIEW_ROWS = 5;
+
+// Dialog for binding each spreadsheet header to a matchingRequestDto field
+function ColumnMappingDialog({ open, headers, rows, encoding, initialMapping, onConfirm, onClose }) {
+  const [mapping, setMapping] = useState({});
+
+  useEffect(() => {
+    if (open) {
+      setMapping(initialMapping || {});
+    }
+  }, [open, initialMapping]);
+
+  const getFieldForColumn = (columnIndex) => {
+    return Object.keys(mapping).find(fieldKey => mapping[fieldKey] === columnIndex) || '';
+  };
+
+  const handleColumnChange = (columnIndex, fieldKey) => {
+    setMapping(prev => {
+      // A column maps to at most one field and a field to at most one column
+      const next = Object.fromEntries(
+        Object.entries(prev).filter(([key, index]) => index !== columnIndex && key !== fieldKey)
+      );
+      if (fieldKey) {
+        next[fieldKey] = columnIndex;
+      }
+      return next;
+    });
+  };
+
+  const previewRows = rows.slice(0, PREVIEW_ROWS);
+  const mappedFields = REQUEST_FIELDS.filter(field => mapping[field.key] !== undefined);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Map Columns to Request Fields</DialogTitle>
+      <DialogContent>
+        {encoding && (
+          <Typography variant="body2" color={encoding === FALLBACK_ENCODING ? 'warning.main' : 'text.secondary'} sx={{ mb: 1 }}>
+            {encoding === FALLBACK_ENCODING
+              ? `Not valid UTF-8: decoded as ${FALLBACK_ENCODING}. Check that accented names look right below.`
+              : `Decoded as ${encoding}.`}
+          </Typography>
+        )}
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell style={{ fontWeight: 'bold' }}>Column</TableCell>
+                <TableCell style={{ fontWeight: 'bold' }}>Request Field</TableCell>
+                <TableCell style={{ fontWeight: 'bold' }}>Sample Value</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {headers.map((header, columnIndex) => (
+                <TableRow key={columnIndex}>
+                  <TableCell>{header || `Column ${columnIndex + 1}`}</TableCell>
+                  <TableCell>
+                    <Select
+                      size="small"
+                      displayEmpty
+                      value={getFieldForColumn(columnIndex)}
+                      onChange={(e) => handleColumnChange(columnIndex, e.target.value)}
+                      sx={{ minWidth: 200 }}
+                    >
+                      <MenuItem value="">
+                        <em>Ignore</em>
+                      </MenuItem>
+                      {MAPPABLE_FIELDS.map(field => (
+                        <MenuItem key={field.key} value={field.key}>
+                          {field.label} ({field.key})
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </TableCell>
+                  <TableCell>{previewRows[0]?.[columnIndex] ?? ''}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+          Request Preview (first {previewRows.length} rows)
+        </Typography>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                {mappedFields.map(field => (
+                  <TableCell key={field.key} style={{ fontWeight: 'bold' }}>{field.key}</TableCell>
+                ))}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {previewRows.map((row, idx) => {
+                const request = buildMatchingRequest(mapRow(row, mapping));
+                return (
+                  <TableRow key={idx}>
+                    {mappedFields.map(field => (
+                      <TableCell key={field.key}>{String(request[field.key])}</TableCell>
+                    ))}
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        {mapping.fullName === undefined && (
+          <Typography color="error" sx={{ mt: 2 }}>
+            Map a column to fullName to continue.
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={() => onConfirm(mapping)}
+          disabled={mapping.fullName === undefined}
+        >
+          Save Mapping
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ColumnMappingDialog;
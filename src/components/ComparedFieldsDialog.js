@@ -0,0 +1,48 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  TextField
+} from '@mui/material';
+import { DEFAULT_COMPARED_FIELDS } from '../services/sdnComparison';
+
+// Dialog for choosing which response fields are compared on SDN hits shared by two versions
+function ComparedFieldsDialog({ open, fields, onSave, onClose }) {
+  const [text, setText] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setText(fields.join('\n'));
+    }
+  }, [open, fields]);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Compared Fields</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          One dot path per line, relative to each response item (for example rulesDetails.score).
+          Hits with the same SDN ID in both versions are reported as changed when any of these fields differ.
+        </DialogContentText>
+        <TextField
+          multiline
+          fullWidth
+          minRows={6}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={() => setText(DEFAULT_COMPARED_FIELDS.join('\n'))}>Reset to Defaults</Button>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={() => onSave(text.split('\n'))}>Save</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ComparedFieldsDialog;
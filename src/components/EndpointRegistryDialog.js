@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Box
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import AddIcon from '@mui/icons-material/Add';
+import endpointRegistry from '../services/endpointRegistry';
+
+// Dialog for adding, relabelling and removing matcher endpoints at runtime
+function EndpointRegistryDialog({ open, endpoints, onChange, onClose, onError }) {
+  const [newLabel, setNewLabel] = useState('');
+  const [newPath, setNewPath] = useState('');
+
+  const runRegistryAction = (action) => {
+    try {
+      onChange(action());
+    } catch (error) {
+      onError(error.message);
+    }
+  };
+
+  const handleAdd = () => {
+    runRegistryAction(() => endpointRegistry.addEndpoint({ label: newLabel, path: newPath }));
+    setNewLabel('');
+    setNewPath('');
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Matcher Endpoints</DialogTitle>
+      <DialogContent>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell style={{ fontWeight: 'bold' }}>Key</TableCell>
+              <TableCell style={{ fontWeight: 'bold' }}>Label</TableCell>
+              <TableCell style={{ fontWeight: 'bold' }}>Path</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {endpoints.map(endpoint => (
+              <TableRow key={endpoint.key}>
+                <TableCell>{endpoint.key}</TableCell>
+                <TableCell>
+                  <TextField
+                    key={endpoint.label}
+                    size="small"
+                    variant="standard"
+                    defaultValue={endpoint.label}
+                    onBlur={(e) => runRegistryAction(() => endpointRegistry.updateEndpoint(endpoint.key, { label: e.target.value }))}
+                  />
+                </TableCell>
+                <TableCell>
+                  <TextField
+                    key={endpoint.path}
+                    size="small"
+                    variant="standard"
+                    fullWidth
+                    defaultValue={endpoint.path}
+                    onBlur={(e) => runRegistryAction(() => endpointRegistry.updateEndpoint(endpoint.key, { path: e.target.value }))}
+                  />
+                </TableCell>
+                <TableCell align="right">
+                  <IconButton
+                    aria-label={`Remove ${endpoint.label}`}
+                    onClick={() => runRegistryAction(() => endpointRegistry.removeEndpoint(endpoint.key))}
+                    disabled={endpoints.length <= 1}
+                  >
+                    <DeleteIcon />
+                  </IconButton>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        <Box sx={{ mt: 2, display: 'flex', gap: 2, alignItems: 'center' }}>
+          <TextField
+            size="small"
+            label="Label"
+            value={newLabel}
+            onChange={(e) => setNewLabel(e.target.value)}
+          />
+          <TextField
+            size="small"
+            label="Path or version (e.g. v3-rc1)"
+            value={newPath}
+            onChange={(e) => setNewPath(e.target.value)}
+            sx={{ flexGrow: 1 }}
+          />
+          <Button
+            variant="outlined"
+            startIcon={<AddIcon />}
+            onClick={handleAdd}
+            disabled={!newLabel.trim() || !newPath.trim()}
+          >
+            Add
+          </Button>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={() => runRegistryAction(() => endpointRegistry.resetEndpoints())}>
+          Reset to Defaults
+        </Button>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default EndpointRegistryDialog;
@@ -0,0 +1,173 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  List,
+  ListItemButton,
+  ListItemText,
+  TextField,
+  Typography
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import { saveAs } from 'file-saver';
+import environmentProfiles, { PROFILE_FIELDS } from '../services/environmentProfiles';
+
+// Dialog for defining environment profiles, choosing the active one and importing/exporting them as JSON
+function EnvironmentProfilesDialog({ open, activeProfileId, onChange, onActivate, onClose, onNotify }) {
+  const [profiles, setProfiles] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState({});
+  const [newName, setNewName] = useState('');
+  const importInputRef = useRef(null);
+
+  const selectProfile = (profile) => {
+    setSelectedId(profile.id);
+    setDraft(Object.fromEntries(PROFILE_FIELDS.map(field => [field.key, profile[field.key] ?? ''])));
+  };
+
+  useEffect(() => {
+    if (open) {
+      const loaded = environmentProfiles.getProfiles();
+      setProfiles(loaded);
+      selectProfile(loaded.find(profile => profile.id === activeProfileId) || loaded[0]);
+      setNewName('');
+    }
+  }, [open, activeProfileId]);
+
+  const selected = profiles.find(profile => profile.id === selectedId);
+
+  // Apply a change to the stored profiles, then refresh the list and tell the app
+  const runProfileAction = (action, successMessage) => {
+    try {
+      action();
+      const updated = environmentProfiles.getProfiles();
+      setProfiles(updated);
+      onChange(updated);
+      if (successMessage) onNotify(successMessage, 'success');
+      return updated;
+    } catch (error) {
+      onNotify(error.message, 'error');
+      return null;
+    }
+  };
+
+  const handleAdd = () => {
+    const updated = runProfileAction(() => environmentProfiles.addProfile(newName), `Added profile "${newName.trim()}"`);
+    if (updated) {
+      selectProfile(updated[updated.length - 1]);
+      setNewName('');
+    }
+  };
+
+  const handleDelete = () => {
+    const updated = runProfileAction(() => environmentProfiles.removeProfile(selectedId), `Deleted profile "${selected.name}"`);
+    if (updated) {
+      selectProfile(updated[0]);
+    }
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([environmentProfiles.exportProfiles()], { type: 'application/json' });
+    saveAs(blob, `environment_profiles_${new Date().toISOString().slice(0, 10)}.json`);
+  };
+
+  const handleImport = async (e) => {
+    const importFile = e.target.files[0];
+    e.target.value = '';
+    if (!importFile) return;
+
+    try {
+      const count = environmentProfiles.importProfiles(await importFile.text());
+      const updated = environmentProfiles.getProfiles();
+      setProfiles(updated);
+      onChange(updated);
+      onNotify(`Imported ${count} profile${count === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+      console.error('Error importing profiles:', error);
+      onNotify(`Import failed: ${error.message}`, 'error');
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Environment Profiles</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', gap: 3 }}>
+          <Box sx={{ minWidth: 200 }}>
+            <List dense>
+              {profiles.map(profile => (
+                <ListItemButton key={profile.id} selected={profile.id === selectedId} onClick={() => selectProfile(profile)}>
+                  <ListItemText
+                    primary={profile.name}
+                    secondary={profile.id === activeProfileId ? 'Active' : profile.apiBaseUrl || 'Same origin'}
+                  />
+                </ListItemButton>
+              ))}
+            </List>
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+              <TextField size="small" label="New profile" value={newName} onChange={(e) => setNewName(e.target.value)} />
+              <Button aria-label="Add profile" onClick={handleAdd} disabled={!newName.trim()}>
+                <AddIcon />
+              </Button>
+            </Box>
+          </Box>
+
+          {selected && (
+            <Box sx={{ flex: 1, display: 'flex', flexDirection: 'column', gap: 2 }}>
+              {PROFILE_FIELDS.map(field => (
+                <TextField
+                  key={field.key}
+                  size="small"
+                  label={field.label}
+                  required={field.required}
+                  value={draft[field.key] ?? ''}
+                  onChange={(e) => setDraft(prev => ({ ...prev, [field.key]: e.target.value }))}
+                />
+              ))}
+              <Typography variant="body2" color="textSecondary">
+                Endpoints: {selected.endpoints.map(endpoint => `${endpoint.label} (${endpoint.path})`).join(', ')}.
+                Edit them with Manage Endpoints while this profile is active. Each profile signs in separately.
+              </Typography>
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <Button
+                  variant="contained"
+                  onClick={() => runProfileAction(() => environmentProfiles.updateProfile(selectedId, draft), 'Profile saved')}
+                >
+                  Save
+                </Button>
+                <Button
+                  variant="outlined"
+                  onClick={() => onActivate(selectedId)}
+                  disabled={selectedId === activeProfileId}
+                >
+                  Use This Profile
+                </Button>
+                <Button color="error" onClick={handleDelete} disabled={profiles.length <= 1}>
+                  Delete
+                </Button>
+              </Box>
+            </Box>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".json"
+          style={{ display: 'none' }}
+          onChange={handleImport}
+        />
+        <Button onClick={() => importInputRef.current.click()}>Import JSON</Button>
+        <Button onClick={handleExport}>Export JSON</Button>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default EnvironmentProfilesDialog;
@@ -0,0 +1,142 @@
+import React, { useMemo } from 'react';
+import {
+  Box,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import {
+  NAME_OUTCOMES,
+  OUTCOME_LABELS,
+  evaluateName,
+  evaluateRun,
+  isEvaluated
+} from '../services/goldenEvaluation';
+
+const OUTCOME_COLORS = {
+  [NAME_OUTCOMES.EXACT]: 'rgba(0, 200, 0, 0.1)',
+  [NAME_OUTCOMES.TRUE_NEGATIVE]: 'rgba(0, 200, 0, 0.1)',
+  [NAME_OUTCOMES.PARTIAL]: '#fff3cd',
+  [NAME_OUTCOMES.MISSED]: '#ffebee',
+  [NAME_OUTCOMES.FALSE_ALARM]: '#ffebee'
+};
+
+const formatPercent = (value) => (value === null ? 'N/A' : `${(value * 100).toFixed(1)}%`);
+
+// Precision, recall and F1 per version against the expected-hits column, with a per-name breakdown
+function EvaluationPanel({ results, versions }) {
+  const evaluation = useMemo(() => evaluateRun(results, versions), [results, versions]);
+  const evaluated = useMemo(() => results.filter(isEvaluated), [results]);
+
+  if (evaluated.length === 0) {
+    return (
+      <Paper sx={{ p: 3, mt: 2, textAlign: 'center' }}>
+        <Typography variant="body1" color="textSecondary">
+          No expected hits in this run. Map an "Expected SDN IDs" column (IDs separated by ; or "none") to evaluate versions.
+        </Typography>
+      </Paper>
+    );
+  }
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="subtitle1">Scores ({evaluated.length} names with expected hits)</Typography>
+      <TableContainer component={Paper} sx={{ mb: 3 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              {['Version', 'Precision', 'Recall', 'F1', 'TP', 'FP', 'FN', 'TN'].map(header => (
+                <TableCell key={header} style={{ fontWeight: 'bold' }}>{header}</TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {versions.map(version => {
+              const stats = evaluation[version.key];
+              return (
+                <TableRow key={version.key}>
+                  <TableCell>{version.label}</TableCell>
+                  <TableCell>{formatPercent(stats.precision)}</TableCell>
+                  <TableCell>{formatPercent(stats.recall)}</TableCell>
+                  <TableCell>{formatPercent(stats.f1)}</TableCell>
+                  <TableCell>{stats.tp}</TableCell>
+                  <TableCell>{stats.fp}</TableCell>
+                  <TableCell>{stats.fn}</TableCell>
+                  <TableCell>{stats.tn}</TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Typography variant="subtitle1">Confusion Breakdown (names per outcome)</Typography>
+      <TableContainer component={Paper} sx={{ mb: 3 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell style={{ fontWeight: 'bold' }}>Outcome</TableCell>
+              {versions.map(version => (
+                <TableCell key={version.key} style={{ fontWeight: 'bold' }}>{version.label}</TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {Object.values(NAME_OUTCOMES).map(outcome => (
+              <TableRow key={outcome}>
+                <TableCell style={{ backgroundColor: OUTCOME_COLORS[outcome] }}>{OUTCOME_LABELS[outcome]}</TableCell>
+                {versions.map(version => (
+                  <TableCell key={version.key}>{evaluation[version.key].outcomes[outcome]}</TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Typography variant="subtitle1">By Name</Typography>
+      <TableContainer component={Paper} sx={{ maxHeight: '60vh', overflow: 'auto' }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell style={{ fontWeight: 'bold' }}>Name</TableCell>
+              <TableCell style={{ fontWeight: 'bold' }}>Expected</TableCell>
+              {versions.map(version => (
+                <TableCell key={version.key} style={{ fontWeight: 'bold' }}>{version.label}</TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {evaluated.map(result => (
+              <TableRow key={result.id}>
+                <TableCell>{result.name}</TableCell>
+                <TableCell>{result.expected.length ? result.expected.join(', ') : 'none'}</TableCell>
+                {versions.map(version => {
+                  const nameEvaluation = evaluateName(result.expected, result.versions?.[version.key]);
+                  return (
+                    <TableCell key={version.key} style={{ backgroundColor: OUTCOME_COLORS[nameEvaluation.outcome] }}>
+                      <div>{OUTCOME_LABELS[nameEvaluation.outcome]}</div>
+                      {nameEvaluation.falsePositives.length > 0 && (
+                        <Typography variant="body2">Unexpected: {nameEvaluation.falsePositives.join(', ')}</Typography>
+                      )}
+                      {nameEvaluation.falseNegatives.length > 0 && (
+                        <Typography variant="body2">Missed: {nameEvaluation.falseNegatives.join(', ')}</Typography>
+                      )}
+                    </TableCell>
+                  );
+                })}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+}
+
+export default EvaluationPanel;
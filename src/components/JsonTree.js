@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { Box } from '@mui/material';
+import { DIFF_TYPES, joinPath } from '../services/jsonDiff';
+
+const DIFF_COLORS = {
+  [DIFF_TYPES.ADDED]: '#e8f5e9',
+  [DIFF_TYPES.REMOVED]: '#ffebee',
+  [DIFF_TYPES.CHANGED]: '#fff3cd',
+  contains: 'transparent'
+};
+
+const formatPrimitive = (value) => (typeof value === 'string' ? `"${value}"` : String(value));
+
+// One node of the tree; objects and arrays can be expanded and collapsed
+function JsonNode({ label, value, path, depth, diffPaths }) {
+  const [open, setOpen] = useState(depth < 2);
+  const status = diffPaths?.get(path);
+  const isContainer = value !== null && typeof value === 'object';
+  const style = {
+    backgroundColor: status ? DIFF_COLORS[status] : 'transparent',
+    fontWeight: status === 'contains' ? 'bold' : 'normal'
+  };
+
+  if (!isContainer) {
+    return (
+      <Box sx={{ pl: 2 }} style={style}>
+        {label !== undefined && <span style={{ color: '#6a1b9a' }}>{label}: </span>}
+        <span>{formatPrimitive(value)}</span>
+      </Box>
+    );
+  }
+
+  const entries = Array.isArray(value) ? value.map((item, idx) => [idx, item]) : Object.entries(value);
+  const [openBracket, closeBracket] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+
+  return (
+    <Box sx={{ pl: 2 }}>
+      <span style={{ cursor: 'pointer', ...style }} onClick={() => setOpen(prev => !prev)}>
+        {open ? '▾' : '▸'} {label !== undefined && <span style={{ color: '#6a1b9a' }}>{label}: </span>}
+        {openBracket}{!open && ` ${entries.length} ${Array.isArray(value) ? 'items' : 'keys'} ${closeBracket}`}
+      </span>
+      {open && (
+        <>
+          {entries.map(([key, child]) => (
+            <JsonNode
+              key={key}
+              label={key}
+              value={child}
+              path={joinPath(path, key)}
+              depth={depth + 1}
+              diffPaths={diffPaths}
+            />
+          ))}
+          <Box sx={{ pl: 2 }}>{closeBracket}</Box>
+        </>
+      )}
+    </Box>
+  );
+}
+
+// Collapsible JSON viewer; `diffPaths` (from indexDiffPaths) highlights differing nodes
+function JsonTree({ value, diffPaths }) {
+  return (
+    <Box sx={{ fontFamily: 'monospace', fontSize: 12, ml: -2 }}>
+      <JsonNode value={value} path="$" depth={0} diffPaths={diffPaths} />
+    </Box>
+  );
+}
+
+export default JsonTree;
@@ -0,0 +1,217 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Box,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import {
+  STAT_COLUMNS,
+  buildHistogram,
+  computeRunLatencyStats,
+  getNameDuration,
+  getScatterPoints,
+  getSlowestNames,
+  getVersionDurations,
+  hasBatchedDurations
+} from '../services/latencyStats';
+
+const COLORS = ['#1976d2', '#d32f2f', '#388e3c', '#f57c00', '#7b1fa2', '#0097a7'];
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 260;
+const MARGIN = { top: 10, right: 10, bottom: 40, left: 50 };
+
+const formatMs = (value) => (value === null || value === undefined ? 'N/A' : value.toFixed(2));
+
+// Grouped histogram of latencies, one bar colour per version
+function Histogram({ versions, results }) {
+  const { bins, counts } = useMemo(() => buildHistogram(
+    Object.fromEntries(versions.map(version => [version.key, getVersionDurations(results, version.key)]))
+  ), [versions, results]);
+
+  if (bins.length === 0) return null;
+
+  const plotWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+  const maxCount = Math.max(1, ...Object.values(counts).flat());
+  const binWidth = plotWidth / bins.length;
+  const barWidth = binWidth / versions.length;
+
+  return (
+    <svg width={CHART_WIDTH} height={CHART_HEIGHT} role="img" aria-label="Latency histogram">
+      <g transform={`translate(${MARGIN.left},${MARGIN.top})`}>
+        {bins.map((bin, binIdx) => versions.map((version, versionIdx) => {
+          const height = (counts[version.key][binIdx] / maxCount) * plotHeight;
+          return (
+            <rect
+              key={`${binIdx}-${version.key}`}
+              x={binIdx * binWidth + versionIdx * barWidth}
+              y={plotHeight - height}
+              width={Math.max(1, barWidth - 1)}
+              height={height}
+              fill={COLORS[versionIdx % COLORS.length]}
+            >
+              <title>{`${version.label}: ${counts[version.key][binIdx]} names, ${formatMs(bin.start)}–${formatMs(bin.end)} ms`}</title>
+            </rect>
+          );
+        }))}
+        <line x1={0} y1={plotHeight} x2={plotWidth} y2={plotHeight} stroke="#999" />
+        <line x1={0} y1={0} x2={0} y2={plotHeight} stroke="#999" />
+        <text x={0} y={plotHeight + 16} fontSize="11">{formatMs(bins[0].start)}</text>
+        <text x={plotWidth} y={plotHeight + 16} fontSize="11" textAnchor="end">{formatMs(bins[bins.length - 1].end)}</text>
+        <text x={plotWidth / 2} y={plotHeight + 32} fontSize="12" textAnchor="middle">Duration (ms)</text>
+        <text x={-8} y={8} fontSize="11" textAnchor="end">{maxCount}</text>
+      </g>
+    </svg>
+  );
+}
+
+// Per-name scatter of one version's latency against another's, with a y = x reference line
+function ScatterPlot({ results, xVersion, yVersion }) {
+  const points = useMemo(() => getScatterPoints(results, xVersion.key, yVersion.key), [results, xVersion, yVersion]);
+  if (points.length === 0) return null;
+
+  const plotWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+  const maxValue = Math.max(1, ...points.map(point => Math.max(point.x, point.y)));
+  const scale = (value, size) => (value / maxValue) * size;
+
+  return (
+    <svg width={CHART_WIDTH} height={CHART_HEIGHT} role="img" aria-label="Latency scatter plot">
+      <g transform={`translate(${MARGIN.left},${MARGIN.top})`}>
+        <line x1={0} y1={plotHeight} x2={plotWidth} y2={0} stroke="#ccc" strokeDasharray="4 4" />
+        {points.map((point, idx) => (
+          <circle
+            key={idx}
+            cx={scale(point.x, plotWidth)}
+            cy={plotHeight - scale(point.y, plotHeight)}
+            r={3}
+            fill={point.y < point.x ? COLORS[1] : COLORS[0]}
+            fillOpacity={0.6}
+          >
+            <title>{`${point.name}: ${xVersion.label} ${formatMs(point.x)} ms, ${yVersion.label} ${formatMs(point.y)} ms`}</title>
+          </circle>
+        ))}
+        <line x1={0} y1={plotHeight} x2={plotWidth} y2={plotHeight} stroke="#999" />
+        <line x1={0} y1={0} x2={0} y2={plotHeight} stroke="#999" />
+        <text x={plotWidth} y={plotHeight + 16} fontSize="11" textAnchor="end">{formatMs(maxValue)}</text>
+        <text x={plotWidth / 2} y={plotHeight + 32} fontSize="12" textAnchor="middle">{xVersion.label} (ms)</text>
+        <text x={-8} y={8} fontSize="11" textAnchor="end">{formatMs(maxValue)}</text>
+        <text transform={`translate(-38,${plotHeight / 2}) rotate(-90)`} fontSize="12" textAnchor="middle">{yVersion.label} (ms)</text>
+      </g>
+    </svg>
+  );
+}
+
+// Latency summary for the current run: per-version statistics, distribution charts and slowest names
+function LatencyPanel({ results, versions }) {
+  const [xKey, setXKey] = useState(versions[0]?.key || '');
+  const [yKey, setYKey] = useState(versions[1]?.key || '');
+
+  const stats = useMemo(() => computeRunLatencyStats(results, versions), [results, versions]);
+  const slowest = useMemo(() => getSlowestNames(results, versions), [results, versions]);
+  const batched = useMemo(() => hasBatchedDurations(results), [results]);
+  const xVersion = versions.find(version => version.key === xKey) || versions[0];
+  const yVersion = versions.find(version => version.key === yKey) || versions[1];
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      {batched && (
+        <Typography variant="body2" color="textSecondary" sx={{ mb: 1 }}>
+          Names were sent in batches: each name is credited with its batch call's time divided by the batch size.
+        </Typography>
+      )}
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell style={{ fontWeight: 'bold' }}>Version</TableCell>
+              {STAT_COLUMNS.map(column => (
+                <TableCell key={column.key} align="right" style={{ fontWeight: 'bold' }}>
+                  {column.label}{column.key === 'count' ? '' : ' (ms)'}
+                </TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {versions.map((version, idx) => (
+              <TableRow key={version.key}>
+                <TableCell style={{ color: COLORS[idx % COLORS.length], fontWeight: 'bold' }}>{version.label}</TableCell>
+                {STAT_COLUMNS.map(column => (
+                  <TableCell key={column.key} align="right">
+                    {column.key === 'count' ? stats[version.key].count : formatMs(stats[version.key][column.key])}
+                  </TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Box sx={{ mt: 3, display: 'flex', gap: 4, flexWrap: 'wrap' }}>
+        <Paper sx={{ p: 2 }}>
+          <Typography variant="subtitle1" gutterBottom>Latency Distribution</Typography>
+          <Histogram versions={versions} results={results} />
+        </Paper>
+
+        {xVersion && yVersion && (
+          <Paper sx={{ p: 2 }}>
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 1 }}>
+              <Typography variant="subtitle1">Per-name Latency</Typography>
+              <FormControl size="small">
+                <InputLabel id="scatter-x-label">X</InputLabel>
+                <Select labelId="scatter-x-label" label="X" value={xVersion.key} onChange={(e) => setXKey(e.target.value)}>
+                  {versions.map(version => <MenuItem key={version.key} value={version.key}>{version.label}</MenuItem>)}
+                </Select>
+              </FormControl>
+              <FormControl size="small">
+                <InputLabel id="scatter-y-label">Y</InputLabel>
+                <Select labelId="scatter-y-label" label="Y" value={yVersion.key} onChange={(e) => setYKey(e.target.value)}>
+                  {versions.map(version => <MenuItem key={version.key} value={version.key}>{version.label}</MenuItem>)}
+                </Select>
+              </FormControl>
+            </Box>
+            <ScatterPlot results={results} xVersion={xVersion} yVersion={yVersion} />
+          </Paper>
+        )}
+      </Box>
+
+      <Typography variant="subtitle1" sx={{ mt: 3 }}>Slowest Names</Typography>
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell style={{ fontWeight: 'bold' }}>Name</TableCell>
+              {versions.map(version => (
+                <TableCell key={version.key} align="right" style={{ fontWeight: 'bold' }}>{version.label} (ms)</TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {slowest.map((item, idx) => (
+              <TableRow key={idx}>
+                <TableCell>{item.name}</TableCell>
+                {versions.map(version => (
+                  <TableCell key={version.key} align="right">
+                    {formatMs(getNameDuration(item.result.versions?.[version.key]))}
+                  </TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+}
+
+export default LatencyPanel;
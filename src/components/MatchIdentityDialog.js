@@ -0,0 +1,79 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  FormControlLabel,
+  Radio,
+  RadioGroup,
+  TextField
+} from '@mui/material';
+import {
+  DEFAULT_MATCH_IDENTITY,
+  MATCH_STRATEGIES,
+  STRATEGY_LABELS,
+  sanitizeIdentity
+} from '../services/matchIdentity';
+
+// Dialog for choosing how hits from two versions are recognised as the same entity
+function MatchIdentityDialog({ open, identity, onSave, onClose }) {
+  const [strategy, setStrategy] = useState(DEFAULT_MATCH_IDENTITY.strategy);
+  const [fieldsText, setFieldsText] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setStrategy(identity.strategy);
+      setFieldsText(identity.fields.join('\n'));
+      setError(null);
+    }
+  }, [open, identity]);
+
+  const handleSave = () => {
+    try {
+      onSave(sanitizeIdentity({ strategy, fields: fieldsText.split('\n') }));
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Match Identity</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 1 }}>
+          Hits with the same key in two versions are treated as the same entity; the rest are reported as only in one version.
+          Names and references are compared ignoring case, accents and punctuation.
+        </DialogContentText>
+        <RadioGroup value={strategy} onChange={(e) => setStrategy(e.target.value)}>
+          {Object.values(MATCH_STRATEGIES).map(value => (
+            <FormControlLabel key={value} value={value} control={<Radio />} label={STRATEGY_LABELS[value]} />
+          ))}
+        </RadioGroup>
+        {strategy === MATCH_STRATEGIES.CUSTOM && (
+          <TextField
+            multiline
+            fullWidth
+            minRows={3}
+            sx={{ mt: 1 }}
+            label="Key fields"
+            helperText="One dot path per line, relative to each response item (for example rulesDetails.sdnname)"
+            value={fieldsText}
+            onChange={(e) => setFieldsText(e.target.value)}
+          />
+        )}
+        {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave}>Save</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default MatchIdentityDialog;
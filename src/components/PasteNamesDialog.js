@@ -0,0 +1,48 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  TextField
+} from '@mui/material';
+
+// Dialog for pasting names (one per line) or a JSON array of names / request objects
+function PasteNamesDialog({ open, onConfirm, onClose }) {
+  const [text, setText] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setText('');
+    }
+  }, [open]);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Paste Names</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          One name per line, or a JSON array of names or matchingRequestDto objects.
+        </DialogContentText>
+        <TextField
+          multiline
+          fullWidth
+          autoFocus
+          minRows={10}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={() => onConfirm(text)} disabled={!text.trim()}>
+          Use Names
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default PasteNamesDialog;
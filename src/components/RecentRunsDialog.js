@@ -0,0 +1,117 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import runStore, { RUN_STATUS } from '../services/runStore';
+
+// Dialog listing saved runs, with actions to reopen, resume or delete them
+function RecentRunsDialog({ open, activeRunId, onOpenRun, onResumeRun, onClose, onError }) {
+  const [runs, setRuns] = useState([]);
+
+  const refreshRuns = useCallback(async () => {
+    try {
+      setRuns(await runStore.listRuns());
+    } catch (error) {
+      console.error('Error loading saved runs:', error);
+      onError(`Failed to load saved runs: ${error.message}`);
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    if (open) {
+      refreshRuns();
+    }
+  }, [open, refreshRuns]);
+
+  const handleDelete = async (runId) => {
+    try {
+      await runStore.deleteRun(runId);
+      refreshRuns();
+    } catch (error) {
+      console.error('Error deleting run:', error);
+      onError(`Failed to delete run: ${error.message}`);
+    }
+  };
+
+  // A run still marked as running that isn't the active one was interrupted by a reload
+  const getStatusLabel = (run) => {
+    if (run.status === RUN_STATUS.RUNNING && run.id !== activeRunId) return 'interrupted';
+    return run.status;
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Recent Runs</DialogTitle>
+      <DialogContent>
+        {runs.length === 0 ? (
+          <Typography color="textSecondary">No saved runs yet.</Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell style={{ fontWeight: 'bold' }}>Started</TableCell>
+                <TableCell style={{ fontWeight: 'bold' }}>File</TableCell>
+                <TableCell style={{ fontWeight: 'bold' }}>Profile</TableCell>
+                <TableCell style={{ fontWeight: 'bold' }}>Versions</TableCell>
+                <TableCell style={{ fontWeight: 'bold' }}>Progress</TableCell>
+                <TableCell style={{ fontWeight: 'bold' }}>Status</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {runs.map(run => {
+                const isActive = run.id === activeRunId;
+                const unfinished = run.processedCount < run.total;
+                return (
+                  <TableRow key={run.id}>
+                    <TableCell>{new Date(run.createdAt).toLocaleString()}</TableCell>
+                    <TableCell>{run.fileName}</TableCell>
+                    <TableCell>{run.profile?.name || '—'}</TableCell>
+                    <TableCell>{run.versions.map(version => version.label).join(', ')}</TableCell>
+                    <TableCell>{run.processedCount} / {run.total}</TableCell>
+                    <TableCell>{getStatusLabel(run)}</TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      <Button size="small" onClick={() => onOpenRun(run.id)} disabled={isActive}>
+                        Open
+                      </Button>
+                      {unfinished && (
+                        <Button size="small" onClick={() => onResumeRun(run.id)} disabled={isActive}>
+                          Resume
+                        </Button>
+                      )}
+                      <IconButton
+                        size="small"
+                        aria-label="Delete run"
+                        onClick={() => handleDelete(run.id)}
+                        disabled={isActive}
+                      >
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default RecentRunsDialog;
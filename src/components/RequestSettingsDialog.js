@@ -0,0 +1,62 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Stack,
+  TextField
+} from '@mui/material';
+import { DEFAULT_REQUEST_POLICY, loadRequestPolicy, saveRequestPolicy } from '../services/requestPolicy';
+
+const POLICY_FIELDS = [
+  { key: 'timeoutMs', label: 'Timeout per request (ms, 0 = none)' },
+  { key: 'maxRetries', label: 'Max retries for transient failures' },
+  { key: 'baseDelayMs', label: 'Initial backoff delay (ms)' },
+  { key: 'maxDelayMs', label: 'Maximum backoff delay (ms)' }
+];
+
+// Dialog for editing request timeouts and the retry/backoff policy
+function RequestSettingsDialog({ open, onClose, onSaved }) {
+  const [policy, setPolicy] = useState(DEFAULT_REQUEST_POLICY);
+
+  useEffect(() => {
+    if (open) {
+      setPolicy(loadRequestPolicy());
+    }
+  }, [open]);
+
+  const handleSave = () => {
+    saveRequestPolicy(policy);
+    onSaved();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Request Settings</DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ mt: 1 }}>
+          {POLICY_FIELDS.map(field => (
+            <TextField
+              key={field.key}
+              size="small"
+              type="number"
+              label={field.label}
+              value={policy[field.key]}
+              onChange={(e) => setPolicy(prev => ({ ...prev, [field.key]: e.target.value }))}
+              inputProps={{ min: 0 }}
+            />
+          ))}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={() => setPolicy(DEFAULT_REQUEST_POLICY)}>Reset to Defaults</Button>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave}>Save</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default RequestSettingsDialog;
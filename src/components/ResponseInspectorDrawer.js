@@ -0,0 +1,141 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Box,
+  Button,
+  Divider,
+  Drawer,
+  FormControl,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import CloseIcon from '@mui/icons-material/Close';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import apiService from '../services/apiService';
+import { diffJson, indexDiffPaths, stripMetadata } from '../services/jsonDiff';
+import JsonTree from './JsonTree';
+
+const formatValue = (value) => (value === undefined ? '—' : JSON.stringify(value));
+
+// Drawer showing the request payload and two versions' raw responses side by side, with a structural diff.
+// `profile` is the environment profile of the inspected run, which curl commands are built against.
+function ResponseInspectorDrawer({ result, versions, profile, initialPair, onClose, onNotify }) {
+  const [leftKey, setLeftKey] = useState(initialPair?.a || versions[0]?.key || '');
+  const [rightKey, setRightKey] = useState(initialPair?.b || versions[1]?.key || '');
+
+  const left = versions.find(version => version.key === leftKey) || versions[0];
+  const right = versions.find(version => version.key === rightKey) || versions[1] || versions[0];
+  // Only this name's request is kept, so a batched call is shown (and copied) as a single-name call
+  const payload = result?.request ? { matchingRequestDto: [result.request] } : null;
+  const batchSize = Math.max(1, ...Object.values(result?.versions || {}).map(data => data?._batchSize || 1));
+
+  const leftRaw = result?.versions?.[left?.key];
+  const rightRaw = result?.versions?.[right?.key];
+  const leftData = useMemo(() => stripMetadata(leftRaw), [leftRaw]);
+  const rightData = useMemo(() => stripMetadata(rightRaw), [rightRaw]);
+
+  const differences = useMemo(() => (
+    leftData && rightData ? diffJson(leftData, rightData) : []
+  ), [leftData, rightData]);
+  const diffPaths = useMemo(() => indexDiffPaths(differences), [differences]);
+
+  const copyCurl = async (version) => {
+    try {
+      await navigator.clipboard.writeText(apiService.getCurlCommand(version, payload, profile || undefined));
+      onNotify(`Copied curl command for ${version.label}`, 'success');
+    } catch (error) {
+      console.error('Error copying to clipboard:', error);
+      onNotify(`Copy failed: ${error.message}`, 'error');
+    }
+  };
+
+  const renderVersionColumn = (version, data, onVersionChange, id) => (
+    <Paper sx={{ p: 2, flex: 1, minWidth: 0, overflow: 'auto' }}>
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 1 }}>
+        <FormControl size="small">
+          <InputLabel id={id}>Version</InputLabel>
+          <Select labelId={id} label="Version" value={version.key} onChange={(e) => onVersionChange(e.target.value)}>
+            {versions.map(item => <MenuItem key={item.key} value={item.key}>{item.label}</MenuItem>)}
+          </Select>
+        </FormControl>
+        <Button
+          size="small"
+          startIcon={<ContentCopyIcon />}
+          onClick={() => copyCurl(version)}
+          disabled={!payload || !version.path}
+        >
+          Copy as curl
+        </Button>
+      </Box>
+      {data ? <JsonTree value={data} diffPaths={diffPaths} /> : <Typography color="textSecondary">No response</Typography>}
+    </Paper>
+  );
+
+  return (
+    <Drawer anchor="right" open={Boolean(result)} onClose={onClose}>
+      {result && left && right && (
+        <Box sx={{ width: '90vw', p: 3 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+            <Typography variant="h6" sx={{ flexGrow: 1 }}>{result.name}</Typography>
+            <IconButton aria-label="Close inspector" onClick={onClose}>
+              <CloseIcon />
+            </IconButton>
+          </Box>
+
+          <Typography variant="subtitle1">Request Payload</Typography>
+          {payload && batchSize > 1 && (
+            <Typography variant="body2" color="warning.main">
+              Sent in a batch of {batchSize} names. This is a single-name reconstruction: it and the curl
+              command reproduce the call for this name only, not the batched call.
+            </Typography>
+          )}
+          <Paper sx={{ p: 2, mb: 2 }}>
+            {payload ? <JsonTree value={payload} /> : <Typography color="textSecondary">Not recorded</Typography>}
+          </Paper>
+
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            {renderVersionColumn(left, leftData, setLeftKey, 'inspector-left-label')}
+            {renderVersionColumn(right, rightData, setRightKey, 'inspector-right-label')}
+          </Box>
+
+          <Divider sx={{ my: 2 }} />
+          <Typography variant="subtitle1">
+            Structural Diff ({differences.length} difference{differences.length === 1 ? '' : 's'})
+          </Typography>
+          {differences.length > 0 && (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell style={{ fontWeight: 'bold' }}>Path</TableCell>
+                  <TableCell style={{ fontWeight: 'bold' }}>Type</TableCell>
+                  <TableCell style={{ fontWeight: 'bold' }}>{left.label}</TableCell>
+                  <TableCell style={{ fontWeight: 'bold' }}>{right.label}</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {differences.map(difference => (
+                  <TableRow key={difference.path}>
+                    <TableCell sx={{ fontFamily: 'monospace' }}>{difference.path}</TableCell>
+                    <TableCell>{difference.type}</TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>{formatValue(difference.a)}</TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>{formatValue(difference.b)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </Box>
+      )}
+    </Drawer>
+  );
+}
+
+export default ResponseInspectorDrawer;
@@ -0,0 +1,106 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  FormControl,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Select,
+  TextField,
+  Tooltip,
+  Typography
+} from '@mui/material';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import {
+  DEFAULT_RESULT_QUERY,
+  RESULT_FILTERS,
+  SORT_FIELDS,
+  SORT_LABELS,
+  describeQuery,
+  getFasterFilter,
+  getFilterLabel
+} from '../services/resultFilters';
+
+// Search, filter and sort controls for the results tables, with the active query shown as removable chips
+function ResultFilterBar({ query, versions, shownCount, totalCount, onChange }) {
+  const filterOptions = [
+    ...Object.values(RESULT_FILTERS),
+    ...versions.map(version => getFasterFilter(version.key))
+  ];
+  const chips = describeQuery(query, versions);
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+        <TextField
+          size="small"
+          label="Search name"
+          value={query.name}
+          onChange={(e) => onChange({ ...query, name: e.target.value })}
+        />
+        <TextField
+          size="small"
+          label="Search SDN ID or name"
+          value={query.sdn}
+          onChange={(e) => onChange({ ...query, sdn: e.target.value })}
+        />
+        <FormControl size="small" sx={{ minWidth: 180 }}>
+          <InputLabel id="result-filters-label">Filters</InputLabel>
+          <Select
+            labelId="result-filters-label"
+            label="Filters"
+            multiple
+            value={query.filters}
+            onChange={(e) => onChange({ ...query, filters: e.target.value })}
+            renderValue={(selected) => `${selected.length} selected`}
+          >
+            {filterOptions.map(filter => (
+              <MenuItem key={filter} value={filter}>{getFilterLabel(filter, versions)}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel id="result-sort-label">Sort by</InputLabel>
+          <Select
+            labelId="result-sort-label"
+            label="Sort by"
+            value={query.sort}
+            onChange={(e) => onChange({ ...query, sort: e.target.value })}
+          >
+            {Object.values(SORT_FIELDS).map(field => (
+              <MenuItem key={field} value={field}>{SORT_LABELS[field]}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Tooltip title={query.descending ? 'High to low' : 'Low to high'}>
+          <span>
+            <IconButton
+              aria-label="Toggle sort direction"
+              onClick={() => onChange({ ...query, descending: !query.descending })}
+              disabled={query.sort === SORT_FIELDS.INPUT}
+            >
+              {query.descending ? <ArrowDownwardIcon /> : <ArrowUpwardIcon />}
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Typography variant="body2" color="textSecondary">
+          Showing {shownCount} of {totalCount} names
+        </Typography>
+      </Box>
+
+      {chips.length > 0 && (
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap', mt: 1 }}>
+          {chips.map(chip => (
+            <Chip key={chip.key} size="small" label={chip.label} onDelete={() => onChange(chip.remove)} />
+          ))}
+          <Button size="small" onClick={() => onChange(DEFAULT_RESULT_QUERY)}>Clear all</Button>
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default ResultFilterBar;
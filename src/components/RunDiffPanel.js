@@ -0,0 +1,220 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Paper,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import CompareArrowsIcon from '@mui/icons-material/CompareArrows';
+import { Download } from '@mui/icons-material';
+import * as XLSX from 'xlsx';
+import runStore from '../services/runStore';
+import { DIFF_STATUS, diffRuns, getCommonVersions, summarizeRunDiff } from '../services/runDiff';
+
+const formatSdns = (sdns, separator = '\n') => sdns.map(sdn => `${sdn.id} - ${sdn.name}`).join(separator);
+
+const formatDuration = (duration) => (duration ? duration.toFixed(2) : 'N/A');
+
+// Tab comparing the same version across two saved runs (e.g. v2 last week vs v2 today)
+function RunDiffPanel({ identity, onNotify }) {
+  const [runs, setRuns] = useState([]);
+  const [baselineId, setBaselineId] = useState('');
+  const [targetId, setTargetId] = useState('');
+  const [versionKey, setVersionKey] = useState('');
+  const [diff, setDiff] = useState(null);
+
+  useEffect(() => {
+    runStore.listRuns()
+      .then(setRuns)
+      .catch(error => {
+        console.error('Error loading saved runs:', error);
+        onNotify(`Failed to load saved runs: ${error.message}`, 'error');
+      });
+  }, [onNotify]);
+
+  const baselineRun = runs.find(run => run.id === baselineId);
+  const targetRun = runs.find(run => run.id === targetId);
+  const commonVersions = baselineRun && targetRun ? getCommonVersions(baselineRun, targetRun) : [];
+
+  const describeRun = (run) => `${new Date(run.createdAt).toLocaleString()} — ${run.fileName} (${run.processedCount}/${run.total})`;
+
+  const handleCompare = async () => {
+    try {
+      const [baseline, target] = await Promise.all([runStore.loadRun(baselineId), runStore.loadRun(targetId)]);
+      const rows = diffRuns(baseline.results, target.results, versionKey, { identity });
+      setDiff({
+        rows,
+        summary: summarizeRunDiff(rows),
+        baseline: baseline.run,
+        target: target.run,
+        version: commonVersions.find(version => version.key === versionKey)
+      });
+    } catch (error) {
+      console.error('Error comparing runs:', error);
+      onNotify(`Failed to compare runs: ${error.message}`, 'error');
+    }
+  };
+
+  const exportRunDiffToExcel = () => {
+    try {
+      const exportData = diff.rows.map(row => ({
+        'Name': row.name,
+        'Status': row.status,
+        'SDN IDs Added': formatSdns(row.added, '\r\n'),
+        'SDN IDs Removed': formatSdns(row.removed, '\r\n'),
+        'SDN IDs Unchanged': formatSdns(row.unchanged, '\r\n'),
+        'Baseline Duration (ms)': formatDuration(row.baselineDuration),
+        'Target Duration (ms)': formatDuration(row.targetDuration),
+        'Latency Delta (ms)': row.durationDelta !== null && row.durationDelta !== undefined ? row.durationDelta.toFixed(2) : 'N/A'
+      }));
+
+      const ws = XLSX.utils.json_to_sheet(exportData);
+      ws['!cols'] = [
+        { wch: 30 }, // Name
+        { wch: 16 }, // Status
+        { wch: 40 }, // Added
+        { wch: 40 }, // Removed
+        { wch: 40 }, // Unchanged
+        { wch: 18 }, // Baseline Duration
+        { wch: 18 }, // Target Duration
+        { wch: 18 }  // Latency Delta
+      ];
+
+      const runsSheet = XLSX.utils.json_to_sheet([
+        { 'Run': 'Baseline', 'File': diff.baseline.fileName, 'Profile': diff.baseline.profile?.name || '', 'Started': diff.baseline.createdAt, 'Version': diff.version.label },
+        { 'Run': 'Target', 'File': diff.target.fileName, 'Profile': diff.target.profile?.name || '', 'Started': diff.target.createdAt, 'Version': diff.version.label }
+      ]);
+
+      const wb = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(wb, ws, 'Run Diff');
+      XLSX.utils.book_append_sheet(wb, runsSheet, 'Runs');
+      XLSX.writeFile(wb, `run_diff_${diff.version.key}_${new Date().toISOString().slice(0, 10)}.xlsx`);
+
+      onNotify('Export successful!', 'success');
+    } catch (error) {
+      console.error('Error exporting to Excel:', error);
+      onNotify(`Export failed: ${error.message}`, 'error');
+    }
+  };
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+        <FormControl size="small" sx={{ minWidth: 280 }}>
+          <InputLabel id="baseline-run-label">Baseline run</InputLabel>
+          <Select
+            labelId="baseline-run-label"
+            label="Baseline run"
+            value={baselineId}
+            onChange={(e) => setBaselineId(e.target.value)}
+          >
+            {runs.map(run => (
+              <MenuItem key={run.id} value={run.id}>{describeRun(run)}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl size="small" sx={{ minWidth: 280 }}>
+          <InputLabel id="target-run-label">Target run</InputLabel>
+          <Select
+            labelId="target-run-label"
+            label="Target run"
+            value={targetId}
+            onChange={(e) => setTargetId(e.target.value)}
+          >
+            {runs.map(run => (
+              <MenuItem key={run.id} value={run.id}>{describeRun(run)}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl size="small" sx={{ minWidth: 140 }} disabled={commonVersions.length === 0}>
+          <InputLabel id="diff-version-label">Version</InputLabel>
+          <Select
+            labelId="diff-version-label"
+            label="Version"
+            value={commonVersions.some(version => version.key === versionKey) ? versionKey : ''}
+            onChange={(e) => setVersionKey(e.target.value)}
+          >
+            {commonVersions.map(version => (
+              <MenuItem key={version.key} value={version.key}>{version.label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <Button
+          variant="contained"
+          startIcon={<CompareArrowsIcon />}
+          onClick={handleCompare}
+          disabled={!baselineId || !targetId || baselineId === targetId || !commonVersions.some(version => version.key === versionKey)}
+        >
+          Compare Runs
+        </Button>
+
+        <Button
+          variant="outlined"
+          startIcon={<Download />}
+          onClick={exportRunDiffToExcel}
+          disabled={!diff}
+        >
+          Export Run Diff
+        </Button>
+      </Box>
+
+      {diff && (
+        <>
+          <Typography variant="body2" sx={{ mt: 2 }}>
+            {diff.version.label}: {diff.summary[DIFF_STATUS.CHANGED] || 0} changed, {diff.summary[DIFF_STATUS.UNCHANGED] || 0} unchanged,
+            {' '}{diff.summary.added} SDN IDs added, {diff.summary.removed} removed
+            {diff.summary[DIFF_STATUS.ERROR] ? `, ${diff.summary[DIFF_STATUS.ERROR]} with errors` : ''}
+          </Typography>
+
+          <TableContainer component={Paper} sx={{ mt: 2, maxHeight: '70vh', overflow: 'auto' }}>
+            <Table stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell style={{ fontWeight: 'bold', width: '80px' }}>S.No.</TableCell>
+                  <TableCell style={{ fontWeight: 'bold' }}>Name</TableCell>
+                  <TableCell style={{ fontWeight: 'bold' }}>Status</TableCell>
+                  <TableCell style={{ fontWeight: 'bold' }}>Added</TableCell>
+                  <TableCell style={{ fontWeight: 'bold' }}>Removed</TableCell>
+                  <TableCell style={{ fontWeight: 'bold' }}>Unchanged</TableCell>
+                  <TableCell style={{ fontWeight: 'bold' }}>Latency Delta</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {diff.rows.map((row, idx) => (
+                  <TableRow key={idx} style={row.status === DIFF_STATUS.CHANGED ? { backgroundColor: '#fff8e1' } : undefined}>
+                    <TableCell>{idx + 1}</TableCell>
+                    <TableCell>{row.name}</TableCell>
+                    <TableCell>{row.status}</TableCell>
+                    <TableCell style={{ color: 'green', whiteSpace: 'pre-line' }}>{formatSdns(row.added) || '-'}</TableCell>
+                    <TableCell style={{ color: '#c62828', whiteSpace: 'pre-line' }}>{formatSdns(row.removed) || '-'}</TableCell>
+                    <TableCell>{row.unchanged.length || '-'}</TableCell>
+                    <TableCell>
+                      {row.durationDelta !== null && row.durationDelta !== undefined
+                        ? `${row.durationDelta > 0 ? '+' : ''}${row.durationDelta.toFixed(2)} ms`
+                        : 'N/A'}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+    </Box>
+  );
+}
+
+export default RunDiffPanel;
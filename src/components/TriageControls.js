@@ -0,0 +1,71 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Box,
+  MenuItem,
+  Select,
+  TextField,
+  Typography
+} from '@mui/material';
+import { VERDICT_LABELS } from '../services/triageStore';
+
+// Verdict and note for one divergent SDN hit. The verdict is saved on change, the note when the field
+// loses focus or the row is scrolled out of the virtualized table.
+function TriageControls({ entry, currentRunId, onSave }) {
+  const [note, setNote] = useState(entry?.note || '');
+  const verdict = entry?.verdict || '';
+  const savedNoteRef = useRef(entry?.note || '');
+  const latestRef = useRef(null);
+  latestRef.current = { note, verdict, onSave };
+
+  const save = (changes) => {
+    savedNoteRef.current = changes.note.trim();
+    onSave(changes);
+  };
+
+  useEffect(() => () => {
+    const { note: pending, verdict: current, onSave: saveLatest } = latestRef.current;
+    if (pending.trim() !== savedNoteRef.current) {
+      saveLatest({ verdict: current, note: pending });
+    }
+  }, []);
+
+  const handleNoteBlur = () => {
+    if (note.trim() !== savedNoteRef.current) {
+      save({ verdict, note });
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap', mt: 0.5 }}>
+      <Select
+        size="small"
+        displayEmpty
+        value={verdict}
+        onChange={(e) => save({ verdict: e.target.value, note })}
+        sx={{ minWidth: 170, fontSize: '0.8rem' }}
+      >
+        <MenuItem value=""><em>Untriaged</em></MenuItem>
+        {Object.entries(VERDICT_LABELS).map(([value, label]) => (
+          <MenuItem key={value} value={value}>{label}</MenuItem>
+        ))}
+      </Select>
+      <TextField
+        size="small"
+        placeholder="Note"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        onBlur={handleNoteBlur}
+        inputProps={{ style: { fontSize: '0.8rem' } }}
+        sx={{ flex: 1, minWidth: 120 }}
+      />
+      {entry?.reviewer && (
+        <Typography variant="caption" color="textSecondary">
+          {entry.reviewer}, {new Date(entry.updatedAt).toLocaleDateString()}
+          {entry.runId && entry.runId !== currentRunId && ' (earlier run)'}
+        </Typography>
+      )}
+    </Box>
+  );
+}
+
+export default TriageControls;
@@ -0,0 +1,114 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Box,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  FormControlLabel,
+  FormGroup,
+  TextField,
+  Typography
+} from '@mui/material';
+import {
+  DEFAULT_VARIANTS_PER_TYPE,
+  VARIANT_LABELS,
+  VARIANT_TYPES,
+  generateVariants
+} from '../services/nameVariants';
+
+const MAX_VARIANTS_PER_TYPE = 20;
+
+const toSeeds = (text) => [...new Set(text.split('\n').map(line => line.trim().replace(/\s+/g, ' ')).filter(Boolean))];
+
+// Dialog for generating misspelled, reordered and transliterated variants of seed names.
+// `loadedNames` are the names of the currently loaded input, offered as seeds.
+function VariantGeneratorDialog({ open, loadedNames, onConfirm, onClose }) {
+  const [text, setText] = useState('');
+  const [types, setTypes] = useState(Object.values(VARIANT_TYPES));
+  const [limit, setLimit] = useState(DEFAULT_VARIANTS_PER_TYPE);
+
+  useEffect(() => {
+    if (open) {
+      setText('');
+    }
+  }, [open]);
+
+  const seeds = useMemo(() => toSeeds(text), [text]);
+  const variantCount = useMemo(
+    () => seeds.reduce((count, seed) => count + generateVariants(seed, { types, limit }).length, 0),
+    [seeds, types, limit]
+  );
+
+  const toggleType = (type) => {
+    setTypes(prev => (prev.includes(type) ? prev.filter(item => item !== type) : [...prev, type]));
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Generate Name Variants</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          One seed name per line. The run includes each seed and its variants, and the Variants tab shows per version
+          which variants still hit the seed's SDN IDs (its expected hits when the loaded input has them).
+        </DialogContentText>
+        <TextField
+          multiline
+          fullWidth
+          autoFocus
+          minRows={6}
+          label="Seed names"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+        />
+        <Button
+          size="small"
+          sx={{ mt: 1 }}
+          onClick={() => setText(loadedNames.join('\n'))}
+          disabled={loadedNames.length === 0}
+        >
+          Use loaded names ({loadedNames.length})
+        </Button>
+
+        <FormGroup row sx={{ mt: 2 }}>
+          {Object.values(VARIANT_TYPES).map(type => (
+            <FormControlLabel
+              key={type}
+              control={<Checkbox checked={types.includes(type)} onChange={() => toggleType(type)} />}
+              label={VARIANT_LABELS[type]}
+            />
+          ))}
+        </FormGroup>
+
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mt: 2 }}>
+          <TextField
+            size="small"
+            type="number"
+            label="Max variants per type"
+            value={limit}
+            onChange={(e) => setLimit(Math.max(1, Math.min(MAX_VARIANTS_PER_TYPE, Number(e.target.value) || 1)))}
+            inputProps={{ min: 1, max: MAX_VARIANTS_PER_TYPE }}
+          />
+          <Typography variant="body2" color="textSecondary">
+            {seeds.length} seeds, {variantCount} variants
+          </Typography>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={() => onConfirm(seeds, { types, limit })}
+          disabled={seeds.length === 0 || types.length === 0}
+        >
+          Use Variants
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default VariantGeneratorDialog;
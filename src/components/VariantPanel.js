@@ -0,0 +1,136 @@
+import React, { useMemo } from 'react';
+import {
+  Box,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography
+} from '@mui/material';
+import {
+  VARIANT_OUTCOMES,
+  VARIANT_OUTCOME_LABELS,
+  buildVariantReport,
+  getVariantLabel
+} from '../services/nameVariants';
+
+const OUTCOME_COLORS = {
+  [VARIANT_OUTCOMES.KEPT]: 'rgba(0, 200, 0, 0.1)',
+  [VARIANT_OUTCOMES.PARTIAL]: '#fff3cd',
+  [VARIANT_OUTCOMES.LOST]: '#ffebee'
+};
+
+const formatKept = (counts) => (
+  counts ? `${counts.kept} / ${counts.total} (${((counts.kept / counts.total) * 100).toFixed(0)}%)` : '-'
+);
+
+// Per version, which generated variants still hit their seed's SDN IDs: totals, rates by variant type
+// and the outcome of every variant
+function VariantPanel({ results, versions }) {
+  const { rows, summary } = useMemo(() => buildVariantReport(results, versions), [results, versions]);
+  const types = useMemo(() => [...new Set(rows.map(row => row.type))], [rows]);
+
+  if (rows.length === 0) {
+    return (
+      <Paper sx={{ p: 3, mt: 2, textAlign: 'center' }}>
+        <Typography variant="body1" color="textSecondary">
+          No generated variants in this run. Use "Generate Variants" to build a run from seed names.
+        </Typography>
+      </Paper>
+    );
+  }
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="subtitle1">Outcomes ({rows.length} variants)</Typography>
+      <TableContainer component={Paper} sx={{ mb: 3 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell style={{ fontWeight: 'bold' }}>Outcome</TableCell>
+              {versions.map(version => (
+                <TableCell key={version.key} style={{ fontWeight: 'bold' }}>{version.label}</TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {Object.values(VARIANT_OUTCOMES).map(outcome => (
+              <TableRow key={outcome}>
+                <TableCell style={{ backgroundColor: OUTCOME_COLORS[outcome] }}>{VARIANT_OUTCOME_LABELS[outcome]}</TableCell>
+                {versions.map(version => (
+                  <TableCell key={version.key}>{summary[version.key].outcomes[outcome]}</TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Typography variant="subtitle1">Still Hitting by Variant Type</Typography>
+      <TableContainer component={Paper} sx={{ mb: 3 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell style={{ fontWeight: 'bold' }}>Variant Type</TableCell>
+              {versions.map(version => (
+                <TableCell key={version.key} style={{ fontWeight: 'bold' }}>{version.label}</TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {types.map(type => (
+              <TableRow key={type}>
+                <TableCell>{getVariantLabel(type)}</TableCell>
+                {versions.map(version => (
+                  <TableCell key={version.key}>{formatKept(summary[version.key].byType[type])}</TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Typography variant="subtitle1">By Variant</Typography>
+      <TableContainer component={Paper} sx={{ maxHeight: '60vh', overflow: 'auto' }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              {['Seed', 'Variant', 'Type', 'Seed SDN IDs'].map(header => (
+                <TableCell key={header} style={{ fontWeight: 'bold' }}>{header}</TableCell>
+              ))}
+              {versions.map(version => (
+                <TableCell key={version.key} style={{ fontWeight: 'bold' }}>{version.label}</TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map(row => (
+              <TableRow key={row.result.id}>
+                <TableCell>{row.seed}</TableCell>
+                <TableCell>{row.result.name}</TableCell>
+                <TableCell>{getVariantLabel(row.type)}</TableCell>
+                <TableCell>{row.seedIds.join(', ') || '-'}</TableCell>
+                {versions.map(version => {
+                  const { outcome, missedIds } = row.versions[version.key];
+                  return (
+                    <TableCell key={version.key} style={{ backgroundColor: OUTCOME_COLORS[outcome] }}>
+                      <div>{VARIANT_OUTCOME_LABELS[outcome]}</div>
+                      {outcome === VARIANT_OUTCOMES.PARTIAL && (
+                        <Typography variant="body2">Missed: {missedIds.join(', ')}</Typography>
+                      )}
+                    </TableCell>
+                  );
+                })}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+}
+
+export default VariantPanel;
@@ -0,0 +1,100 @@
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import {
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { computeOffsets, findVisibleRange } from '../services/resultGrid';
+
+// Extra height rendered above and below the viewport so fast scrolling doesn't show blank space
+const OVERSCAN_PX = 800;
+
+// One item's rows in their own <tbody>, so row spans stay within the item and its height can be measured
+function MeasuredGroup({ itemKey, onMeasure, children }) {
+  const ref = useRef(null);
+
+  useLayoutEffect(() => {
+    onMeasure(itemKey, ref.current.offsetHeight);
+  });
+
+  return <TableBody ref={ref}>{children}</TableBody>;
+}
+
+function Spacer({ height, colSpan }) {
+  return (
+    <TableBody>
+      <TableRow>
+        <TableCell colSpan={colSpan} style={{ height, padding: 0, border: 0 }} />
+      </TableRow>
+    </TableBody>
+  );
+}
+
+// Table with a sticky header that only renders the items near the viewport.
+// `items` need a unique `key`; `estimateHeight(item)` must be stable and is used until an item is measured.
+// `renderItem(item, index)` returns the table rows of one item.
+function VirtualizedTable({ headers, items, estimateHeight, renderItem, maxHeight = '70vh' }) {
+  const containerRef = useRef(null);
+  // Measured heights by item key; the wrapper object is replaced after each change to re-run the offsets
+  const [measured, setMeasured] = useState(() => ({ heights: new Map() }));
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  useEffect(() => {
+    const updateViewport = () => setViewportHeight(containerRef.current?.clientHeight || 0);
+    updateViewport();
+    window.addEventListener('resize', updateViewport);
+    return () => window.removeEventListener('resize', updateViewport);
+  }, []);
+
+  const handleMeasure = useCallback((key, height) => {
+    setMeasured(prev => {
+      const previous = prev.heights.get(key);
+      if (height <= 0 || (previous !== undefined && Math.abs(previous - height) <= 1)) return prev;
+      prev.heights.set(key, height);
+      return { heights: prev.heights };
+    });
+  }, []);
+
+  const offsets = useMemo(() => computeOffsets(items.map(
+    item => measured.heights.get(item.key) ?? estimateHeight(item)
+  )), [items, estimateHeight, measured]);
+
+  const { start, end } = findVisibleRange(
+    offsets,
+    scrollTop - OVERSCAN_PX,
+    scrollTop + (viewportHeight || window.innerHeight) + OVERSCAN_PX
+  );
+
+  return (
+    <TableContainer
+      ref={containerRef}
+      component={Paper}
+      sx={{ mt: 2, maxHeight, overflow: 'auto' }}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+    >
+      <Table stickyHeader>
+        <TableHead>
+          <TableRow>
+            {headers.map((header, idx) => (
+              <TableCell key={idx} style={{ fontWeight: 'bold' }}>{header}</TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        {start > 0 && <Spacer height={offsets[start]} colSpan={headers.length} />}
+        {items.slice(start, end).map((item, i) => (
+          <MeasuredGroup key={item.key} itemKey={item.key} onMeasure={handleMeasure}>
+            {renderItem(item, start + i)}
+          </MeasuredGroup>
+        ))}
+        {end < items.length && <Spacer height={offsets[items.length] - offsets[end]} colSpan={headers.length} />}
+      </Table>
+    </TableContainer>
+  );
+}
+
+export default VirtualizedTable;
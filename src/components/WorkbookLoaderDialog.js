@@ -0,0 +1,197 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  List,
+  ListItemButton,
+  ListItemText,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography
+} from '@mui/material';
+import { loadMapping } from '../services/columnMapping';
+import {
+  analyzeNames,
+  countRows,
+  getDefaultSelection,
+  getLastRowNumber,
+  sliceSheetRows,
+  validateSelection
+} from '../services/sheetSelection';
+
+const PREVIEW_ROWS = 10;
+const MAX_LISTED_ROWS = 20;
+
+const formatRowList = (rows) => (
+  rows.length > MAX_LISTED_ROWS
+    ? `${rows.slice(0, MAX_LISTED_ROWS).join(', ')} and ${rows.length - MAX_LISTED_ROWS} more`
+    : rows.join(', ')
+);
+
+// Dialog for choosing the sheet, header row and data range of a workbook before column mapping
+function WorkbookLoaderDialog({ open, fileName, sheets, onConfirm, onClose }) {
+  const [sheetIndex, setSheetIndex] = useState(0);
+  const [selection, setSelection] = useState(null);
+
+  const sheet = sheets[sheetIndex];
+
+  useEffect(() => {
+    if (open && sheets.length > 0) {
+      // Start on the first sheet that has data, skipping empty cover sheets
+      const index = Math.max(0, sheets.findIndex(item => countRows(item) > 1));
+      setSheetIndex(index);
+      setSelection(getDefaultSelection(sheets[index]));
+    }
+  }, [open, sheets]);
+
+  const handleSheetChange = (index) => {
+    setSheetIndex(index);
+    setSelection(getDefaultSelection(sheets[index]));
+  };
+
+  const handleRowChange = (field, value) => {
+    setSelection(prev => ({ ...prev, [field]: Number(value) || 0 }));
+  };
+
+  const error = sheet && selection ? validateSelection(sheet, selection) : null;
+
+  const preview = useMemo(() => {
+    if (!sheet || !selection || error) return null;
+
+    const data = sliceSheetRows(sheet, selection);
+    const headers = data[0].map(String);
+    const nameColumn = loadMapping(headers).fullName;
+    const rangeRows = sheet.rows.slice(
+      selection.firstRow - sheet.firstRowNumber,
+      selection.lastRow - sheet.firstRowNumber + 1
+    );
+
+    return {
+      data,
+      headers,
+      nameColumn,
+      report: nameColumn === undefined ? null : analyzeNames(rangeRows, nameColumn, selection.firstRow)
+    };
+  }, [sheet, selection, error]);
+
+  if (!sheet || !selection) return null;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Load {fileName}</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', gap: 3 }}>
+          <Box sx={{ minWidth: 200 }}>
+            <Typography variant="subtitle2">Sheets</Typography>
+            <List dense>
+              {sheets.map((item, idx) => (
+                <ListItemButton key={item.name} selected={idx === sheetIndex} onClick={() => handleSheetChange(idx)}>
+                  <ListItemText primary={item.name} secondary={`${countRows(item)} rows`} />
+                </ListItemButton>
+              ))}
+            </List>
+          </Box>
+
+          <Box sx={{ flex: 1, minWidth: 0 }}>
+            <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+              <TextField
+                size="small"
+                type="number"
+                label="Header row"
+                value={selection.headerRow}
+                onChange={(e) => handleRowChange('headerRow', e.target.value)}
+              />
+              <TextField
+                size="small"
+                type="number"
+                label="First data row"
+                value={selection.firstRow}
+                onChange={(e) => handleRowChange('firstRow', e.target.value)}
+              />
+              <TextField
+                size="small"
+                type="number"
+                label="Last data row"
+                value={selection.lastRow}
+                onChange={(e) => handleRowChange('lastRow', e.target.value)}
+                helperText={`Sheet ends at row ${getLastRowNumber(sheet)}`}
+              />
+            </Box>
+
+            {error && <Alert severity="error">{error}</Alert>}
+
+            {preview && (
+              <>
+                <Typography variant="subtitle1">
+                  Preview ({preview.data.length - 1} data rows, first {Math.min(PREVIEW_ROWS, preview.data.length - 1)} shown)
+                </Typography>
+                <TableContainer sx={{ maxHeight: 320, mb: 2 }}>
+                  <Table size="small" stickyHeader>
+                    <TableHead>
+                      <TableRow>
+                        {preview.headers.map((header, idx) => (
+                          <TableCell key={idx} style={{ fontWeight: 'bold' }}>{header || `Column ${idx + 1}`}</TableCell>
+                        ))}
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {preview.data.slice(1, PREVIEW_ROWS + 1).map((row, rowIdx) => (
+                        <TableRow key={rowIdx}>
+                          {preview.headers.map((_, idx) => (
+                            <TableCell key={idx}>{row[idx] ?? ''}</TableCell>
+                          ))}
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+
+                {!preview.report && (
+                  <Alert severity="info">No name column recognised in the header row; you can pick it in the column mapping.</Alert>
+                )}
+                {preview.report && (
+                  <>
+                    <Typography variant="body2" sx={{ mb: 1 }}>
+                      {preview.report.nameCount} names in column "{preview.headers[preview.nameColumn] || `Column ${preview.nameColumn + 1}`}"
+                    </Typography>
+                    {preview.report.blankRows.length > 0 && (
+                      <Alert severity="warning" sx={{ mb: 1 }}>
+                        {preview.report.blankRows.length} rows have a blank name and will be skipped: rows {formatRowList(preview.report.blankRows)}
+                      </Alert>
+                    )}
+                    {preview.report.duplicates.length > 0 && (
+                      <Alert severity="warning">
+                        {preview.report.duplicates.length} names appear more than once:
+                        {preview.report.duplicates.slice(0, MAX_LISTED_ROWS).map(duplicate => (
+                          <div key={duplicate.name}>{duplicate.name} (rows {formatRowList(duplicate.rows)})</div>
+                        ))}
+                      </Alert>
+                    )}
+                  </>
+                )}
+              </>
+            )}
+          </Box>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={() => onConfirm(preview.data)} disabled={!preview}>
+          Load Rows
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default WorkbookLoaderDialog;
@@ -0,0 +1,112 @@
+/** @jest-environment node */
+import axios from 'axios';
+import { createMockServer } from '../mock-server';
+import { createMatcher, runComparison } from './services/comparisonCore';
+import { classifyError, isRetryable, ERROR_CATEGORIES } from './services/requestPolicy';
+
+const endpoints = [
+  { key: 'v1_2', label: 'V2', path: '/namecheck/rule-matching/v1.2' },
+  { key: 'v2', label: 'V4', path: '/namecheck/rule-matching/v2' }
+];
+const pairs = [{ a: 'v1_2', b: 'v2', key: 'v1_2|v2' }];
+const noRetries = () => ({ timeoutMs: 1000, maxRetries: 0, baseDelayMs: 0, maxDelayMs: 0 });
+
+const fixtures = {
+  defaults: { latencyMs: 0, errorRate: 0, errorStatus: 503 },
+  versions: { 'v1.2': {}, v2: {} },
+  names: [
+    {
+      name: 'Mohammed Al Rashid',
+      aliases: ['Muhammad Al-Rashid'],
+      hits: [
+        { sdnid: '1', sdnname: 'AL-RASHID, Mohammed', score: 88, ruleName: 'FUZZY_NAME' },
+        { sdnid: '2', sdnname: 'AL RASHEED, Muhammad', score: 81, ruleName: 'FUZZY_NAME' }
+      ],
+      versions: { v2: { remove: ['2'], add: [{ sdnid: '3', sdnname: 'RASHID, Mohamed', score: 79 }], update: { 1: { score: 92 } } } }
+    },
+    { name: 'Broken Name', hits: [], versions: { v2: { error: 500 } } }
+  ]
+};
+
+const payload = (...names) => ({ matchingRequestDto: names.map(fullName => ({ fullName })) });
+
+test('answers from the fixtures with version-specific differences', async () => {
+  const mock = createMockServer({ fixtures, latency: false });
+
+  const v1 = await mock.post(endpoints[0], payload('muhammad al rashid', 'Jane Doe'));
+  const v2 = await mock.post(endpoints[1], payload('Muhammad Al-Rashid'));
+
+  expect(v1.data.responses.map(item => item.rulesDetails.sdnid)).toEqual(['1', '2']);
+  expect(v1.data.responses[0]).toMatchObject({ requestIndex: 0, fullName: 'muhammad al rashid' });
+  expect(v2.data.responses.map(item => [item.rulesDetails.sdnid, item.score])).toEqual([['1', 92], ['3', 79]]);
+});
+
+test('fails calls by script and by error rate with errors the request policy understands', async () => {
+  const mock = createMockServer({
+    fixtures: { ...fixtures, defaults: { ...fixtures.defaults, errorRate: 0.5 } },
+    random: () => 0.25,
+    latency: false
+  });
+
+  const scripted = await mock.post(endpoints[1], payload('Broken Name')).catch(error => error);
+  const random = await mock.post(endpoints[0], payload('Jane Doe')).catch(error => error);
+
+  expect(classifyError(scripted)).toBe(ERROR_CATEGORIES.SERVER);
+  expect(isRetryable(classifyError(random))).toBe(true);
+  expect(random.response.status).toBe(503);
+  expect(random.response.headers['retry-after']).toBe('1');
+});
+
+test('cancels the simulated latency as soon as the request is aborted', async () => {
+  const mock = createMockServer({ fixtures: { ...fixtures, defaults: { ...fixtures.defaults, latencyMs: 60000 } } });
+  const controller = new AbortController();
+  const startTime = Date.now();
+
+  const call = mock.post(endpoints[0], payload('Jane Doe'), { signal: controller.signal }).catch(error => error);
+  setTimeout(() => controller.abort(), 10);
+  const error = await call;
+
+  expect(error.code).toBe('ERR_CANCELED');
+  expect(classifyError(error)).toBe(ERROR_CATEGORIES.CANCELLED);
+  expect(Date.now() - startTime).toBeLessThan(1000);
+});
+
+test('runs a comparison end to end against the mock', async () => {
+  const mock = createMockServer({ fixtures, latency: false });
+  const matcher = createMatcher({ post: mock.post, getPolicy: noRetries });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  const { entries } = await runComparison(
+    [{ record: { fullName: 'Mohammed Al Rashid' }, i: 0 }, { record: { fullName: 'Broken Name' }, i: 1 }],
+    { matcher, endpoints, pairs, concurrency: 1 }
+  );
+
+  const comparison = entries[0]._sdnComparison['v1_2|v2'];
+  expect(comparison.onlyInA.map(sdn => sdn.id)).toEqual(['2']);
+  expect(comparison.onlyInB.map(sdn => sdn.id)).toEqual(['3']);
+  expect(entries[1].errorDetails).toMatchObject({ status: 500, endpoint: 'v2' });
+  console.error.mockRestore();
+});
+
+test('issues tokens over HTTP and rejects matcher calls without one', async () => {
+  const { server, url } = await createMockServer({ fixtures, latency: false }).listen(0);
+  try {
+    const tokenResponse = await axios.post(
+      `${url}/realms/ScreeningApp/protocol/openid-connect/token`,
+      new URLSearchParams({ grant_type: 'client_credentials', client_id: 'ci', client_secret: 'secret' })
+    );
+
+    const call = (headers) => axios.post(`${url}/namecheck/rule-matching/v2`, payload('Mohammed Al Rashid'), {
+      headers,
+      validateStatus: () => true
+    });
+    const unauthorized = await call({});
+    const authorized = await call({ Authorization: `Bearer ${tokenResponse.data.access_token}` });
+
+    expect(tokenResponse.data).toMatchObject({ token_type: 'Bearer', expires_in: 300 });
+    expect(unauthorized.status).toBe(401);
+    expect(authorized.data.responses).toHaveLength(2);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -1,29 +1,14 @@
 import axios from 'axios';
-
-// Load environment variables
-const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || '';
-
-// Keycloak configuration from environment variables
-const KEYCLOAK_CONFIG = {
-  url: process.env.REACT_APP_KEYCLOAK_URL || '',
-  realm: process.env.REACT_APP_KEYCLOAK_REALM || 'ScreeningApp',
-  clientId: process.env.REACT_APP_KEYCLOAK_CLIENT_ID || 'screening-client',
-  username: process.env.REACT_APP_KEYCLOAK_USERNAME || 'superuser',
-  password: process.env.REACT_APP_KEYCLOAK_PASSWORD || 'superuser'
-};
-
-
-// API endpoints configuration
-const API_BASE_PATH = '/namecheck/rule-matching/';
-const API_ENDPOINTS = {
-  v1_2: `${API_BASE_PATH}${process.env.REACT_APP_API_ENDPOINT_API_1 || 'v1.2'}`,
-  v2: `${API_BASE_PATH}${process.env.REACT_APP_API_ENDPOINT_API_2 || 'v2'}`
-};
-
-// Create axios instance with default config
+import authService from './authService';
+import endpointRegistry from './endpointRegistry';
+import environmentProfiles from './environmentProfiles';
+import { createMatcher } from './comparisonCore';
+import { loadRequestPolicy } from './requestPolicy';
+import { createRecordingPost, createReplayPost } from './responseArchive';
+
+// Create axios instance with default config; the base URL comes from the active profile per request
 const api = axios.create({
-  baseURL: API_BASE_URL,
-  // Removed timeout to allow requests to complete regardless of duration
+  // No default timeout; per-request timeouts come from the request policy
   headers: {
     'Accept': 'application/json',
     'Accept-Language': 'en-US,en;q=0.9',
@@ -31,49 +16,15 @@ const api = axios.create({
   },
 });
 
-// Function to get access token from Keycloak
-const getAccessToken = async () => {
-  try {
-    const params = new URLSearchParams();
-    params.append('client_id', KEYCLOAK_CONFIG.clientId);
-    params.append('username', KEYCLOAK_CONFIG.username);
-    params.append('password', KEYCLOAK_CONFIG.password);
-    params.append('grant_type', 'password');
-
-    const response = await axios.post(
-      `${KEYCLOAK_CONFIG.url}/realms/${KEYCLOAK_CONFIG.realm}/protocol/openid-connect/token`,
-      params,
-      {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        }
-      }
-    );
-
-    if (response.data && response.data.access_token) {
-      localStorage.setItem('authToken', response.data.access_token);
-      return response.data.access_token;
-    }
-    throw new Error('No access token received');
-  } catch (error) {
-    console.error('Error getting access token:', error);
-    throw error;
-  }
-};
-
-// Add request interceptor to include auth token and handle token refresh
+// Add request interceptor to target the active profile with its signed-in user's access token
 api.interceptors.request.use(
   async (config) => {
-    let token = localStorage.getItem('authToken');
-    
-    // If no token exists, get a new one
-    if (!token) {
-      token = await getAccessToken();
-    }
+    const token = await authService.getAccessToken();
+    config.headers.Authorization = `Bearer ${token}`;
+    config.baseURL = environmentProfiles.getActiveProfile().apiBaseUrl;
     
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
+    // Start timing only once the request is ready to send, so waiting on a token isn't measured
+    config.metadata = { startTime: performance.now() };
     
     return config;
   },
@@ -82,86 +33,110 @@ api.interceptors.request.use(
   }
 );
 
-// Add response interceptor to handle 401 errors and refresh token
+// Add response interceptor to record timings and retry once with a refreshed token on 401
 api.interceptors.response.use(
-  (response) => response,
+  (response) => {
+    response.duration = performance.now() - response.config.metadata.startTime;
+    return response;
+  },
   async (error) => {
     const originalRequest = error.config;
     
     // If the error is 401 and we haven't tried to refresh yet
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry) {
       originalRequest._retry = true;
       
-      try {
-        // Get a new token
-        const newToken = await getAccessToken();
-        
-        // Update the Authorization header
-        originalRequest.headers.Authorization = `Bearer ${newToken}`;
-        
-        // Retry the original request with the new token
-        return api(originalRequest);
-      } catch (error) {
-        // If refresh fails, clear the token and redirect to login
-        localStorage.removeItem('authToken');
-        return Promise.reject(error);
-      }
+      // The token may have been revoked early; a failed refresh signs the user out
+      await authService.refreshTokens();
+      return api(originalRequest);
     }
     
     return Promise.reject(error);
   }
 );
 
+// Matcher calls to the live endpoints, timed by the interceptors above
+const livePost = async (endpoint, payload, config) => {
+  const response = await api.post(endpoint.path, payload, config);
+  return { data: response.data, duration: response.duration, status: response.status };
+};
+
+export const TRANSPORT_MODES = {
+  LIVE: 'live',
+  RECORD: 'record',
+  REPLAY: 'replay'
+};
+
+// Where matcher calls go: the live endpoints, the live endpoints while recording into an archive,
+// or a replay of an archive with no network at all
+let transport = { mode: TRANSPORT_MODES.LIVE, post: livePost, archive: null };
+
+// Matcher calls go through the shared comparison core and the current transport
+const matcher = createMatcher({
+  post: (endpoint, payload, config) => transport.post(endpoint, payload, config),
+  getPolicy: loadRequestPolicy
+});
+
+// Resolve registry keys or endpoint snapshots to { key, path } endpoints
+const resolveEndpoints = (versions) => {
+  const endpoints = versions
+    ? versions
+        .map(version => (typeof version === 'string' ? endpointRegistry.getEndpoint(version) : version))
+        .filter(Boolean)
+    : endpointRegistry.getEndpoints();
+
+  if (endpoints.length === 0) {
+    throw new Error('No endpoints selected');
+  }
+  return endpoints;
+};
+
 const apiService = {
-  // Process a single name through both APIs
-  processName: async (name) => {
-    const startTime = performance.now();
-    let v2Response, v4Response;
-    let v2Time = 0;
-    let v4Time = 0;
-    
-    try {
-      const payload = {
-        matchingRequestDto: [{
-          fullName: name,
-          date: "",
-          year: "",
-          idNumber: "",
-          nationality: "",
-          channelName: "internal",
-          contact: "",
-          accountNo: "",
-          customerType: "",
-          type: "Person",
-          transactionType: "",
-          flag: false,
-          limitFlag: 10000
-        }]
-      };
-
-      // Call both APIs with timing
-      const v2Start = performance.now();
-      v2Response = await api.post(API_ENDPOINTS.v1_2, payload);
-      v2Time = performance.now() - v2Start;
-
-      const v4Start = performance.now();
-      v4Response = await api.post(API_ENDPOINTS.v2, payload);
-      v4Time = performance.now() - v4Start;
-
-      return {
-        v2: { ...v2Response.data, _duration: v2Time },
-        v4: { ...v4Response.data, _duration: v4Time },
-        name,
-        _totalDuration: performance.now() - startTime
-      };
-    } catch (error) {
-      console.error('Error processing name:', error);
-      if (error.response) {
-        console.error('Response data:', error.response.data);
-        console.error('Status code:', error.response.status);
-      }
-      throw error;
-    }
+  // Process a single name (or partial matchingRequestDto record) through each of the selected endpoints.
+  // `versions` lists registry keys or { key, path } endpoint snapshots (e.g. from a saved run).
+  // See createMatcher for the result shape and options.
+  processName: (input, versions, options) => matcher.processName(input, resolveEndpoints(versions), options),
+
+  // Process several names with one request per endpoint, falling back to single-name requests
+  processNames: (inputs, versions, options) => matcher.processNames(inputs, resolveEndpoints(versions), options),
+
+  // Matcher bound to the active profile, for running whole batches through the comparison core
+  matcher,
+
+  // Record every matcher call into `archive` (see responseArchive) until the transport changes
+  startRecording: (archive) => {
+    transport = { mode: TRANSPORT_MODES.RECORD, post: createRecordingPost(livePost, archive), archive };
+  },
+
+  // Answer every matcher call from `archive` instead of the network
+  startReplay: (archive) => {
+    transport = { mode: TRANSPORT_MODES.REPLAY, post: createReplayPost(archive), archive };
+  },
+
+  useLiveEndpoints: () => {
+    transport = { mode: TRANSPORT_MODES.LIVE, post: livePost, archive: null };
+  },
+
+  getTransportMode: () => transport.mode,
+
+  // Build a curl command that reproduces a matcher call outside the tool, against `profile` (the
+  // environment the run was sent to). The signed-in token is only included for the active profile.
+  getCurlCommand: (endpoint, payload, profile = environmentProfiles.getActiveProfile()) => {
+    const quote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+    const url = /^https?:\/\//.test(endpoint.path)
+      ? endpoint.path
+      : `${profile.apiBaseUrl || ''}${endpoint.path}`;
+    const token = profile.id === environmentProfiles.getActiveProfile().id
+      ? authService.getStoredToken()
+      : `<access token for ${profile.name}>`;
+
+    return [
+      `curl -X POST ${quote(url)}`,
+      `  -H ${quote('Accept: application/json')}`,
+      `  -H ${quote('Content-Type: application/json')}`,
+      ...(token ? [`  -H ${quote(`Authorization: Bearer ${token}`)}`] : []),
+      `  --data-raw ${quote(JSON.stringify(payload))}`
+    ].join(' \\\n');
   },
 
   // Process a file through both APIs
@@ -0,0 +1,22 @@
+import apiService from './apiService';
+import environmentProfiles from './environmentProfiles';
+
+const endpoint = { key: 'v2', label: 'V4', path: '/namecheck/rule-matching/v2' };
+const payload = { matchingRequestDto: [{ fullName: 'John Smith' }] };
+
+beforeEach(() => {
+  localStorage.clear();
+  sessionStorage.clear();
+});
+
+test('builds curl commands against the profile the run was sent to', () => {
+  environmentProfiles.updateProfile(environmentProfiles.getActiveProfile().id, { apiBaseUrl: 'https://dev.example.com' });
+  const uat = { id: 'profile-uat', name: 'UAT', apiBaseUrl: 'https://uat.example.com' };
+
+  expect(apiService.getCurlCommand(endpoint, payload)).toContain(`curl -X POST 'https://dev.example.com/namecheck/rule-matching/v2'`);
+
+  const curl = apiService.getCurlCommand(endpoint, payload, uat);
+  expect(curl).toContain(`curl -X POST 'https://uat.example.com/namecheck/rule-matching/v2'`);
+  expect(curl).toContain(`Authorization: Bearer <access token for UAT>`);
+  expect(curl).toContain(`--data-raw '{"matchingRequestDto":[{"fullName":"John Smith"}]}'`);
+});
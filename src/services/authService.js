@@ -0,0 +1,257 @@
+// Keycloak sign-in using the authorization code flow with PKCE, against the active environment profile.
+// Tokens live in sessionStorage so they survive reloads but not the browser session, are renewed
+// with the refresh token shortly before the access token expires, and listeners are told when the
+// signed-in user changes. Each profile has its own session, so switching profiles never reuses a token.
+
+import axios from 'axios';
+import {
+  createCodeChallenge,
+  createRandomString,
+  decodeJwt,
+  getRenewalDelay,
+  getTokenExpiry,
+  getUserFromClaims,
+  isTokenValid
+} from './authTokens';
+import environmentProfiles from './environmentProfiles';
+
+const SCOPE = 'openid profile email';
+const SESSION_KEY_PREFIX = 'authSession:';
+const LOGIN_KEY = 'pkceLogin';
+
+export const AUTH_REQUIRED = 'AUTH_REQUIRED';
+
+const getProfile = (id) => (
+  environmentProfiles.getProfiles().find(profile => profile.id === id) || environmentProfiles.getActiveProfile()
+);
+
+const getOpenIdUrl = (profile, endpoint) => (
+  `${profile.keycloakUrl}/realms/${profile.realm}/protocol/openid-connect/${endpoint}`
+);
+
+// Where Keycloak sends the user back to; must be registered as a valid redirect URI on the client
+const getRedirectUri = () => `${window.location.origin}${window.location.pathname}`;
+
+const createAuthRequiredError = (message = 'Sign in required') => {
+  const error = new Error(message);
+  error.code = AUTH_REQUIRED;
+  return error;
+};
+
+export const isAuthRequired = (error) => error?.code === AUTH_REQUIRED;
+
+// Cached session of the active profile; reloaded whenever the active profile changes
+let session = null;
+let renewalTimer = null;
+let pendingRefresh = null;
+const listeners = new Set();
+
+const getSessionKey = () => `${SESSION_KEY_PREFIX}${environmentProfiles.getActiveProfile().id}`;
+
+const loadSession = () => {
+  const profileId = environmentProfiles.getActiveProfile().id;
+  if (session?.profileId === profileId) return session;
+
+  // The profile changed: stop renewing the other profile's token
+  clearTimeout(renewalTimer);
+  renewalTimer = null;
+  try {
+    session = JSON.parse(sessionStorage.getItem(getSessionKey()));
+  } catch (error) {
+    console.error('Error reading auth session:', error);
+    session = null;
+  }
+  return session;
+};
+
+const notify = () => {
+  const user = authService.getUser();
+  listeners.forEach(listener => listener(user));
+};
+
+const clearSession = () => {
+  session = null;
+  clearTimeout(renewalTimer);
+  renewalTimer = null;
+  sessionStorage.removeItem(getSessionKey());
+  notify();
+};
+
+const scheduleRenewal = () => {
+  clearTimeout(renewalTimer);
+  if (!session?.refreshToken || !session.expiresAt) return;
+
+  renewalTimer = setTimeout(() => {
+    refreshTokens().catch(error => {
+      console.error('Error renewing access token:', error);
+    });
+  }, getRenewalDelay(session.issuedAt, session.expiresAt));
+};
+
+const saveTokenResponse = (profileId, data) => {
+  if (!data?.access_token) {
+    throw new Error('No access token received');
+  }
+
+  const now = Date.now();
+  const previous = session?.profileId === profileId ? session : null;
+  session = {
+    profileId,
+    accessToken: data.access_token,
+    // Keycloak may omit a new refresh token; keep the previous one in that case
+    refreshToken: data.refresh_token || previous?.refreshToken || null,
+    idToken: data.id_token || previous?.idToken || null,
+    issuedAt: now,
+    expiresAt: getTokenExpiry(data.access_token, data.expires_in, now),
+    refreshExpiresAt: data.refresh_token
+      ? getTokenExpiry(data.refresh_token, data.refresh_expires_in, now)
+      : previous?.refreshExpiresAt || null
+  };
+  sessionStorage.setItem(`${SESSION_KEY_PREFIX}${profileId}`, JSON.stringify(session));
+  scheduleRenewal();
+  notify();
+  return session.accessToken;
+};
+
+const postTokenRequest = async (profile, params) => {
+  const response = await axios.post(getOpenIdUrl(profile, 'token'), new URLSearchParams({
+    client_id: profile.clientId,
+    ...params
+  }), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+  });
+  return saveTokenResponse(profile.id, response.data);
+};
+
+// Refresh shared by concurrent callers so parallel batches don't each refresh
+const refreshTokens = () => {
+  if (!pendingRefresh) {
+    pendingRefresh = requestRefresh().finally(() => {
+      pendingRefresh = null;
+    });
+  }
+  return pendingRefresh;
+};
+
+const requestRefresh = async () => {
+  const current = loadSession();
+  if (!isTokenValid(current?.refreshToken, current?.refreshExpiresAt)) {
+    clearSession();
+    throw createAuthRequiredError('Session expired, please sign in again');
+  }
+
+  try {
+    return await postTokenRequest(getProfile(current.profileId), {
+      grant_type: 'refresh_token',
+      refresh_token: current.refreshToken
+    });
+  } catch (error) {
+    // A rejected refresh token means the session was ended on the server
+    if (error.response?.status === 400 || error.response?.status === 401) {
+      clearSession();
+      throw createAuthRequiredError('Session expired, please sign in again');
+    }
+    throw error;
+  }
+};
+
+const authService = {
+  // Redirect to the Keycloak login page
+  login: async () => {
+    const profile = environmentProfiles.getActiveProfile();
+    const verifier = createRandomString(48);
+    const state = createRandomString(16);
+    sessionStorage.setItem(LOGIN_KEY, JSON.stringify({ verifier, state, profileId: profile.id }));
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: profile.clientId,
+      redirect_uri: getRedirectUri(),
+      scope: SCOPE,
+      state,
+      code_challenge: await createCodeChallenge(verifier),
+      code_challenge_method: 'S256'
+    });
+    window.location.assign(`${getOpenIdUrl(profile, 'auth')}?${params}`);
+  },
+
+  // Complete a login when the page was loaded from the Keycloak redirect.
+  // Returns true when a code was exchanged for tokens.
+  handleRedirectCallback: async () => {
+    const url = new URL(window.location.href);
+    const code = url.searchParams.get('code');
+    const state = url.searchParams.get('state');
+    const error = url.searchParams.get('error');
+    const errorDescription = url.searchParams.get('error_description');
+    if (!code && !error) return false;
+
+    const pending = JSON.parse(sessionStorage.getItem(LOGIN_KEY) || 'null');
+    sessionStorage.removeItem(LOGIN_KEY);
+    // Drop the OAuth parameters so a reload doesn't replay the code
+    ['code', 'state', 'session_state', 'iss', 'error', 'error_description'].forEach(param => url.searchParams.delete(param));
+    window.history.replaceState(null, '', url.toString());
+
+    if (error) {
+      throw new Error(errorDescription || `Login failed: ${error}`);
+    }
+    if (!pending || pending.state !== state) {
+      throw new Error('Login response did not match the login request, please sign in again');
+    }
+
+    // Exchange the code with the profile the login started from
+    await postTokenRequest(getProfile(pending.profileId), {
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: getRedirectUri(),
+      code_verifier: pending.verifier
+    });
+    return true;
+  },
+
+  getAccessToken: async () => {
+    const current = loadSession();
+    if (isTokenValid(current?.accessToken, current?.expiresAt)) {
+      if (!renewalTimer) scheduleRenewal();
+      return current.accessToken;
+    }
+    if (current?.refreshToken) {
+      return refreshTokens();
+    }
+    throw createAuthRequiredError();
+  },
+
+  // Current access token without renewing, e.g. for building curl commands
+  getStoredToken: () => loadSession()?.accessToken || null,
+
+  refreshTokens,
+
+  getUser: () => {
+    const current = loadSession();
+    if (!current) return null;
+    return getUserFromClaims(decodeJwt(current.idToken || current.accessToken));
+  },
+
+  // Listen for sign-in, renewal and sign-out; returns an unsubscribe function
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  // End the Keycloak session as well as the local one
+  logout: () => {
+    const profile = environmentProfiles.getActiveProfile();
+    const idToken = loadSession()?.idToken;
+    clearSession();
+
+    const params = new URLSearchParams({
+      client_id: profile.clientId,
+      post_logout_redirect_uri: getRedirectUri()
+    });
+    if (idToken) {
+      params.append('id_token_hint', idToken);
+    }
+    window.location.assign(`${getOpenIdUrl(profile, 'logout')}?${params}`);
+  }
+};
+
+export default authService;
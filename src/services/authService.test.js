@@ -0,0 +1,111 @@
+const HOUR_S = 60 * 60;
+
+// Unsigned JWT carrying `claims`; authService only decodes tokens, the API checks signatures
+const toJwt = (claims) => `header.${btoa(JSON.stringify(claims)).replace(/=+$/, '')}.signature`;
+
+const tokenResponse = (user, { expiresIn = HOUR_S } = {}) => {
+  const exp = Math.floor(Date.now() / 1000) + expiresIn;
+  return {
+    data: {
+      access_token: toJwt({ sub: user, preferred_username: user, exp }),
+      refresh_token: toJwt({ sub: user, exp: exp + HOUR_S }),
+      id_token: toJwt({ sub: user, name: `User ${user}`, exp })
+    }
+  };
+};
+
+let authService;
+let environmentProfiles;
+let axios;
+
+// authService caches the session at module level, so every test gets fresh modules
+beforeEach(() => {
+  jest.useFakeTimers();
+  localStorage.clear();
+  sessionStorage.clear();
+  jest.isolateModules(() => {
+    jest.doMock('axios', () => ({ post: jest.fn() }));
+    axios = require('axios');
+    authService = require('./authService').default;
+    environmentProfiles = require('./environmentProfiles').default;
+  });
+  environmentProfiles.updateProfile('default', { keycloakUrl: 'https://dev-sso.example.com', clientId: 'dev-client' });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  window.history.replaceState(null, '', '/');
+});
+
+const completeLogin = async (profileId, state = 'state-1') => {
+  sessionStorage.setItem('pkceLogin', JSON.stringify({ verifier: 'verifier-1', state, profileId }));
+  window.history.replaceState(null, '', `/?code=code-1&state=${state}&session_state=abc`);
+  return authService.handleRedirectCallback();
+};
+
+test('exchanges the redirect code with the profile the login started from', async () => {
+  axios.post.mockResolvedValue(tokenResponse('alice'));
+
+  await expect(completeLogin('default')).resolves.toBe(true);
+
+  const [url, params] = axios.post.mock.calls[0];
+  expect(url).toBe('https://dev-sso.example.com/realms/ScreeningApp/protocol/openid-connect/token');
+  expect(Object.fromEntries(params)).toMatchObject({
+    client_id: 'dev-client',
+    grant_type: 'authorization_code',
+    code: 'code-1',
+    code_verifier: 'verifier-1'
+  });
+  expect(window.location.search).toBe('');
+  expect(authService.getUser()).toMatchObject({ username: 'alice', name: 'User alice' });
+  expect(sessionStorage.getItem('pkceLogin')).toBeNull();
+});
+
+test('rejects a redirect whose state does not match the login request', async () => {
+  sessionStorage.setItem('pkceLogin', JSON.stringify({ verifier: 'verifier-1', state: 'expected', profileId: 'default' }));
+  window.history.replaceState(null, '', '/?code=code-1&state=forged');
+
+  await expect(authService.handleRedirectCallback()).rejects.toThrow('did not match');
+  expect(axios.post).not.toHaveBeenCalled();
+  expect(authService.getUser()).toBeNull();
+});
+
+test('refreshes an expired access token once for concurrent callers', async () => {
+  axios.post.mockResolvedValueOnce(tokenResponse('alice', { expiresIn: -60 }));
+  await completeLogin('default');
+  axios.post.mockResolvedValueOnce(tokenResponse('alice'));
+
+  const [first, second] = await Promise.all([authService.getAccessToken(), authService.getAccessToken()]);
+
+  expect(first).toBe(second);
+  expect(axios.post).toHaveBeenCalledTimes(2);
+  expect(Object.fromEntries(axios.post.mock.calls[1][1])).toMatchObject({
+    grant_type: 'refresh_token',
+    client_id: 'dev-client'
+  });
+  expect(JSON.parse(sessionStorage.getItem('authSession:default')).accessToken).toBe(first);
+});
+
+test('keeps each profile signed in separately', async () => {
+  axios.post.mockResolvedValue(tokenResponse('alice'));
+  await completeLogin('default');
+  const devToken = authService.getStoredToken();
+
+  const [, uat] = environmentProfiles.addProfile('UAT');
+  environmentProfiles.updateProfile(uat.id, { keycloakUrl: 'https://uat-sso.example.com', clientId: 'uat-client' });
+  environmentProfiles.setActiveProfile(uat.id);
+
+  expect(authService.getStoredToken()).toBeNull();
+  expect(authService.getUser()).toBeNull();
+  await expect(authService.getAccessToken()).rejects.toMatchObject({ code: 'AUTH_REQUIRED' });
+  expect(axios.post).toHaveBeenCalledTimes(1);
+
+  axios.post.mockResolvedValue(tokenResponse('bob'));
+  await completeLogin(uat.id, 'state-2');
+  expect(axios.post.mock.calls[1][0]).toBe('https://uat-sso.example.com/realms/ScreeningApp/protocol/openid-connect/token');
+  expect(authService.getUser().username).toBe('bob');
+
+  environmentProfiles.setActiveProfile('default');
+  expect(authService.getStoredToken()).toBe(devToken);
+  expect(authService.getUser().username).toBe('alice');
+});
@@ -0,0 +1,71 @@
+// PKCE and JWT helpers for the Keycloak authorization code flow (no network access here)
+
+// Renew this long before the access token expires so in-flight batches never send a stale token
+export const RENEWAL_MARGIN_MS = 60 * 1000;
+
+// Treat tokens this close to expiry as already expired
+const EXPIRY_SKEW_MS = 5 * 1000;
+
+export const base64UrlEncode = (bytes) => {
+  let binary = '';
+  new Uint8Array(bytes).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const base64UrlDecode = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+  return decodeURIComponent(Array.from(binary, char => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+};
+
+// Random URL-safe string, used for the PKCE code verifier and the state parameter
+export const createRandomString = (byteLength = 32) => {
+  const bytes = new Uint8Array(byteLength);
+  crypto.getRandomValues(bytes);
+  return base64UrlEncode(bytes);
+};
+
+// S256 code challenge for a code verifier (RFC 7636)
+export const createCodeChallenge = async (verifier) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return base64UrlEncode(digest);
+};
+
+// Claims of a JWT, or null when it can't be decoded. The signature is not checked; the API does that.
+export const decodeJwt = (token) => {
+  try {
+    return JSON.parse(base64UrlDecode(token.split('.')[1]));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Expiry of a JWT in epoch ms, falling back to `expiresIn` seconds from now when it has no `exp`
+export const getTokenExpiry = (token, expiresIn, now = Date.now()) => {
+  const exp = decodeJwt(token)?.exp;
+  if (exp) return exp * 1000;
+  return expiresIn ? now + expiresIn * 1000 : null;
+};
+
+export const isTokenValid = (token, expiresAt, now = Date.now()) => (
+  Boolean(token) && (!expiresAt || expiresAt - EXPIRY_SKEW_MS > now)
+);
+
+// Delay before proactively renewing a token: the margin before expiry, or halfway for short-lived tokens
+export const getRenewalDelay = (issuedAt, expiresAt, now = Date.now()) => {
+  const lifetime = expiresAt - issuedAt;
+  const margin = Math.min(RENEWAL_MARGIN_MS, lifetime / 2);
+  return Math.max(0, expiresAt - margin - now);
+};
+
+// Display details of the signed-in user from ID or access token claims
+export const getUserFromClaims = (claims) => {
+  if (!claims) return null;
+  return {
+    username: claims.preferred_username || claims.sub,
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || claims.preferred_username || claims.sub,
+    email: claims.email || ''
+  };
+};
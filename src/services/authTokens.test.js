@@ -0,0 +1,37 @@
+/**
+ * @jest-environment node
+ */
+
+import { webcrypto } from 'crypto';
+import { createCodeChallenge, decodeJwt, getRenewalDelay, getTokenExpiry, getUserFromClaims, isTokenValid } from './authTokens';
+
+// Jest's node environment doesn't expose the Web Crypto global that browsers provide
+beforeAll(() => {
+  if (!global.crypto) {
+    global.crypto = webcrypto;
+  }
+});
+
+const toJwt = (claims) => `header.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.signature`;
+
+test('creates the RFC 7636 S256 code challenge', async () => {
+  await expect(createCodeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'))
+    .resolves.toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+});
+
+test('reads expiry and user details from JWT claims', () => {
+  const token = toJwt({ exp: 1700000000, preferred_username: 'jdoe', name: 'Jöhn Doe', email: 'j@example.com' });
+
+  expect(getTokenExpiry(token)).toBe(1700000000000);
+  expect(getTokenExpiry('opaque', 300, 1000)).toBe(301000);
+  expect(getUserFromClaims(decodeJwt(token))).toEqual({ username: 'jdoe', name: 'Jöhn Doe', email: 'j@example.com' });
+  expect(decodeJwt('not-a-jwt')).toBeNull();
+});
+
+test('renews a minute before expiry, or halfway through short-lived tokens', () => {
+  expect(getRenewalDelay(0, 300000, 0)).toBe(240000);
+  expect(getRenewalDelay(0, 60000, 0)).toBe(30000);
+  expect(getRenewalDelay(0, 300000, 290000)).toBe(0);
+  expect(isTokenValid('token', 10000, 1000)).toBe(true);
+  expect(isTokenValid('token', 5000, 1000)).toBe(false);
+});
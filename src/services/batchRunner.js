@@ -0,0 +1,118 @@
+// Concurrency-limited scheduler for running a worker over a list of inputs
+
+// Browsers open ~6 connections per host; beyond that requests queue and their timings include the wait
+export const DEFAULT_CONCURRENCY = 4;
+export const MAX_CONCURRENCY = 20;
+// Upper bound for names packed into one matchingRequestDto array
+export const MAX_BATCH_SIZE = 100;
+
+// Split items into consecutive groups of `size`
+export const chunkItems = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += Math.max(1, size)) {
+    chunks.push(items.slice(i, i + Math.max(1, size)));
+  }
+  return chunks;
+};
+
+// Pause/resume/cancel handle for a running batch.
+// Pausing lets in-flight calls finish but starts no new ones; cancelling also aborts
+// in-flight requests through `signal`.
+export const createBatchController = () => {
+  const abortController = new AbortController();
+  let paused = false;
+  let resumeWaiters = [];
+
+  const resume = () => {
+    paused = false;
+    resumeWaiters.forEach(resolve => resolve());
+    resumeWaiters = [];
+  };
+
+  return {
+    signal: abortController.signal,
+    get paused() {
+      return paused;
+    },
+    get cancelled() {
+      return abortController.signal.aborted;
+    },
+    pause: () => {
+      paused = true;
+    },
+    resume,
+    cancel: () => {
+      abortController.abort();
+      resume();
+    },
+    waitWhilePaused: () => (paused ? new Promise(resolve => resumeWaiters.push(resolve)) : Promise.resolve())
+  };
+};
+
+// Run `worker(item, index)` over every item with at most `concurrency` calls in flight.
+// `onResult(index, value)` fires as each call settles, in completion order; the
+// returned array is always in input order, with holes for items that never ran
+// because the batch was cancelled. Workers are expected to handle their own errors.
+export const runBatch = async (items, worker, { concurrency = DEFAULT_CONCURRENCY, onResult, controller } = {}) => {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(concurrency, MAX_CONCURRENCY, items.length));
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      if (controller) {
+        await controller.waitWhilePaused();
+        if (controller.cancelled || nextIndex >= items.length) return;
+      }
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+      if (onResult) {
+        onResult(index, results[index]);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+};
+
+// Merge a batch of entries into a list kept sorted by `_index` in one pass, so a streamed result
+// costs a single copy of the list however many arrive together
+export const mergeInOrder = (list, entries) => {
+  if (entries.length === 0) return list;
+  const incoming = [...entries].sort((a, b) => a._index - b._index);
+  const merged = new Array(list.length + incoming.length);
+  let i = 0;
+  let j = 0;
+  for (let k = 0; k < merged.length; k++) {
+    merged[k] = j >= incoming.length || (i < list.length && list[i]._index <= incoming[j]._index)
+      ? list[i++]
+      : incoming[j++];
+  }
+  return merged;
+};
+
+// Collect streamed entries and hand them to `onFlush` at most once per `intervalMs`, so the UI
+// re-renders a few times a second instead of once per result. `flush` delivers anything pending now.
+export const createEntryBuffer = (onFlush, intervalMs = 250) => {
+  let pending = [];
+  let timer = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (pending.length === 0) return;
+    const entries = pending;
+    pending = [];
+    onFlush(entries);
+  };
+
+  const push = (entries) => {
+    pending.push(...entries);
+    if (!timer) {
+      timer = setTimeout(flush, intervalMs);
+    }
+  };
+
+  return { push, flush };
+};
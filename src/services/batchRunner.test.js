@@ -0,0 +1,70 @@
+import { createBatchController, createEntryBuffer, mergeInOrder, runBatch } from './batchRunner';
+
+test('limits calls in flight and returns results in input order', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const completed = [];
+
+  const results = await runBatch([30, 10, 20, 5], async (delay, index) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    inFlight--;
+    return index;
+  }, { concurrency: 2, onResult: (index) => completed.push(index) });
+
+  expect(maxInFlight).toBe(2);
+  expect(results).toEqual([0, 1, 2, 3]);
+  expect(completed).not.toEqual([0, 1, 2, 3]);
+});
+
+test('merges a batch of entries by input index', () => {
+  const list = [{ _index: 0 }, { _index: 2 }, { _index: 5 }];
+  const merged = mergeInOrder(list, [{ _index: 6 }, { _index: 1 }, { _index: 3 }]);
+
+  expect(merged.map(entry => entry._index)).toEqual([0, 1, 2, 3, 5, 6]);
+  expect(mergeInOrder(list, [])).toBe(list);
+});
+
+test('buffers streamed entries until the interval elapses or a flush', () => {
+  jest.useFakeTimers();
+  const flushed = [];
+  const buffer = createEntryBuffer(entries => flushed.push(entries.map(entry => entry._index)), 100);
+
+  buffer.push([{ _index: 0 }]);
+  buffer.push([{ _index: 1 }, { _index: 2 }]);
+  expect(flushed).toEqual([]);
+  jest.advanceTimersByTime(100);
+  buffer.push([{ _index: 3 }]);
+  buffer.flush();
+  buffer.flush();
+
+  expect(flushed).toEqual([[0, 1, 2], [3]]);
+  jest.useRealTimers();
+});
+
+test('stops starting new items once cancelled', async () => {
+  const controller = createBatchController();
+  const started = [];
+
+  const results = await runBatch([1, 2, 3, 4], async (item, index) => {
+    started.push(index);
+    if (index === 1) controller.cancel();
+    return item;
+  }, { concurrency: 1, controller });
+
+  expect(started).toEqual([0, 1]);
+  expect(results[2]).toBeUndefined();
+  expect(controller.signal.aborted).toBe(true);
+});
+
+test('waits while paused and continues on resume', async () => {
+  const controller = createBatchController();
+  controller.pause();
+
+  const batch = runBatch([1, 2], async item => item * 2, { concurrency: 1, controller });
+  await new Promise(resolve => setTimeout(resolve, 10));
+  controller.resume();
+
+  expect(await batch).toEqual([2, 4]);
+});
@@ -0,0 +1,64 @@
+// Pass/fail thresholds for headless runs: how much divergence, how many errors and how much latency
+// a run may show before the command-line runner exits non-zero
+
+import { hasDifferences } from './sdnComparison';
+import { computeRunLatencyStats } from './latencyStats';
+
+// Latency thresholds are per version key, e.g. { latency: { v2: { maxP95Ms: 800, maxMeanMs: 300 } } }
+const LATENCY_FIELDS = [
+  { field: 'maxMeanMs', stat: 'mean', label: 'mean' },
+  { field: 'maxP95Ms', stat: 'p95', label: 'P95' },
+  { field: 'maxP99Ms', stat: 'p99', label: 'P99' }
+];
+
+const isSet = (value) => value !== undefined && value !== null;
+
+const getVersionLabel = (versions, key) => versions.find(version => version.key === key)?.label || key;
+
+// Divergence and error counts over the completed and failed entries of a run
+export const summarizeRun = (results) => {
+  const completed = results.filter(result => !result.error && !result.notRun);
+  const divergent = completed.filter(result => hasDifferences(result._sdnComparison)).length;
+  return {
+    completed: completed.length,
+    divergent,
+    divergenceRate: completed.length > 0 ? divergent / completed.length : 0,
+    errors: results.filter(result => result.error).length,
+    notRun: results.filter(result => result.notRun).length
+  };
+};
+
+// Every threshold is optional; a missing or null value is not checked.
+// Returns one { threshold, limit, actual, message } per exceeded threshold; an empty list means the run passes
+export const checkThresholds = (results, thresholds = {}, { versions }) => {
+  const summary = summarizeRun(results);
+  const violations = [];
+
+  const check = (threshold, limit, actual, message) => {
+    if (isSet(limit) && actual > limit) {
+      violations.push({ threshold, limit, actual, message });
+    }
+  };
+
+  check('maxDivergentNames', thresholds.maxDivergentNames, summary.divergent,
+    `${summary.divergent} divergent names (limit ${thresholds.maxDivergentNames})`);
+  check('maxDivergenceRate', thresholds.maxDivergenceRate, summary.divergenceRate,
+    `${(summary.divergenceRate * 100).toFixed(1)}% of names divergent (limit ${(thresholds.maxDivergenceRate * 100).toFixed(1)}%)`);
+  check('maxErrors', thresholds.maxErrors, summary.errors,
+    `${summary.errors} failed names (limit ${thresholds.maxErrors})`);
+
+  const stats = computeRunLatencyStats(results, versions);
+  Object.entries(thresholds.latency || {}).forEach(([key, limits]) => {
+    if (!stats[key]) {
+      throw new Error(`Latency threshold for unknown version "${key}"`);
+    }
+    LATENCY_FIELDS.forEach(({ field, stat, label }) => {
+      const actual = stats[key][stat];
+      if (actual === null) return;
+      check(`latency.${key}.${field}`, limits[field], actual,
+        `${getVersionLabel(versions, key)} ${label} latency ${actual.toFixed(0)} ms (limit ${limits[field]} ms)`);
+    });
+  });
+
+  return violations;
+};
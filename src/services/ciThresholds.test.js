@@ -0,0 +1,50 @@
+import { checkThresholds, summarizeRun } from './ciThresholds';
+
+const versions = [{ key: 'a', label: 'V2' }, { key: 'b', label: 'V4' }];
+
+const entry = (durationA, durationB, onlyInB = []) => ({
+  versions: { a: { _duration: durationA }, b: { _duration: durationB } },
+  _sdnComparison: { 'a|b': { onlyInA: [], onlyInB, changed: [] } }
+});
+
+const results = [
+  entry(100, 200, [{ id: '2' }]),
+  entry(120, 900),
+  entry(110, 300),
+  { name: 'Broken', error: 'Error: timeout' },
+  { name: 'Skipped', notRun: true }
+];
+
+test('summarizes divergence and errors over completed names', () => {
+  expect(summarizeRun(results)).toEqual({ completed: 3, divergent: 1, divergenceRate: 1 / 3, errors: 1, notRun: 1 });
+});
+
+test('passes when no threshold is exceeded', () => {
+  expect(checkThresholds(results, {}, { versions })).toEqual([]);
+  expect(checkThresholds(results, { maxDivergentNames: 1, maxErrors: 1, latency: { a: { maxP95Ms: 150 } } }, { versions })).toEqual([]);
+});
+
+test('reports every exceeded threshold', () => {
+  const violations = checkThresholds(results, {
+    maxDivergenceRate: 0.25,
+    maxErrors: 0,
+    latency: { b: { maxMeanMs: 400, maxP95Ms: 1000 } }
+  }, { versions });
+
+  expect(violations.map(violation => violation.threshold)).toEqual(['maxDivergenceRate', 'maxErrors', 'latency.b.maxMeanMs']);
+  expect(violations[2].message).toBe('V4 mean latency 467 ms (limit 400 ms)');
+});
+
+test('checks latency of batched calls per name', () => {
+  const batched = [entry(300, 300), entry(300, 300)].map(result => ({
+    ...result,
+    versions: Object.fromEntries(Object.entries(result.versions).map(([key, data]) => [key, { ...data, _batchSize: 2 }]))
+  }));
+
+  expect(checkThresholds(batched, { latency: { a: { maxMeanMs: 200 } } }, { versions })).toEqual([]);
+  expect(checkThresholds(batched, { latency: { a: { maxMeanMs: 100 } } }, { versions })[0].message).toBe('V2 mean latency 150 ms (limit 100 ms)');
+});
+
+test('rejects latency thresholds for unknown versions', () => {
+  expect(() => checkThresholds(results, { latency: { v9: { maxMeanMs: 1 } } }, { versions })).toThrow('unknown version');
+});
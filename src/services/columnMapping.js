@@ -0,0 +1,103 @@
+// Maps spreadsheet columns to matchingRequestDto fields, plus the optional expected-hits column
+// used for golden-answer evaluation. Mappings are saved per file layout (the set of header names) in localStorage.
+
+import { REQUEST_FIELDS } from './matchingRequest';
+
+// Input columns that aren't sent to the matcher
+export const EVALUATION_FIELDS = [
+  { key: 'expectedHits', label: 'Expected SDN IDs' },
+  { key: 'variantOf', label: 'Variant Of (seed name)' },
+  { key: 'variantType', label: 'Variant Type' }
+];
+
+export const MAPPABLE_FIELDS = [...REQUEST_FIELDS, ...EVALUATION_FIELDS];
+
+const STORAGE_KEY = 'columnMappings';
+
+// Common header spellings for each request field, used to suggest a mapping
+const HEADER_ALIASES = {
+  fullName: ['fullname', 'name', 'customername', 'fullnames'],
+  date: ['date', 'dob', 'dateofbirth', 'birthdate'],
+  year: ['year', 'yearofbirth', 'yob', 'birthyear'],
+  idNumber: ['idnumber', 'id', 'idno', 'passport', 'passportnumber', 'nationalid'],
+  nationality: ['nationality', 'country', 'citizenship'],
+  channelName: ['channelname', 'channel'],
+  contact: ['contact', 'phone', 'mobile', 'email'],
+  accountNo: ['accountno', 'accountnumber', 'account'],
+  customerType: ['customertype'],
+  type: ['type', 'entitytype', 'partytype'],
+  transactionType: ['transactiontype', 'txntype'],
+  flag: ['flag'],
+  limitFlag: ['limitflag', 'limit'],
+  expectedHits: ['expectedhits', 'expected', 'expectedsdnids', 'expectedsdnid', 'expectedsdn', 'goldenanswer', 'expectedmatches'],
+  variantOf: ['variantof', 'seed', 'seedname'],
+  variantType: ['varianttype']
+};
+
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Identify a file layout by its normalized header row
+export const getLayoutKey = (headers) => headers.map(normalizeHeader).join('|');
+
+const loadAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error('Error reading column mappings:', error);
+    return {};
+  }
+};
+
+// Suggest a mapping of { fieldKey: columnIndex } from the header names.
+// Falls back to the first column for fullName, matching the old behaviour.
+export const guessMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+
+  MAPPABLE_FIELDS.forEach(field => {
+    const index = normalized.findIndex((header, idx) => (
+      HEADER_ALIASES[field.key]?.includes(header) && !Object.values(mapping).includes(idx)
+    ));
+    if (index !== -1) {
+      mapping[field.key] = index;
+    }
+  });
+
+  if (mapping.fullName === undefined && headers.length > 0 && !Object.values(mapping).includes(0)) {
+    mapping.fullName = 0;
+  }
+
+  return mapping;
+};
+
+// Saved mapping for this layout, or a suggested one
+export const loadMapping = (headers) => {
+  const saved = loadAll()[getLayoutKey(headers)];
+  return saved ? { ...saved } : guessMapping(headers);
+};
+
+export const saveMapping = (headers, mapping) => {
+  const mappings = loadAll();
+  mappings[getLayoutKey(headers)] = mapping;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(mappings));
+};
+
+export const hasSavedMapping = (headers) => Boolean(loadAll()[getLayoutKey(headers)]);
+
+// Build the partial request fields for one data row
+export const mapRow = (row, mapping) => {
+  return Object.entries(mapping).reduce((fields, [fieldKey, columnIndex]) => {
+    const value = row[columnIndex];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      fields[fieldKey] = String(value).trim();
+    }
+    return fields;
+  }, {});
+};
+
+// Convert sheet rows (header row first) into request records, skipping rows without a name
+export const extractRecords = (data, mapping) => {
+  return data.slice(1)
+    .map(row => mapRow(row, mapping))
+    .filter(record => record.fullName);
+};
@@ -0,0 +1,34 @@
+import { extractRecords, guessMapping, hasSavedMapping, loadMapping, saveMapping } from './columnMapping';
+
+beforeEach(() => localStorage.clear());
+
+test('suggests a mapping from common header names', () => {
+  expect(guessMapping(['Full Name', 'DOB', 'Nationality', 'Passport'])).toEqual({
+    fullName: 0,
+    date: 1,
+    nationality: 2,
+    idNumber: 3
+  });
+});
+
+test('recognises an expected-hits column for evaluation', () => {
+  expect(guessMapping(['Name', 'Expected SDN IDs'])).toEqual({ fullName: 0, expectedHits: 1 });
+});
+
+test('saves mappings per header layout', () => {
+  const headers = ['Customer', 'Country'];
+  expect(hasSavedMapping(headers)).toBe(false);
+
+  saveMapping(headers, { fullName: 0, nationality: 1 });
+
+  expect(hasSavedMapping(headers)).toBe(true);
+  expect(loadMapping(['customer', 'COUNTRY'])).toEqual({ fullName: 0, nationality: 1 });
+});
+
+test('builds records from mapped columns and skips rows without a name', () => {
+  const data = [['Name', 'Country'], ['John Smith', 'US'], ['', 'GB'], ['Ali Hassan', '']];
+  expect(extractRecords(data, { fullName: 0, nationality: 1 })).toEqual([
+    { fullName: 'John Smith', nationality: 'US' },
+    { fullName: 'Ali Hassan' }
+  ]);
+});
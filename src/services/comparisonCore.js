@@ -0,0 +1,243 @@
+// Comparison core shared by the UI and the command-line runner: calls the matcher endpoints with the
+// matchingRequestDto payload, turns responses into result entries with their version comparison, and
+// runs a list of records through a concurrency-limited batch. Nothing here touches browser APIs; the
+// HTTP call itself is injected as `post(endpoint, payload, { signal, timeout })`, which resolves to
+// { data, duration }.
+
+import { buildMatchingRequest } from './matchingRequest';
+import { splitBatchResponse } from './responseSplitter';
+import { compareVersions } from './sdnComparison';
+import { parseExpectedHits } from './goldenEvaluation';
+import { chunkItems, runBatch } from './batchRunner';
+import {
+  DEFAULT_REQUEST_POLICY,
+  ERROR_CATEGORIES,
+  classifyError,
+  getRetryDelay,
+  isRetryable,
+  wait
+} from './requestPolicy';
+
+const isCancelled = (error) => error?.code === 'ERR_CANCELED' || error?.name === 'CanceledError';
+
+// Matcher client around an injected `post`. `getPolicy()` returns the timeout/retry policy for each call.
+export const createMatcher = ({ post, getPolicy = () => DEFAULT_REQUEST_POLICY }) => {
+  // Post to a matcher endpoint, retrying transient failures per the request policy.
+  // Failures are rethrown with `details` describing the category, status, attempts and response body.
+  const postWithRetry = async (endpoint, payload, signal) => {
+    const policy = getPolicy();
+    let attempt = 0;
+
+    while (true) {
+      attempt++;
+      try {
+        const response = await post(endpoint, payload, { signal, timeout: policy.timeoutMs });
+        return { ...response, attempts: attempt };
+      } catch (error) {
+        const category = classifyError(error);
+        if (isRetryable(category) && attempt <= policy.maxRetries && !signal?.aborted) {
+          await wait(getRetryDelay(attempt, error, policy), signal);
+          if (!signal?.aborted) continue;
+        }
+
+        error.details = {
+          category: signal?.aborted ? ERROR_CATEGORIES.CANCELLED : category,
+          status: error.response?.status ?? null,
+          attempts: attempt,
+          responseBody: error.response?.data ?? null,
+          endpoint: endpoint.key
+        };
+        throw error;
+      }
+    }
+  };
+
+  // Call every endpoint with the payload, one after another or all at once
+  const callEndpoints = async (endpoints, payload, { parallel, signal }) => {
+    if (parallel) {
+      return Promise.all(endpoints.map(endpoint => postWithRetry(endpoint, payload, signal)));
+    }
+    const responses = [];
+    for (const endpoint of endpoints) {
+      responses.push(await postWithRetry(endpoint, payload, signal));
+    }
+    return responses;
+  };
+
+  // Process a single name (or partial matchingRequestDto record) through each endpoint ({ key, path }).
+  // Responses are keyed by endpoint key: { versions: { v1_2: {...}, v2: {...} } }.
+  // With `parallel` set, all endpoints are called at once; each _duration still covers only its own call.
+  // Passing an AbortSignal as `signal` cancels any call still in flight.
+  const processName = async (input, endpoints, { parallel = false, signal } = {}) => {
+    const startTime = performance.now();
+    const request = buildMatchingRequest(input);
+    const payload = { matchingRequestDto: [request] };
+
+    try {
+      const responses = await callEndpoints(endpoints, payload, { parallel, signal });
+      return {
+        versions: Object.fromEntries(endpoints.map((endpoint, idx) => [endpoint.key, {
+          ...responses[idx].data,
+          _duration: responses[idx].duration,
+          _attempts: responses[idx].attempts
+        }])),
+        name: request.fullName,
+        request,
+        _totalDuration: performance.now() - startTime
+      };
+    } catch (error) {
+      if (!isCancelled(error)) {
+        console.error(`Error processing name: ${request.fullName}`, error.details || error.message);
+      }
+      throw error;
+    }
+  };
+
+  // Process several names with one request per endpoint, using the matchingRequestDto array.
+  // Returns one processName-style result per input, in input order; inputs that fail carry `error`.
+  // Each version's _duration is the time of the whole batched call, with _batchSize records; latency
+  // statistics divide it by _batchSize (see latencyStats).
+  // If the batch call fails or its hits can't be split back per name, falls back to single-name requests.
+  const processNames = async (inputs, endpoints, { parallel = false, signal } = {}) => {
+    const startTime = performance.now();
+    const requests = inputs.map(buildMatchingRequest);
+
+    try {
+      const responses = await callEndpoints(endpoints, { matchingRequestDto: requests }, { parallel, signal });
+      const splits = responses.map(response => splitBatchResponse(response.data, requests));
+      const totalDuration = performance.now() - startTime;
+
+      return requests.map((request, idx) => ({
+        versions: Object.fromEntries(endpoints.map((endpoint, endpointIdx) => [endpoint.key, {
+          ...splits[endpointIdx][idx],
+          _duration: responses[endpointIdx].duration,
+          _attempts: responses[endpointIdx].attempts,
+          _batchSize: requests.length
+        }])),
+        name: request.fullName,
+        request,
+        _totalDuration: totalDuration
+      }));
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      console.warn('Batch request failed, falling back to single-name requests:', error.message);
+
+      const results = [];
+      for (const request of requests) {
+        try {
+          const result = await processName(request, endpoints, { parallel, signal });
+          results.push({ ...result, _batchFallback: true });
+        } catch (singleError) {
+          if (signal?.aborted) {
+            throw singleError;
+          }
+          results.push({ name: request.fullName, request, error: singleError });
+        }
+      }
+      return results;
+    }
+  };
+
+  return { processName, processNames };
+};
+
+// Generated variants keep their seed name and variant type on every entry
+const getVariantFields = (record) => (
+  record.variantOf ? { variantOf: record.variantOf, variantType: record.variantType || '' } : {}
+);
+
+// Result entry for a processed record, with the SDN comparison of every compared pair
+export const createResultEntry = (record, index, result, { pairs, fields, identity }) => ({
+  name: record.fullName,
+  request: result.request,
+  versions: result.versions,
+  _totalDuration: result._totalDuration,
+  _sdnComparison: compareVersions(result.versions, pairs, { fields, identity }),
+  expected: parseExpectedHits(record.expectedHits),
+  ...getVariantFields(record),
+  ...(result._batchFallback ? { _batchFallback: true } : {}),
+  _index: index,
+  id: `${record.fullName}-${Date.now()}-${index}`
+});
+
+// Failed entries keep the classification from the retry policy
+export const createErrorEntry = (record, index, error) => ({
+  name: record.fullName,
+  request: buildMatchingRequest(record),
+  error: `Error: ${error.message}`,
+  errorDetails: error.details || null,
+  expected: parseExpectedHits(record.expectedHits),
+  ...getVariantFields(record),
+  _index: index,
+  id: `${record.fullName}-error-${Date.now()}-${index}`
+});
+
+export const createNotRunEntry = (record, index) => ({
+  name: record.fullName,
+  notRun: true,
+  ...getVariantFields(record),
+  _index: index,
+  id: `${record.fullName}-not-run-${index}`
+});
+
+// Run `pending` ({ record, i } items) through the matcher, `batchSize` records per request.
+// Failures become error entries rather than stopping the run. `onEntries(entries)` fires as each
+// group settles; when `controller` is cancelled, records that never started come back as not-run entries.
+// Resolves to { entries, cancelled } with entries in input order.
+export const runComparison = async (pending, {
+  matcher,
+  endpoints,
+  pairs,
+  fields,
+  identity,
+  concurrency,
+  batchSize = 1,
+  parallel = false,
+  controller,
+  onEntries
+}) => {
+  const toEntries = async (chunk) => {
+    const signal = controller?.signal;
+    try {
+      if (chunk.length === 1) {
+        const [{ record, i }] = chunk;
+        return [createResultEntry(record, i, await matcher.processName(record, endpoints, { parallel, signal }), { pairs, fields, identity })];
+      }
+
+      const outcomes = await matcher.processNames(chunk.map(item => item.record), endpoints, { parallel, signal });
+      return chunk.map(({ record, i }, idx) => (
+        outcomes[idx].error
+          ? createErrorEntry(record, i, outcomes[idx].error)
+          : createResultEntry(record, i, outcomes[idx], { pairs, fields, identity })
+      ));
+    } catch (error) {
+      // Calls aborted by a cancel didn't finish, so they count as not run
+      if (controller?.cancelled) {
+        return chunk.map(({ record, i }) => createNotRunEntry(record, i));
+      }
+      return chunk.map(({ record, i }) => createErrorEntry(record, i, error));
+    }
+  };
+
+  const chunks = chunkItems(pending, batchSize);
+  const settled = await runBatch(chunks, toEntries, {
+    concurrency,
+    controller,
+    onResult: (_, entries) => onEntries?.(entries)
+  });
+
+  const cancelled = Boolean(controller?.cancelled);
+  // Keep names that never started so they aren't silently dropped
+  const notRun = chunks
+    .filter((chunk, idx) => !settled[idx])
+    .flat()
+    .map(({ record, i }) => createNotRunEntry(record, i));
+
+  return {
+    entries: [...settled.filter(Boolean).flat(), ...notRun].sort((a, b) => a._index - b._index),
+    notRun,
+    cancelled
+  };
+};
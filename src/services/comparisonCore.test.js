@@ -0,0 +1,75 @@
+import { createMatcher, runComparison } from './comparisonCore';
+import { createBatchController } from './batchRunner';
+
+const endpoints = [{ key: 'a', path: '/a' }, { key: 'b', path: '/b' }];
+const pairs = [{ a: 'a', b: 'b', key: 'a|b' }];
+const noRetries = () => ({ timeoutMs: 1000, maxRetries: 0, baseDelayMs: 0, maxDelayMs: 0 });
+
+const hit = (id, fullName) => ({ fullName, rulesDetails: { sdnid: id, sdnname: `SDN ${id}` } });
+
+// Fake matcher: endpoint "a" hits SDN 1 for every name, endpoint "b" also hits SDN 2
+const post = async (endpoint, payload) => ({
+  data: {
+    responses: payload.matchingRequestDto.flatMap(request => (
+      endpoint.key === 'a' ? [hit('1', request.fullName)] : [hit('1', request.fullName), hit('2', request.fullName)]
+    ))
+  },
+  duration: endpoint.key === 'a' ? 10 : 20
+});
+
+const pending = (...names) => names.map((fullName, i) => ({ record: { fullName }, i }));
+
+test('processes a name through every endpoint with per-version durations', async () => {
+  const matcher = createMatcher({ post, getPolicy: noRetries });
+  const result = await matcher.processName('John Smith', endpoints);
+
+  expect(result.name).toBe('John Smith');
+  expect(result.versions.a._duration).toBe(10);
+  expect(result.versions.b.responses).toHaveLength(2);
+  expect(result.versions.b._attempts).toBe(1);
+});
+
+test('builds result entries with the pair comparison, in input order', async () => {
+  const matcher = createMatcher({ post, getPolicy: noRetries });
+  const { entries, cancelled } = await runComparison(pending('Jane Doe', 'John Smith', 'Ali Khan'), {
+    matcher, endpoints, pairs, concurrency: 2, batchSize: 2
+  });
+
+  expect(cancelled).toBe(false);
+  expect(entries.map(entry => entry.name)).toEqual(['Jane Doe', 'John Smith', 'Ali Khan']);
+  expect(entries[1]._sdnComparison['a|b'].onlyInB.map(sdn => sdn.id)).toEqual(['2']);
+  expect(entries[1].versions.a._batchSize).toBe(2);
+});
+
+test('turns failures into error entries with their classification', async () => {
+  const failing = async () => {
+    const error = new Error('Request failed with status code 400');
+    error.response = { status: 400, data: 'bad request' };
+    throw error;
+  };
+  const matcher = createMatcher({ post: failing, getPolicy: noRetries });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  const { entries } = await runComparison(pending('John Smith'), { matcher, endpoints, pairs, concurrency: 1 });
+
+  expect(entries[0].error).toBe('Error: Request failed with status code 400');
+  expect(entries[0].errorDetails).toMatchObject({ status: 400, attempts: 1, endpoint: 'a' });
+  console.error.mockRestore();
+});
+
+test('returns records that never started as not run when cancelled', async () => {
+  const controller = createBatchController();
+  const matcher = createMatcher({ post, getPolicy: noRetries });
+  const { entries, notRun, cancelled } = await runComparison(pending('A', 'B', 'C'), {
+    matcher,
+    endpoints,
+    pairs,
+    concurrency: 1,
+    controller,
+    onEntries: () => controller.cancel()
+  });
+
+  expect(cancelled).toBe(true);
+  expect(entries.map(entry => Boolean(entry.notRun))).toEqual([false, true, true]);
+  expect(notRun).toHaveLength(2);
+});
@@ -0,0 +1,72 @@
+// Runtime registry of matcher endpoints that can be compared against each other.
+// Endpoints belong to the active environment profile, so each environment keeps its own paths and labels.
+
+import environmentProfiles, { createDefaultEndpoints } from './environmentProfiles';
+
+const load = () => environmentProfiles.getActiveProfile().endpoints.map(endpoint => ({ ...endpoint }));
+
+const save = (endpoints) => {
+  environmentProfiles.updateProfile(environmentProfiles.getActiveProfile().id, { endpoints });
+  return endpoints;
+};
+
+// Derive a unique key from a label, e.g. "RC 1" -> "rc_1", "rc_1_2"
+const createKey = (label, endpoints) => {
+  const base = label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'endpoint';
+  const existingKeys = new Set(endpoints.map(endpoint => endpoint.key));
+  let key = base;
+  let suffix = 2;
+  while (existingKeys.has(key)) {
+    key = `${base}_${suffix++}`;
+  }
+  return key;
+};
+
+// Accept either a full path or just a version segment such as "v3-rc1"
+const normalizePath = (path) => {
+  const trimmed = path.trim();
+  return trimmed.startsWith('/') || /^https?:\/\//.test(trimmed)
+    ? trimmed
+    : `${environmentProfiles.getActiveProfile().basePath}${trimmed}`;
+};
+
+const endpointRegistry = {
+  getEndpoints: () => load(),
+
+  getEndpoint: (key) => load().find(endpoint => endpoint.key === key),
+
+  addEndpoint: ({ label, path }) => {
+    if (!label?.trim() || !path?.trim()) {
+      throw new Error('Endpoint label and path are required');
+    }
+    const endpoints = load();
+    return save([
+      ...endpoints,
+      { key: createKey(label, endpoints), label: label.trim(), path: normalizePath(path) }
+    ]);
+  },
+
+  updateEndpoint: (key, changes) => {
+    return save(load().map(endpoint => (
+      endpoint.key === key
+        ? {
+            ...endpoint,
+            ...(changes.label?.trim() ? { label: changes.label.trim() } : {}),
+            ...(changes.path?.trim() ? { path: normalizePath(changes.path) } : {})
+          }
+        : endpoint
+    )));
+  },
+
+  removeEndpoint: (key) => {
+    const endpoints = load();
+    if (endpoints.length <= 1) {
+      throw new Error('At least one endpoint must remain registered');
+    }
+    return save(endpoints.filter(endpoint => endpoint.key !== key));
+  },
+
+  resetEndpoints: () => save(createDefaultEndpoints(environmentProfiles.getActiveProfile().basePath))
+};
+
+export default endpointRegistry;
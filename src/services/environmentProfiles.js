@@ -0,0 +1,194 @@
+// Named environment profiles (DEV, SIT, UAT, ...) selectable at runtime. Each profile holds the API base
+// URL, the Keycloak server, realm and client, and the matcher endpoints with their version labels.
+// Profiles and the active selection are persisted in localStorage; the REACT_APP_* variables only
+// seed the initial "Default" profile.
+
+const STORAGE_KEY = 'environmentProfiles';
+
+// Endpoint registry saved before profiles existed, migrated into the default profile
+const LEGACY_ENDPOINTS_KEY = 'endpointRegistry';
+
+export const DEFAULT_BASE_PATH = '/namecheck/rule-matching/';
+
+export const PROFILE_FIELDS = [
+  { key: 'name', label: 'Profile Name', required: true },
+  { key: 'apiBaseUrl', label: 'API Base URL' },
+  { key: 'keycloakUrl', label: 'Keycloak URL' },
+  { key: 'realm', label: 'Realm', required: true },
+  { key: 'clientId', label: 'Client ID', required: true },
+  { key: 'basePath', label: 'Endpoint Base Path', required: true }
+];
+
+export const createDefaultEndpoints = (basePath = DEFAULT_BASE_PATH) => [
+  { key: 'v1_2', label: 'V2', path: `${basePath}${process.env.REACT_APP_API_ENDPOINT_API_1 || 'v1.2'}` },
+  { key: 'v2', label: 'V4', path: `${basePath}${process.env.REACT_APP_API_ENDPOINT_API_2 || 'v2'}` }
+];
+
+const loadLegacyEndpoints = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(LEGACY_ENDPOINTS_KEY));
+    return Array.isArray(stored) && stored.length > 0 ? stored : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const createDefaultProfile = () => ({
+  id: 'default',
+  name: 'Default',
+  apiBaseUrl: process.env.REACT_APP_API_BASE_URL || '',
+  keycloakUrl: process.env.REACT_APP_KEYCLOAK_URL || '',
+  realm: process.env.REACT_APP_KEYCLOAK_REALM || 'ScreeningApp',
+  clientId: process.env.REACT_APP_KEYCLOAK_CLIENT_ID || 'screening-client',
+  basePath: DEFAULT_BASE_PATH,
+  endpoints: loadLegacyEndpoints() || createDefaultEndpoints()
+});
+
+const createId = () => `profile-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+const load = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored?.profiles) && stored.profiles.length > 0) {
+      return stored;
+    }
+  } catch (error) {
+    console.error('Error reading environment profiles:', error);
+  }
+  const profile = createDefaultProfile();
+  return { profiles: [profile], activeId: profile.id };
+};
+
+const save = (state) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  return state.profiles;
+};
+
+// Fill in missing fields and validate a profile from the editor or an imported file
+const normalizeProfile = (profile) => {
+  const missing = PROFILE_FIELDS.filter(field => field.required && !String(profile[field.key] ?? '').trim());
+  if (missing.length > 0) {
+    throw new Error(`Profile is missing ${missing.map(field => field.label).join(', ')}`);
+  }
+
+  const basePath = profile.basePath.trim().endsWith('/') ? profile.basePath.trim() : `${profile.basePath.trim()}/`;
+  const endpoints = Array.isArray(profile.endpoints) && profile.endpoints.length > 0
+    ? profile.endpoints
+    : createDefaultEndpoints(basePath);
+  if (!endpoints.every(endpoint => endpoint?.key && endpoint.label && endpoint.path)) {
+    throw new Error(`Profile "${profile.name}" has endpoints without a key, label or path`);
+  }
+
+  return {
+    id: profile.id || createId(),
+    name: profile.name.trim(),
+    apiBaseUrl: String(profile.apiBaseUrl ?? '').trim().replace(/\/$/, ''),
+    keycloakUrl: String(profile.keycloakUrl ?? '').trim().replace(/\/$/, ''),
+    realm: profile.realm.trim(),
+    clientId: profile.clientId.trim(),
+    basePath,
+    endpoints: endpoints.map(({ key, label, path }) => ({ key, label, path }))
+  };
+};
+
+const environmentProfiles = {
+  getProfiles: () => load().profiles,
+
+  getActiveProfile: () => {
+    const { profiles, activeId } = load();
+    return profiles.find(profile => profile.id === activeId) || profiles[0];
+  },
+
+  setActiveProfile: (id) => {
+    const state = load();
+    if (!state.profiles.some(profile => profile.id === id)) {
+      throw new Error('Unknown profile');
+    }
+    save({ ...state, activeId: id });
+    return environmentProfiles.getActiveProfile();
+  },
+
+  // New profiles start as a copy of the active one so only the differences need editing
+  addProfile: (name) => {
+    const state = load();
+    const source = environmentProfiles.getActiveProfile();
+    const profile = normalizeProfile({ ...source, id: createId(), name });
+    return save({ ...state, profiles: [...state.profiles, profile] });
+  },
+
+  // A new base path moves the profile's endpoints that were under the old one
+  updateProfile: (id, changes) => {
+    const state = load();
+    return save({
+      ...state,
+      profiles: state.profiles.map(profile => {
+        if (profile.id !== id) return profile;
+        const updated = normalizeProfile({ ...profile, ...changes, id });
+        if (updated.basePath === profile.basePath || changes.endpoints) {
+          return updated;
+        }
+        return {
+          ...updated,
+          endpoints: updated.endpoints.map(endpoint => (
+            endpoint.path.startsWith(profile.basePath)
+              ? { ...endpoint, path: `${updated.basePath}${endpoint.path.slice(profile.basePath.length)}` }
+              : endpoint
+          ))
+        };
+      })
+    });
+  },
+
+  removeProfile: (id) => {
+    const state = load();
+    if (state.profiles.length <= 1) {
+      throw new Error('At least one profile must remain');
+    }
+    const profiles = state.profiles.filter(profile => profile.id !== id);
+    return save({ profiles, activeId: state.activeId === id ? profiles[0].id : state.activeId });
+  },
+
+  exportProfiles: () => JSON.stringify({ profiles: load().profiles }, null, 2),
+
+  // Add the profiles from an exported file; profiles with the same name are replaced
+  importProfiles: (json) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch (error) {
+      throw new Error('Profiles file is not valid JSON');
+    }
+    const imported = (Array.isArray(parsed) ? parsed : parsed?.profiles);
+    if (!Array.isArray(imported) || imported.length === 0) {
+      throw new Error('Profiles file contains no profiles');
+    }
+
+    const state = load();
+    const profiles = [...state.profiles];
+    imported.forEach(item => {
+      const existingIdx = profiles.findIndex(profile => profile.name === item?.name?.trim());
+      const profile = normalizeProfile({
+        ...item,
+        id: existingIdx === -1 ? createId() : profiles[existingIdx].id
+      });
+      if (existingIdx === -1) {
+        profiles.push(profile);
+      } else {
+        profiles[existingIdx] = profile;
+      }
+    });
+    save({ ...state, profiles });
+    return imported.length;
+  }
+};
+
+// The parts of a profile recorded on runs and exports
+export const describeProfile = (profile) => (profile ? {
+  id: profile.id,
+  name: profile.name,
+  apiBaseUrl: profile.apiBaseUrl,
+  keycloakUrl: profile.keycloakUrl,
+  realm: profile.realm
+} : null);
+
+export default environmentProfiles;
@@ -0,0 +1,48 @@
+import environmentProfiles, { describeProfile } from './environmentProfiles';
+import endpointRegistry from './endpointRegistry';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('seeds a default profile and keeps endpoints per profile', () => {
+  const defaults = environmentProfiles.getActiveProfile();
+  expect(defaults.name).toBe('Default');
+  expect(endpointRegistry.getEndpoints().map(endpoint => endpoint.label)).toEqual(['V2', 'V4']);
+
+  const [, uat] = environmentProfiles.addProfile('UAT');
+  environmentProfiles.updateProfile(uat.id, { apiBaseUrl: 'https://uat.example.com/', basePath: '/namecheck/uat' });
+  environmentProfiles.setActiveProfile(uat.id);
+  endpointRegistry.addEndpoint({ label: 'RC1', path: 'v3-rc1' });
+
+  expect(endpointRegistry.getEndpoint('rc1').path).toBe('/namecheck/uat/v3-rc1');
+  expect(describeProfile(environmentProfiles.getActiveProfile())).toMatchObject({ name: 'UAT', apiBaseUrl: 'https://uat.example.com' });
+
+  environmentProfiles.setActiveProfile(defaults.id);
+  expect(endpointRegistry.getEndpoint('rc1')).toBeUndefined();
+});
+
+test('moves endpoints under the old base path when the base path changes', () => {
+  const profile = environmentProfiles.getActiveProfile();
+  endpointRegistry.addEndpoint({ label: 'Legacy', path: '/legacy/v1' });
+
+  environmentProfiles.updateProfile(profile.id, { basePath: '/namecheck/v2-matching' });
+
+  expect(endpointRegistry.getEndpoints().map(endpoint => endpoint.path)).toEqual([
+    '/namecheck/v2-matching/v1.2',
+    '/namecheck/v2-matching/v2',
+    '/legacy/v1'
+  ]);
+});
+
+test('round-trips profiles through JSON and rejects incomplete ones', () => {
+  environmentProfiles.addProfile('SIT');
+  const exported = environmentProfiles.exportProfiles();
+
+  localStorage.clear();
+  expect(environmentProfiles.importProfiles(exported)).toBe(2);
+  expect(environmentProfiles.getProfiles().map(profile => profile.name)).toEqual(['Default', 'SIT']);
+  expect(() => environmentProfiles.importProfiles('{"profiles": [{"name": "Broken"}]}')).toThrow('missing Realm');
+  expect(() => environmentProfiles.removeProfile(environmentProfiles.getActiveProfile().id)).not.toThrow();
+  expect(() => environmentProfiles.removeProfile(environmentProfiles.getActiveProfile().id)).toThrow();
+});
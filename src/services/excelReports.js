@@ -0,0 +1,241 @@
+// The combined "Screening Results" and "Only in" Excel reports, shared by the UI exports and the
+// command-line runner so both write identical workbooks.
+
+import * as XLSX from 'xlsx';
+import { describeFieldChanges, getSdnHits } from './sdnComparison';
+import { buildLatencySummaryRows, STAT_COLUMNS } from './latencyStats';
+import { buildEvaluationNameRows, buildEvaluationSummaryRows, isEvaluated } from './goldenEvaluation';
+import { buildRunInfoRows, getFastestVersion } from './resultExports';
+import { describeTriage } from './triageStore';
+import { buildVariantSheetRows, isVariantResult } from './nameVariants';
+
+// Excel cells hold at most 32,767 characters; leave some buffer
+const MAX_CELL_LENGTH = 30000;
+
+const getVersionLabel = (versions, key) => versions.find(version => version.key === key)?.label || key;
+
+// Short description of a failure's classification, e.g. "server, HTTP 502, 4 attempts on V2"
+export const describeErrorDetails = (details, versions) => {
+  if (!details) return '';
+  return [
+    details.category,
+    details.status ? `HTTP ${details.status}` : null,
+    `${details.attempts} attempt${details.attempts === 1 ? '' : 's'}`,
+    details.endpoint ? `on ${getVersionLabel(versions, details.endpoint)}` : null
+  ].filter(Boolean).join(', ');
+};
+
+export const getResultStatus = (result, versions) => {
+  if (result.notRun) return 'Not run';
+  if (result.error) {
+    return result.errorDetails
+      ? `${result.error} [${describeErrorDetails(result.errorDetails, versions)}]`
+      : result.error;
+  }
+  return 'OK';
+};
+
+// Export text for a diffed SDN, including field changes for "Changed in both" hits
+export const formatDiffSdn = (sdn) => {
+  const text = `${sdn.id || 'N/A'} - ${sdn.name || 'N/A'}`;
+  return sdn.fields ? `${text} (${describeFieldChanges(sdn.fields)})` : text;
+};
+
+// Split an SDN list into cell contents that fit within Excel's cell limit, one SDN per line
+export const splitSdnsForExport = (sdns) => {
+  if (sdns.length === 0) return [{ content: 'No matches', isContinuation: false }];
+
+  const chunks = [];
+  let current = [];
+  let currentLength = 0;
+
+  const flush = () => {
+    chunks.push({ content: current.join('').trim(), isContinuation: chunks.length > 0 });
+    current = [];
+    currentLength = 0;
+  };
+
+  for (const sdn of sdns) {
+    // Use Excel-compatible line break (\r\n) and ensure each SDN is on its own line
+    const sdnText = `${formatDiffSdn(sdn)}\r\n`;
+    if (currentLength + sdnText.length > MAX_CELL_LENGTH && current.length > 0) {
+      flush();
+    }
+    current.push(sdnText);
+    currentLength += sdnText.length;
+  }
+  if (current.length > 0) {
+    flush();
+  }
+  return chunks;
+};
+
+// "Screening Results" rows for one result: SDN matches per version and per diff column, continued on
+// extra "(cont.)" rows when a list doesn't fit in one cell
+export const buildScreeningResultRows = (result, { versions, diffColumns }) => {
+  const versionChunks = versions.map(version => splitSdnsForExport(getSdnHits(result.versions?.[version.key])));
+  const diffChunks = diffColumns.map(column => splitSdnsForExport(column.getSdns(result)));
+  const fastestVersion = getFastestVersion(result, versions);
+  const rowCount = Math.max(
+    ...versionChunks.map(chunks => chunks.length),
+    ...diffChunks.map(chunks => chunks.length),
+    1
+  );
+
+  return Array.from({ length: rowCount }, (_, i) => {
+    const isFirstRow = i === 0;
+    const row = {
+      'Name': isFirstRow ? result.name : `(cont.) ${result.name}`,
+      'Status': isFirstRow ? getResultStatus(result, versions) : ''
+    };
+
+    versions.forEach((version, versionIdx) => {
+      const duration = result.versions?.[version.key]?._duration;
+      row[`${version.label} Duration (ms)`] = isFirstRow ? (duration ? duration.toFixed(2) : 'N/A') : '';
+      row[`${version.label} SDN Matches`] = versionChunks[versionIdx][i]?.content || (isFirstRow ? 'No matches' : '');
+    });
+
+    diffColumns.forEach((column, columnIdx) => {
+      row[column.label] = diffChunks[columnIdx][i]?.content || (isFirstRow ? 'No matches' : '');
+    });
+
+    versions.forEach(version => {
+      row[`${version.label} Faster?`] = isFirstRow ? (fastestVersion === version.key ? '✓' : '') : '';
+    });
+
+    row['Total Duration (ms)'] = isFirstRow ? (result._totalDuration ? result._totalDuration.toFixed(2) : 'N/A') : '';
+    return row;
+  });
+};
+
+// "Only in" rows: one row per divergent SDN position, with each diff column's verdict next to it
+export const buildOnlyInRows = (results, { diffColumns, getTriage = () => null }) => {
+  return results.flatMap(result => {
+    const columnSdns = diffColumns.map(column => column.getSdns(result));
+    const rowCount = Math.max(0, ...columnSdns.map(sdns => sdns.length));
+
+    return Array.from({ length: rowCount }, (_, i) => {
+      const row = { 'Name': i === 0 ? result.name : '' };
+      diffColumns.forEach((column, columnIdx) => {
+        const sdn = columnSdns[columnIdx][i];
+        row[column.label] = sdn ? formatDiffSdn(sdn) : '';
+        row[`${column.label} Verdict`] = sdn ? describeTriage(getTriage(result, sdn)) : '';
+      });
+      return row;
+    });
+  });
+};
+
+const THIN_BORDER = {
+  top: { style: 'thin' },
+  bottom: { style: 'thin' },
+  left: { style: 'thin' },
+  right: { style: 'thin' }
+};
+
+// Bold grey header, wrapped text and borders on every cell
+const styleSheet = (ws) => {
+  if (!ws['!ref']) return;
+  const range = XLSX.utils.decode_range(ws['!ref']);
+
+  for (let C = range.s.c; C <= range.e.c; ++C) {
+    const cell = ws[XLSX.utils.encode_cell({ r: 0, c: C })];
+    if (cell) {
+      cell.s = {
+        font: { bold: true },
+        fill: { fgColor: { rgb: 'D3D3D3' } },
+        alignment: { wrapText: true, vertical: 'top' },
+        border: THIN_BORDER
+      };
+    }
+  }
+
+  ws['!rows'] = ws['!rows'] || [];
+  for (let R = range.s.r + 1; R <= range.e.r; ++R) {
+    ws['!rows'][R] = { hpx: 'auto', hpt: 'auto' };
+    for (let C = range.s.c; C <= range.e.c; ++C) {
+      const cell = ws[XLSX.utils.encode_cell({ r: R, c: C })];
+      if (cell) {
+        const existingStyle = cell.s || {};
+        cell.s = {
+          ...existingStyle,
+          alignment: { wrapText: true, vertical: 'top', ...(existingStyle.alignment || {}) },
+          border: { ...THIN_BORDER, ...(existingStyle.border || {}) }
+        };
+      }
+    }
+  }
+};
+
+const appendSheet = (wb, rows, name, widths) => {
+  const ws = XLSX.utils.json_to_sheet(rows);
+  if (widths) ws['!cols'] = widths.map(wch => ({ wch }));
+  // Sheet names are limited to 31 characters
+  XLSX.utils.book_append_sheet(wb, ws, name.slice(0, 31));
+  return ws;
+};
+
+// "Run Info" sheet recording the source, environment profile and versions of the exported run
+export const appendRunInfoSheet = (wb, { meta, versions }) => {
+  appendSheet(wb, buildRunInfoRows({ meta, versions }), 'Run Info', [18, 80]);
+};
+
+// Combined workbook: screening rows (from buildScreeningResultRows), latency, evaluation when the input
+// had expected hits, the variant report for generated variants, triage rows when given, and the run info
+export const buildScreeningWorkbook = (rows, results, { meta, versions, diffColumns, triageRows = [] }) => {
+  const wb = XLSX.utils.book_new();
+  const ws = appendSheet(wb, rows, 'Screening Results', [
+    30, // Name
+    20, // Status
+    ...versions.flatMap(() => [15, 40]), // Duration, SDN Matches
+    ...diffColumns.map(() => 40), // Only in columns
+    ...versions.map(() => 12), // Faster?
+    18 // Total Duration
+  ]);
+  styleSheet(ws);
+
+  appendSheet(wb, buildLatencySummaryRows(results, versions), 'Latency Summary', [20, ...STAT_COLUMNS.map(() => 14)]);
+
+  if (results.some(isEvaluated)) {
+    appendSheet(wb, buildEvaluationSummaryRows(results, versions), 'Evaluation');
+    appendSheet(wb, buildEvaluationNameRows(results, versions), 'Evaluation by Name', [
+      30, 24, ...versions.flatMap(() => [18, 14, 24, 24])
+    ]);
+  }
+
+  if (results.some(isVariantResult)) {
+    appendSheet(wb, buildVariantSheetRows(results, versions), 'Variants', [
+      30, 30, 20, 24, ...versions.flatMap(() => [16, 24])
+    ]);
+  }
+
+  if (triageRows.length > 0) {
+    appendSheet(wb, triageRows, 'Triage', [30, 24, 14, 30, 20, 40, 18, 24]);
+  }
+
+  appendRunInfoSheet(wb, { meta, versions });
+  return wb;
+};
+
+export const buildOnlyInWorkbook = (results, { meta, versions, diffColumns, getTriage }) => {
+  const wb = XLSX.utils.book_new();
+  const versionLabels = versions.map(version => version.label);
+  appendSheet(wb, buildOnlyInRows(results, { diffColumns, getTriage }), `Only in ${versionLabels.join('-')} Results`, [
+    30, // Name
+    ...diffColumns.flatMap(() => [60, 40]) // Only in columns and their verdicts
+  ]);
+  appendRunInfoSheet(wb, { meta, versions });
+  return wb;
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+export const getScreeningFileName = () => `screening_results_${today()}.xlsx`;
+
+export const getOnlyInFileName = (versions) => {
+  const fileLabel = versions.map(version => version.label).join('_').replace(/[^A-Za-z0-9_.-]+/g, '_').toLowerCase();
+  return `only_in_${fileLabel}_results_${today()}.xlsx`;
+};
+
+// Options for XLSX.writeFile used for both reports
+export const WRITE_OPTIONS = { bookType: 'xlsx', compression: true };
@@ -0,0 +1,133 @@
+// Golden-answer evaluation: scores each version's SDN hits against the expected SDN IDs of every name.
+// Names with an expected value of "none" are negatives that should return no hits at all.
+
+import { getSdnHits } from './sdnComparison';
+
+const NEGATIVE_VALUES = ['none', 'no match', 'no matches', '-'];
+
+export const NAME_OUTCOMES = {
+  EXACT: 'exact',
+  PARTIAL: 'partial',
+  MISSED: 'missed',
+  TRUE_NEGATIVE: 'true_negative',
+  FALSE_ALARM: 'false_alarm'
+};
+
+export const OUTCOME_LABELS = {
+  [NAME_OUTCOMES.EXACT]: 'Exact match',
+  [NAME_OUTCOMES.PARTIAL]: 'Partial match',
+  [NAME_OUTCOMES.MISSED]: 'Missed',
+  [NAME_OUTCOMES.TRUE_NEGATIVE]: 'Correctly no hits',
+  [NAME_OUTCOMES.FALSE_ALARM]: 'False alarm'
+};
+
+// Expected SDN IDs from an input cell: null when blank (name not evaluated), [] for "none"
+export const parseExpectedHits = (value) => {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  if (NEGATIVE_VALUES.includes(text.toLowerCase())) return [];
+  return [...new Set(text.split(/[;,|\s]+/).filter(Boolean))];
+};
+
+export const isEvaluated = (result) => Array.isArray(result.expected) && !result.error && !result.notRun;
+
+// Hit-level confusion counts for one name in one version. A negative name counts one true negative
+// when the version correctly returns nothing.
+export const evaluateName = (expected, versionData) => {
+  const returned = [...new Set(getSdnHits(versionData).map(hit => String(hit.id)))];
+  const expectedSet = new Set(expected.map(String));
+
+  const truePositives = returned.filter(id => expectedSet.has(id));
+  const falsePositives = returned.filter(id => !expectedSet.has(id));
+  const falseNegatives = [...expectedSet].filter(id => !returned.includes(id));
+
+  let outcome;
+  if (expectedSet.size === 0) {
+    outcome = returned.length === 0 ? NAME_OUTCOMES.TRUE_NEGATIVE : NAME_OUTCOMES.FALSE_ALARM;
+  } else if (truePositives.length === 0) {
+    outcome = NAME_OUTCOMES.MISSED;
+  } else {
+    outcome = falsePositives.length === 0 && falseNegatives.length === 0 ? NAME_OUTCOMES.EXACT : NAME_OUTCOMES.PARTIAL;
+  }
+
+  return {
+    tp: truePositives.length,
+    fp: falsePositives.length,
+    fn: falseNegatives.length,
+    tn: outcome === NAME_OUTCOMES.TRUE_NEGATIVE ? 1 : 0,
+    truePositives,
+    falsePositives,
+    falseNegatives,
+    outcome
+  };
+};
+
+const ratio = (numerator, denominator) => (denominator === 0 ? null : numerator / denominator);
+
+export const computeScores = ({ tp, fp, fn }) => {
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, tp + fn);
+  const f1 = precision === null || recall === null || precision + recall === 0
+    ? null
+    : (2 * precision * recall) / (precision + recall);
+  return { precision, recall, f1 };
+};
+
+// { [versionKey]: { tp, fp, fn, tn, precision, recall, f1, names, outcomes } } over evaluated results
+export const evaluateRun = (results, versions) => {
+  const evaluated = results.filter(isEvaluated);
+
+  return Object.fromEntries(versions.map(version => {
+    const totals = { tp: 0, fp: 0, fn: 0, tn: 0 };
+    const outcomes = Object.fromEntries(Object.values(NAME_OUTCOMES).map(outcome => [outcome, 0]));
+
+    evaluated.forEach(result => {
+      const evaluation = evaluateName(result.expected, result.versions?.[version.key]);
+      ['tp', 'fp', 'fn', 'tn'].forEach(key => {
+        totals[key] += evaluation[key];
+      });
+      outcomes[evaluation.outcome]++;
+    });
+
+    return [version.key, { ...totals, ...computeScores(totals), names: evaluated.length, outcomes }];
+  }));
+};
+
+const formatScore = (value) => (value === null ? 'N/A' : Number(value.toFixed(4)));
+
+// Rows for the "Evaluation" sheet: one per version with scores, counts and the outcome breakdown
+export const buildEvaluationSummaryRows = (results, versions) => {
+  const evaluation = evaluateRun(results, versions);
+  return versions.map(version => {
+    const stats = evaluation[version.key];
+    return {
+      'Version': version.label,
+      'Names Evaluated': stats.names,
+      'Precision': formatScore(stats.precision),
+      'Recall': formatScore(stats.recall),
+      'F1': formatScore(stats.f1),
+      'TP': stats.tp,
+      'FP': stats.fp,
+      'FN': stats.fn,
+      'TN': stats.tn,
+      ...Object.fromEntries(Object.values(NAME_OUTCOMES).map(outcome => [OUTCOME_LABELS[outcome], stats.outcomes[outcome]]))
+    };
+  });
+};
+
+// Rows for the "Evaluation by Name" sheet: outcome and wrong IDs per version
+export const buildEvaluationNameRows = (results, versions) => {
+  return results.filter(isEvaluated).map(result => ({
+    'Name': result.name,
+    'Expected': result.expected.length ? result.expected.join('; ') : 'none',
+    ...Object.fromEntries(versions.flatMap(version => {
+      const evaluation = evaluateName(result.expected, result.versions?.[version.key]);
+      return [
+        [`${version.label} Outcome`, OUTCOME_LABELS[evaluation.outcome]],
+        [`${version.label} TP/FP/FN/TN`, `${evaluation.tp}/${evaluation.fp}/${evaluation.fn}/${evaluation.tn}`],
+        [`${version.label} False Positives`, evaluation.falsePositives.join('; ')],
+        [`${version.label} Missed`, evaluation.falseNegatives.join('; ')]
+      ];
+    }))
+  }));
+};
@@ -0,0 +1,37 @@
+import { NAME_OUTCOMES, buildEvaluationSummaryRows, evaluateName, evaluateRun, parseExpectedHits } from './goldenEvaluation';
+
+const response = (...ids) => ({ responses: ids.map(id => ({ rulesDetails: { sdnid: id, sdnname: `Name ${id}` } })) });
+
+const versions = [{ key: 'a', label: 'V2' }, { key: 'b', label: 'V4' }];
+
+test('parses expected hits, treating "none" as a negative and blanks as not evaluated', () => {
+  expect(parseExpectedHits('101; 102,102')).toEqual(['101', '102']);
+  expect(parseExpectedHits('None')).toEqual([]);
+  expect(parseExpectedHits('  ')).toBeNull();
+});
+
+test('classifies each name per version', () => {
+  expect(evaluateName(['1', '2'], response('1', '3'))).toMatchObject({
+    tp: 1, fp: 1, fn: 1, tn: 0, falsePositives: ['3'], falseNegatives: ['2'], outcome: NAME_OUTCOMES.PARTIAL
+  });
+  expect(evaluateName([], response()).outcome).toBe(NAME_OUTCOMES.TRUE_NEGATIVE);
+  expect(evaluateName([], response('9')).outcome).toBe(NAME_OUTCOMES.FALSE_ALARM);
+  expect(evaluateName(['1'], undefined).outcome).toBe(NAME_OUTCOMES.MISSED);
+});
+
+test('aggregates precision, recall and F1 over evaluated names only', () => {
+  const results = [
+    { name: 'A', expected: ['1'], versions: { a: response('1'), b: response('1', '2') } },
+    { name: 'B', expected: [], versions: { a: response(), b: response('3') } },
+    { name: 'C', expected: null, versions: { a: response('7'), b: response('7') } },
+    { name: 'D', expected: ['4'], error: 'Error: timeout' }
+  ];
+
+  const evaluation = evaluateRun(results, versions);
+
+  expect(evaluation.a).toMatchObject({ tp: 1, fp: 0, fn: 0, tn: 1, precision: 1, recall: 1, f1: 1, names: 2 });
+  expect(evaluation.b).toMatchObject({ tp: 1, fp: 2, fn: 0, tn: 0, recall: 1 });
+  expect(evaluation.b.precision).toBeCloseTo(1 / 3);
+  expect(evaluation.b.outcomes[NAME_OUTCOMES.FALSE_ALARM]).toBe(1);
+  expect(buildEvaluationSummaryRows(results, versions)[1]).toMatchObject({ 'Version': 'V4', 'F1': 0.5, 'False alarm': 1 });
+});
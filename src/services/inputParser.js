@@ -0,0 +1,218 @@
+// Turns the supported input sources (workbooks, CSV/TSV, JSON, pasted text) into sheet-style rows:
+// an array of arrays with the header row first, as consumed by column mapping and extractRecords.
+
+import * as XLSX from 'xlsx';
+import { REQUEST_FIELDS } from './matchingRequest';
+
+export const INPUT_FORMATS = {
+  WORKBOOK: 'workbook',
+  DELIMITED: 'delimited',
+  JSON: 'json'
+};
+
+const EXTENSION_FORMATS = {
+  xlsx: INPUT_FORMATS.WORKBOOK,
+  xls: INPUT_FORMATS.WORKBOOK,
+  xlsm: INPUT_FORMATS.WORKBOOK,
+  ods: INPUT_FORMATS.WORKBOOK,
+  csv: INPUT_FORMATS.DELIMITED,
+  tsv: INPUT_FORMATS.DELIMITED,
+  txt: INPUT_FORMATS.DELIMITED,
+  json: INPUT_FORMATS.JSON
+};
+
+// Value for the file input's accept attribute
+export const ACCEPTED_EXTENSIONS = Object.keys(EXTENSION_FORMATS).map(ext => `.${ext}`).join(', ');
+
+const CANDIDATE_DELIMITERS = [',', '\t', ';', '|'];
+
+export const getInputFormat = (fileName) => {
+  const extension = String(fileName).split('.').pop().toLowerCase();
+  return EXTENSION_FORMATS[extension] || null;
+};
+
+// Used for text that isn't valid UTF-8
+export const FALLBACK_ENCODING = 'windows-1252';
+
+// Decode text using its byte order mark, else strict UTF-8, else Windows-1252 (typical of Excel CSV exports)
+export const decodeText = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'utf-8' };
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'utf-16le' };
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'utf-16be' };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+  } catch (error) {
+    return { text: new TextDecoder(FALLBACK_ENCODING).decode(bytes), encoding: FALLBACK_ENCODING };
+  }
+};
+
+// Split delimited text into rows, honouring double-quoted fields with embedded delimiters, quotes and newlines
+export const parseDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Pick the candidate delimiter that splits the first lines into the most, and most consistent, columns
+export const detectDelimiter = (text) => {
+  const sample = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, 20).join('\n');
+  let best = { delimiter: ',', score: 0 };
+
+  CANDIDATE_DELIMITERS.forEach(delimiter => {
+    const counts = parseDelimited(sample, delimiter).map(cells => cells.length);
+    if (counts.length === 0) return;
+    const columns = counts[0];
+    const consistent = counts.filter(count => count === columns).length / counts.length;
+    const score = columns > 1 ? columns * consistent : 0;
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  });
+
+  return best.delimiter;
+};
+
+// JSON input: an array of names, an array of request objects, or { matchingRequestDto: [...] }
+export const parseJsonRows = (text) => {
+  const parsed = JSON.parse(text);
+  const items = Array.isArray(parsed) ? parsed : parsed?.matchingRequestDto;
+
+  if (!Array.isArray(items)) {
+    throw new Error('Expected a JSON array of names or request objects');
+  }
+
+  if (items.every(item => typeof item === 'string')) {
+    return [['fullName'], ...items.map(name => [name])];
+  }
+
+  if (!items.every(item => item !== null && typeof item === 'object' && !Array.isArray(item))) {
+    throw new Error('JSON arrays must contain only names or only request objects');
+  }
+
+  // Request fields first, in their usual order, then any extra keys so nothing is silently dropped
+  const keys = [...new Set(items.flatMap(item => Object.keys(item)))];
+  const headers = [
+    ...REQUEST_FIELDS.map(field => field.key).filter(key => keys.includes(key)),
+    ...keys.filter(key => !REQUEST_FIELDS.some(field => field.key === key))
+  ];
+
+  return [headers, ...items.map(item => headers.map(key => (
+    item[key] === undefined || item[key] === null ? '' : String(item[key])
+  )))];
+};
+
+// Pasted text: JSON when it parses as such, otherwise one name per line
+export const parsePastedText = (text) => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    try {
+      return parseJsonRows(trimmed);
+    } catch (error) {
+      // Not JSON after all; treat it as a plain list
+    }
+  }
+
+  const names = trimmed.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  return [['fullName'], ...names.map(name => [name])];
+};
+
+// Every sheet of a workbook as { name, rows, firstRowNumber }, where firstRowNumber is the
+// Excel row number of rows[0] (sheets whose used range starts below row 1 are offset)
+export const readWorkbookSheets = (buffer) => {
+  const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array' });
+  return workbook.SheetNames.map(name => {
+    const sheet = workbook.Sheets[name];
+    const range = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']) : null;
+    return {
+      name,
+      // Keep blank cells and rows so column indexes and row numbers stay aligned with the sheet
+      rows: XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false, blankrows: true }),
+      firstRowNumber: range ? range.s.r + 1 : 1
+    };
+  });
+};
+
+// Parse file contents based on the file extension into { format, sheets, encoding }.
+// Text formats produce a single sheet whose rows already have the header first, and report
+// the encoding they were decoded with; workbooks carry their own and report null.
+export const parseInputBuffer = (buffer, fileName) => {
+  const format = getInputFormat(fileName);
+
+  if (format === INPUT_FORMATS.WORKBOOK) {
+    return { format, sheets: readWorkbookSheets(buffer), encoding: null };
+  }
+
+  if (format === INPUT_FORMATS.DELIMITED || format === INPUT_FORMATS.JSON) {
+    const { text, encoding } = decodeText(buffer);
+    let rows;
+    if (format === INPUT_FORMATS.JSON) {
+      rows = parseJsonRows(text);
+    } else {
+      const delimiter = fileName.toLowerCase().endsWith('.tsv') ? '\t' : detectDelimiter(text);
+      rows = parseDelimited(text, delimiter);
+    }
+    return { format, sheets: [{ name: fileName, rows, firstRowNumber: 1 }], encoding };
+  }
+
+  throw new Error(`Unsupported file type: ${fileName}`);
+};
+
+export const readInputFile = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        resolve(parseInputBuffer(e.target.result, file.name));
+      } catch (error) {
+        reject(error);
+      }
+    };
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file);
+  });
+};
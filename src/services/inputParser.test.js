@@ -0,0 +1,51 @@
+/**
+ * @jest-environment node
+ */
+
+import { FALLBACK_ENCODING, decodeText, detectDelimiter, parseDelimited, parseInputBuffer, parseJsonRows, parsePastedText } from './inputParser';
+
+const encode = (text) => new TextEncoder().encode(text).buffer;
+
+test('parses quoted CSV fields and detects the delimiter', () => {
+  expect(parseDelimited('name,country\n"Smith, John",UK\r\n"Say ""Hi""",\n', ',')).toEqual([
+    ['name', 'country'],
+    ['Smith, John', 'UK'],
+    ['Say "Hi"', '']
+  ]);
+  expect(detectDelimiter('name;country\nJohn;UK\nJane;FR')).toBe(';');
+  expect(detectDelimiter('name\tcountry\n"Smith, John"\tUK')).toBe('\t');
+});
+
+test('decodes UTF-8 with BOM and falls back to Windows-1252', () => {
+  expect(decodeText(new Uint8Array([0xef, 0xbb, 0xbf, 0x41]).buffer)).toEqual({ text: 'A', encoding: 'utf-8' });
+  expect(decodeText(new Uint8Array([0x4a, 0x6f, 0xe9]).buffer)).toEqual({ text: 'Joé', encoding: 'windows-1252' });
+});
+
+test('turns JSON arrays of names or request objects into rows', () => {
+  expect(parseJsonRows('["John", "Jane"]')).toEqual([['fullName'], ['John'], ['Jane']]);
+  expect(parseJsonRows('{"matchingRequestDto": [{"nationality": "UK", "fullName": "John", "ref": 7}]}')).toEqual([
+    ['fullName', 'nationality', 'ref'],
+    ['John', 'UK', '7']
+  ]);
+  expect(() => parseJsonRows('{"names": []}')).toThrow();
+});
+
+test('reads pasted lists and files through the same row format', () => {
+  expect(parsePastedText('John Smith\n\n  Jane Doe \n')).toEqual([['fullName'], ['John Smith'], ['Jane Doe']]);
+  expect(parsePastedText('["John"]')).toEqual([['fullName'], ['John']]);
+  expect(parseInputBuffer(encode('fullName\tyear\nJohn\t1980'), 'names.tsv').sheets[0].rows).toEqual([
+    ['fullName', 'year'],
+    ['John', '1980']
+  ]);
+  expect(() => parseInputBuffer(encode(''), 'names.pdf')).toThrow('Unsupported file type');
+});
+
+test('reports the encoding a text file was decoded with', () => {
+  const latin1 = new Uint8Array([0x66, 0x75, 0x6c, 0x6c, 0x4e, 0x61, 0x6d, 0x65, 0x0a, 0x4a, 0x6f, 0x73, 0xe9]).buffer;
+
+  expect(parseInputBuffer(encode('fullName\nJohn'), 'names.csv').encoding).toBe('utf-8');
+  expect(parseInputBuffer(latin1, 'names.csv')).toMatchObject({
+    encoding: FALLBACK_ENCODING,
+    sheets: [{ rows: [['fullName'], ['José']] }]
+  });
+});
@@ -0,0 +1,50 @@
+// Structural diff of two JSON values, used by the response inspector
+
+export const DIFF_TYPES = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed'
+};
+
+const isObject = (value) => value !== null && typeof value === 'object';
+
+export const joinPath = (parent, key) => (typeof key === 'number' ? `${parent}[${key}]` : `${parent}.${key}`);
+
+// List every leaf-level difference between `a` and `b` as { path, type, a, b }.
+// Arrays are compared index by index; paths look like "$.responses[0].rulesDetails.sdnid".
+export const diffJson = (a, b, path = '$') => {
+  if (a === undefined) return [{ path, type: DIFF_TYPES.ADDED, a, b }];
+  if (b === undefined) return [{ path, type: DIFF_TYPES.REMOVED, a, b }];
+
+  if (isObject(a) && isObject(b) && Array.isArray(a) === Array.isArray(b)) {
+    const keys = Array.isArray(a)
+      ? Array.from({ length: Math.max(a.length, b.length) }, (_, idx) => idx)
+      : [...new Set([...Object.keys(a), ...Object.keys(b)])];
+    return keys.flatMap(key => diffJson(a[key], b[key], joinPath(path, key)));
+  }
+
+  return a === b ? [] : [{ path, type: DIFF_TYPES.CHANGED, a, b }];
+};
+
+// Map of path -> diff type for every changed path and its ancestors, for highlighting trees
+export const indexDiffPaths = (differences) => {
+  const index = new Map();
+  differences.forEach(difference => {
+    index.set(difference.path, difference.type);
+    // Mark ancestors so collapsed nodes still show that something inside them differs
+    let parent = difference.path;
+    while (parent !== '$') {
+      parent = parent.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+      if (!index.has(parent)) {
+        index.set(parent, 'contains');
+      }
+    }
+  });
+  return index;
+};
+
+// Drop the tool's own bookkeeping fields (_duration, _attempts, ...) from a stored response
+export const stripMetadata = (data) => {
+  if (!isObject(data) || Array.isArray(data)) return data;
+  return Object.fromEntries(Object.entries(data).filter(([key]) => !key.startsWith('_')));
+};
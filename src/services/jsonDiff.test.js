@@ -0,0 +1,21 @@
+import { DIFF_TYPES, diffJson, indexDiffPaths, stripMetadata } from './jsonDiff';
+
+test('lists added, removed and changed leaves with JSON paths', () => {
+  const a = { responses: [{ rulesDetails: { sdnid: '1', score: 90 } }], status: 'ok' };
+  const b = { responses: [{ rulesDetails: { sdnid: '1', score: 85 } }, { rulesDetails: { sdnid: '2' } }] };
+
+  expect(diffJson(a, b)).toEqual([
+    { path: '$.responses[0].rulesDetails.score', type: DIFF_TYPES.CHANGED, a: 90, b: 85 },
+    { path: '$.responses[1]', type: DIFF_TYPES.ADDED, a: undefined, b: { rulesDetails: { sdnid: '2' } } },
+    { path: '$.status', type: DIFF_TYPES.REMOVED, a: 'ok', b: undefined }
+  ]);
+});
+
+test('marks ancestors of differing paths and strips bookkeeping fields', () => {
+  const index = indexDiffPaths([{ path: '$.responses[0].score', type: DIFF_TYPES.CHANGED }]);
+
+  expect(index.get('$.responses[0].score')).toBe(DIFF_TYPES.CHANGED);
+  expect(index.get('$.responses[0]')).toBe('contains');
+  expect(index.get('$')).toBe('contains');
+  expect(stripMetadata({ responses: [], _duration: 12 })).toEqual({ responses: [] });
+});
@@ -0,0 +1,130 @@
+// Latency statistics over per-version `_duration` values of a run, per name (see getNameDuration)
+
+// Percentile with linear interpolation between closest ranks (same as Excel PERCENTILE.INC)
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+export const computeLatencyStats = (durations) => {
+  const sorted = [...durations].sort((a, b) => a - b);
+  const count = sorted.length;
+  if (count === 0) {
+    return { count: 0, mean: null, median: null, p90: null, p95: null, p99: null, min: null, max: null, stdDev: null };
+  }
+
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / count;
+  const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / count;
+
+  return {
+    count,
+    mean,
+    median: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    min: sorted[0],
+    max: sorted[count - 1],
+    stdDev: Math.sqrt(variance)
+  };
+};
+
+export const STAT_COLUMNS = [
+  { key: 'count', label: 'Count' },
+  { key: 'mean', label: 'Mean' },
+  { key: 'median', label: 'Median' },
+  { key: 'p90', label: 'P90' },
+  { key: 'p95', label: 'P95' },
+  { key: 'p99', label: 'P99' },
+  { key: 'min', label: 'Min' },
+  { key: 'max', label: 'Max' },
+  { key: 'stdDev', label: 'Std Dev' }
+];
+
+// Time attributable to one name. A batched call's _duration covers all `_batchSize` names it carried,
+// so it is divided evenly among them.
+export const getNameDuration = (versionData) => {
+  const duration = versionData?._duration;
+  return typeof duration === 'number' ? duration / (versionData._batchSize || 1) : duration;
+};
+
+// Whether any result's durations come from batched calls
+export const hasBatchedDurations = (results) => results.some(result => (
+  Object.values(result.versions || {}).some(versionData => versionData?._batchSize > 1)
+));
+
+const getDuration = (result, versionKey) => getNameDuration(result.versions?.[versionKey]);
+
+// Math.min/max over a spread overflow the call stack on large runs, so these loop instead
+const minOf = (values) => values.reduce((min, value) => (value < min ? value : min), Infinity);
+const maxOf = (values) => values.reduce((max, value) => (value > max ? value : max), -Infinity);
+
+export const getVersionDurations = (results, versionKey) => {
+  return results
+    .map(result => getDuration(result, versionKey))
+    .filter(duration => typeof duration === 'number');
+};
+
+// { [versionKey]: stats } for every version of the run
+export const computeRunLatencyStats = (results, versions) => {
+  return Object.fromEntries(versions.map(version => [
+    version.key,
+    computeLatencyStats(getVersionDurations(results, version.key))
+  ]));
+};
+
+// Shared bins across versions so their histograms are comparable
+export const buildHistogram = (durationsByVersion, binCount = 20) => {
+  const all = Object.values(durationsByVersion).flat();
+  if (all.length === 0) return { bins: [], counts: {} };
+
+  const min = minOf(all);
+  const max = maxOf(all);
+  const width = (max - min) / binCount || 1;
+  const bins = Array.from({ length: binCount }, (_, idx) => ({ start: min + idx * width, end: min + (idx + 1) * width }));
+
+  const counts = Object.fromEntries(Object.entries(durationsByVersion).map(([key, durations]) => {
+    const binCounts = new Array(binCount).fill(0);
+    durations.forEach(duration => {
+      binCounts[Math.min(binCount - 1, Math.floor((duration - min) / width))]++;
+    });
+    return [key, binCounts];
+  }));
+
+  return { bins, counts };
+};
+
+// Points for a per-name scatter of one version's latency against another's
+export const getScatterPoints = (results, xKey, yKey) => {
+  return results
+    .filter(result => typeof getDuration(result, xKey) === 'number' && typeof getDuration(result, yKey) === 'number')
+    .map(result => ({ name: result.name, x: getDuration(result, xKey), y: getDuration(result, yKey) }));
+};
+
+// Names with the highest latency in any version
+export const getSlowestNames = (results, versions, limit = 10) => {
+  return results
+    .map(result => {
+      const durations = versions.map(version => getDuration(result, version.key)).filter(duration => typeof duration === 'number');
+      return { name: result.name, result, maxDuration: durations.length ? maxOf(durations) : null };
+    })
+    .filter(item => item.maxDuration !== null)
+    .sort((a, b) => b.maxDuration - a.maxDuration)
+    .slice(0, limit);
+};
+
+// Rows for the "Latency Summary" sheet: one per version, values in ms
+export const buildLatencySummaryRows = (results, versions) => {
+  const stats = computeRunLatencyStats(results, versions);
+  return versions.map(version => ({
+    'Version': version.label,
+    ...Object.fromEntries(STAT_COLUMNS.map(column => {
+      const value = stats[version.key][column.key];
+      const formatted = value === null || column.key === 'count' ? value : Number(value.toFixed(2));
+      return [column.key === 'count' ? column.label : `${column.label} (ms)`, formatted ?? 'N/A'];
+    }))
+  }));
+};
@@ -0,0 +1,42 @@
+import { buildHistogram, computeLatencyStats, computeRunLatencyStats, getSlowestNames, percentile } from './latencyStats';
+
+test('computes summary statistics', () => {
+  const stats = computeLatencyStats([40, 10, 30, 20]);
+  expect(stats).toMatchObject({ count: 4, mean: 25, median: 25, min: 10, max: 40 });
+  expect(stats.stdDev).toBeCloseTo(11.18, 2);
+  expect(computeLatencyStats([]).mean).toBeNull();
+});
+
+test('interpolates percentiles between ranks', () => {
+  const sorted = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+  expect(percentile(sorted, 90)).toBeCloseTo(91);
+  expect(percentile(sorted, 0)).toBe(10);
+  expect(percentile(sorted, 100)).toBe(100);
+});
+
+test('bins every version on the same scale', () => {
+  const { bins, counts } = buildHistogram({ a: [0, 5, 10], b: [10] }, 2);
+  expect(bins).toHaveLength(2);
+  expect(counts).toEqual({ a: [1, 2], b: [0, 1] });
+});
+
+test('bins runs too large to spread into Math.min and Math.max', () => {
+  const durations = Array.from({ length: 70000 }, (_, idx) => idx + 1);
+  const { bins, counts } = buildHistogram({ a: durations, b: durations }, 10);
+
+  expect(bins[0].start).toBe(1);
+  expect(bins[9].end).toBeCloseTo(70000);
+  expect(counts.a.reduce((sum, count) => sum + count, 0)).toBe(70000);
+});
+
+test('credits each name of a batched call with its share of the call time', () => {
+  const versions = [{ key: 'a', label: 'V2' }];
+  const results = [
+    { name: 'Batched 1', versions: { a: { _duration: 400, _batchSize: 4 } } },
+    { name: 'Batched 2', versions: { a: { _duration: 400, _batchSize: 4 } } },
+    { name: 'Single', versions: { a: { _duration: 150 } } }
+  ];
+
+  expect(computeRunLatencyStats(results, versions).a).toMatchObject({ min: 100, max: 150, median: 100 });
+  expect(getSlowestNames(results, versions).map(item => [item.name, item.maxDuration])).toEqual([['Single', 150], ['Batched 1', 100], ['Batched 2', 100]]);
+});
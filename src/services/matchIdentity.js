@@ -0,0 +1,101 @@
+// Strategies for deciding when hits from two versions are the same entity. The comparison engine keys
+// every hit with the selected strategy; hits whose keys match are compared field by field, the rest are
+// reported as "only in" one version.
+
+import { getFieldValue } from './sdnComparison';
+
+const STORAGE_KEY = 'matchIdentity';
+
+export const MATCH_STRATEGIES = {
+  SDN_ID: 'sdnId',
+  NAME: 'name',
+  REFERENCE_ID: 'referenceId',
+  CUSTOM: 'custom'
+};
+
+export const STRATEGY_LABELS = {
+  [MATCH_STRATEGIES.SDN_ID]: 'SDN ID',
+  [MATCH_STRATEGIES.NAME]: 'Normalized SDN name',
+  [MATCH_STRATEGIES.REFERENCE_ID]: 'Sanction reference + SDN ID',
+  [MATCH_STRATEGIES.CUSTOM]: 'Custom composite key'
+};
+
+export const DEFAULT_MATCH_IDENTITY = { strategy: MATCH_STRATEGIES.SDN_ID, fields: [] };
+
+const SDN_ID_PATH = 'rulesDetails.sdnid';
+
+// Dot paths into a response item making up the key of each built-in strategy
+const STRATEGY_PATHS = {
+  [MATCH_STRATEGIES.SDN_ID]: [SDN_ID_PATH],
+  [MATCH_STRATEGIES.NAME]: ['rulesDetails.sdnname'],
+  [MATCH_STRATEGIES.REFERENCE_ID]: ['rulesDetails.sanctionReferenceName', SDN_ID_PATH]
+};
+
+export const getIdentityPaths = (identity = DEFAULT_MATCH_IDENTITY) => (
+  identity.strategy === MATCH_STRATEGIES.CUSTOM ? identity.fields : STRATEGY_PATHS[identity.strategy] || STRATEGY_PATHS.sdnId
+);
+
+// Case, accents, punctuation and spacing don't distinguish names ("Al-Qaida " and "AL QAIDA" are the same)
+export const normalizeIdentityValue = (value) => (
+  String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+);
+
+// Identity key of a response item, or null when the item has no SDN hit or lacks any key part.
+// Single-part keys are the part itself, so the default key is the plain SDN ID.
+export const getIdentityKey = (item, identity = DEFAULT_MATCH_IDENTITY) => {
+  if (!item?.rulesDetails?.sdnid) return null;
+
+  const parts = getIdentityPaths(identity).map(path => {
+    const value = getFieldValue(item, path);
+    if (value === undefined || value === null || value === '') return null;
+    // IDs are compared exactly; every other part is normalized text
+    return path === SDN_ID_PATH ? String(value) : normalizeIdentityValue(value);
+  });
+  if (parts.length === 0 || !parts.every(part => part)) return null;
+  return parts.length === 1 ? parts[0] : JSON.stringify(parts);
+};
+
+// Whether hits matched by this identity can carry different SDN IDs (re-keyed list entries)
+export const matchesAcrossIds = (identity = DEFAULT_MATCH_IDENTITY) => !getIdentityPaths(identity).includes(SDN_ID_PATH);
+
+// Label shown on screen and in exports, e.g. "Custom composite key (rulesDetails.sdnname + rulesDetails.program)"
+export const describeIdentity = (identity = DEFAULT_MATCH_IDENTITY) => {
+  const label = STRATEGY_LABELS[identity.strategy] || STRATEGY_LABELS.sdnId;
+  return identity.strategy === MATCH_STRATEGIES.CUSTOM ? `${label} (${identity.fields.join(' + ')})` : label;
+};
+
+// Throws on an unknown strategy or a custom key without fields; returns the cleaned identity
+export const sanitizeIdentity = ({ strategy, fields = [] }) => {
+  if (!Object.values(MATCH_STRATEGIES).includes(strategy)) {
+    throw new Error(`Unknown match strategy: ${strategy}`);
+  }
+  if (strategy !== MATCH_STRATEGIES.CUSTOM) {
+    return { strategy, fields: [] };
+  }
+  const cleaned = fields.map(field => field.trim()).filter(Boolean);
+  if (cleaned.length === 0) {
+    throw new Error('A custom key needs at least one field');
+  }
+  return { strategy, fields: cleaned };
+};
+
+export const loadMatchIdentity = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored ? sanitizeIdentity(stored) : DEFAULT_MATCH_IDENTITY;
+  } catch (error) {
+    console.error('Error reading match identity:', error);
+    return DEFAULT_MATCH_IDENTITY;
+  }
+};
+
+export const saveMatchIdentity = (identity) => {
+  const sanitized = sanitizeIdentity(identity);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(sanitized));
+  return sanitized;
+};
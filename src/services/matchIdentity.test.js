@@ -0,0 +1,38 @@
+import {
+  MATCH_STRATEGIES,
+  describeIdentity,
+  getIdentityKey,
+  normalizeIdentityValue,
+  sanitizeIdentity
+} from './matchIdentity';
+
+const item = (sdnid, sdnname, sanctionReferenceName = 'OFAC') => ({ rulesDetails: { sdnid, sdnname, sanctionReferenceName } });
+
+test('normalizes case, accents, punctuation and spacing', () => {
+  expect(normalizeIdentityValue('  Al-Qaïda,  Network ')).toBe('al qaida network');
+});
+
+test('keys hits by the selected strategy', () => {
+  const name = { strategy: MATCH_STRATEGIES.NAME };
+  const reference = { strategy: MATCH_STRATEGIES.REFERENCE_ID };
+
+  expect(getIdentityKey(item('1', 'SMITH, John'))).toBe(getIdentityKey(item('1', 'John Smith')));
+  expect(getIdentityKey(item('1', 'SMITH, John'), name)).toBe(getIdentityKey(item('99', 'smith john'), name));
+  expect(getIdentityKey(item('1', 'X', 'OFAC'), reference)).not.toBe(getIdentityKey(item('1', 'X', 'EU'), reference));
+});
+
+test('builds custom composite keys and skips items missing a part', () => {
+  const custom = { strategy: MATCH_STRATEGIES.CUSTOM, fields: ['rulesDetails.sdnname', 'program'] };
+
+  expect(getIdentityKey({ ...item('1', 'ACME Ltd'), program: 'SDGT' }, custom))
+    .toBe(getIdentityKey({ ...item('2', 'Acme ltd.'), program: 'sdgt' }, custom));
+  expect(getIdentityKey(item('1', 'ACME Ltd'), custom)).toBeNull();
+  expect(getIdentityKey({ rulesDetails: { sdnname: 'No ID' } }, { strategy: MATCH_STRATEGIES.NAME })).toBeNull();
+});
+
+test('validates and describes identities', () => {
+  expect(sanitizeIdentity({ strategy: MATCH_STRATEGIES.NAME, fields: ['ignored'] })).toEqual({ strategy: 'name', fields: [] });
+  expect(() => sanitizeIdentity({ strategy: MATCH_STRATEGIES.CUSTOM, fields: [' '] })).toThrow('at least one field');
+  expect(() => sanitizeIdentity({ strategy: 'fuzzy' })).toThrow('Unknown match strategy');
+  expect(describeIdentity({ strategy: MATCH_STRATEGIES.CUSTOM, fields: ['a', 'b'] })).toBe('Custom composite key (a + b)');
+});
@@ -0,0 +1,77 @@
+// Shape of a single matchingRequestDto record sent to the matcher endpoints
+
+// Fields that can be populated from an input column
+export const REQUEST_FIELDS = [
+  { key: 'fullName', label: 'Full Name', required: true },
+  { key: 'date', label: 'Date' },
+  { key: 'year', label: 'Year' },
+  { key: 'idNumber', label: 'ID Number' },
+  { key: 'nationality', label: 'Nationality' },
+  { key: 'channelName', label: 'Channel Name' },
+  { key: 'contact', label: 'Contact' },
+  { key: 'accountNo', label: 'Account No' },
+  { key: 'customerType', label: 'Customer Type' },
+  { key: 'type', label: 'Type' },
+  { key: 'transactionType', label: 'Transaction Type' },
+  { key: 'flag', label: 'Flag', type: 'boolean' },
+  { key: 'limitFlag', label: 'Limit Flag', type: 'number' }
+];
+
+// Values used for any field that isn't mapped or is blank in the input row
+export const DEFAULT_REQUEST = {
+  fullName: "",
+  date: "",
+  year: "",
+  idNumber: "",
+  nationality: "",
+  channelName: "internal",
+  contact: "",
+  accountNo: "",
+  customerType: "",
+  type: "Person",
+  transactionType: "",
+  flag: false,
+  limitFlag: 10000
+};
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+const FIELD_TYPES = Object.fromEntries(REQUEST_FIELDS.map(field => [field.key, field.type || 'string']));
+
+// Convert a mapped cell (always text) to the type the DTO expects; unreadable values give undefined
+// so the default is sent instead
+const toRequestValue = (key, value) => {
+  if (typeof value !== 'string') return value;
+  const text = value.trim();
+  switch (FIELD_TYPES[key]) {
+    case 'boolean':
+      if (TRUE_VALUES.includes(text.toLowerCase())) return true;
+      if (FALSE_VALUES.includes(text.toLowerCase())) return false;
+      return undefined;
+    case 'number': {
+      const number = Number(text.replace(/,/g, ''));
+      return text !== '' && Number.isFinite(number) ? number : undefined;
+    }
+    default:
+      return text;
+  }
+};
+
+// Build a full request record from a name or a partial record
+export const buildMatchingRequest = (input) => {
+  const fields = typeof input === 'string' ? { fullName: input } : (input || {});
+  const request = { ...DEFAULT_REQUEST };
+
+  Object.entries(fields).forEach(([key, value]) => {
+    // Only request fields are sent; other record fields (such as expected hits) stay local
+    if (!(key in DEFAULT_REQUEST)) return;
+    if (value === undefined || value === null || String(value).trim() === '') return;
+    const converted = toRequestValue(key, value);
+    if (converted !== undefined) {
+      request[key] = converted;
+    }
+  });
+
+  return request;
+};
@@ -0,0 +1,22 @@
+import { buildMatchingRequest, DEFAULT_REQUEST } from './matchingRequest';
+
+test('builds a full request from a name', () => {
+  expect(buildMatchingRequest(' John Smith ')).toEqual({ ...DEFAULT_REQUEST, fullName: 'John Smith' });
+});
+
+test('converts mapped boolean and numeric fields to the DTO types', () => {
+  const request = buildMatchingRequest({ fullName: 'John Smith', flag: 'Yes', limitFlag: '25,000', year: '1980' });
+
+  expect(request.flag).toBe(true);
+  expect(request.limitFlag).toBe(25000);
+  expect(request.year).toBe('1980');
+  expect(buildMatchingRequest({ fullName: 'A', flag: '0' }).flag).toBe(false);
+});
+
+test('keeps the defaults for unreadable values and drops non-request fields', () => {
+  const request = buildMatchingRequest({ fullName: 'John Smith', flag: 'maybe', limitFlag: 'n/a', expectedHits: '123' });
+
+  expect(request.flag).toBe(DEFAULT_REQUEST.flag);
+  expect(request.limitFlag).toBe(DEFAULT_REQUEST.limitFlag);
+  expect(request).not.toHaveProperty('expectedHits');
+});
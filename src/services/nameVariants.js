@@ -0,0 +1,330 @@
+// Synthetic name variants for stress-testing the matcher versions: typos, dropped or swapped tokens,
+// initials, honorifics, diacritic stripping, transliterations and joined/split tokens. Every variant keeps
+// its seed name, and the variant report checks per version whether variants still hit the seed's SDN IDs.
+
+import { getSdnHits } from './sdnComparison';
+
+export const VARIANT_TYPES = {
+  TYPO: 'typo',
+  DROP_TOKEN: 'dropToken',
+  SWAP_TOKENS: 'swapTokens',
+  INITIALS: 'initials',
+  HONORIFIC: 'honorific',
+  DIACRITICS: 'diacritics',
+  TRANSLITERATION: 'transliteration',
+  JOIN_SPLIT: 'joinSplit'
+};
+
+export const VARIANT_LABELS = {
+  [VARIANT_TYPES.TYPO]: 'Typos',
+  [VARIANT_TYPES.DROP_TOKEN]: 'Dropped token',
+  [VARIANT_TYPES.SWAP_TOKENS]: 'Reordered tokens',
+  [VARIANT_TYPES.INITIALS]: 'Initials',
+  [VARIANT_TYPES.HONORIFIC]: 'Honorific added',
+  [VARIANT_TYPES.DIACRITICS]: 'Diacritics stripped',
+  [VARIANT_TYPES.TRANSLITERATION]: 'Transliteration',
+  [VARIANT_TYPES.JOIN_SPLIT]: 'Joined / split tokens'
+};
+
+// variantType of the seed rows themselves, so the seed's own hits are part of the run
+export const SEED_TYPE = 'seed';
+
+export const DEFAULT_VARIANTS_PER_TYPE = 3;
+
+const HONORIFICS = ['Mr', 'Dr', 'Sheikh', 'Haji', 'General'];
+
+// Interchangeable Latin spellings of common Arabic and Cyrillic name tokens
+const SPELLING_GROUPS = [
+  ['muhammad', 'mohammed', 'mohamed', 'mohammad', 'mohamad'],
+  ['ahmed', 'ahmad'],
+  ['hussein', 'hussain', 'husain', 'husayn'],
+  ['hassan', 'hasan'],
+  ['abdul', 'abdel', 'abd al'],
+  ['osama', 'usama'],
+  ['yusuf', 'youssef', 'yousef'],
+  ['omar', 'umar'],
+  ['abu', 'abou'],
+  ['al', 'el'],
+  ['aleksandr', 'alexander', 'aleksander'],
+  ['aleksei', 'alexei', 'alexey'],
+  ['sergei', 'sergey', 'serguei'],
+  ['yuri', 'yury', 'iouri'],
+  ['dmitri', 'dmitry', 'dmitriy'],
+  ['nikolai', 'nikolay'],
+  ['andrei', 'andrey']
+];
+
+// Spelling rules applied inside tokens, e.g. Ivanov → Ivanoff, Khalid → Halid
+const SPELLING_RULES = [
+  [/ov$/, ['off', 'ow']],
+  [/ev$/, ['eff', 'ew']],
+  [/sky$/, ['ski', 'skiy']],
+  [/kh/, ['h']],
+  [/zh/, ['j']],
+  [/ou/, ['u']],
+  [/ee/, ['i']],
+  [/q/, ['k']]
+];
+
+// Prefixes that are often written joined to the next token (Abdul Rahman / Abdulrahman)
+const JOINABLE_PREFIXES = ['abdul', 'abdel', 'abu', 'al', 'el', 'bin', 'ibn', 'van', 'von', 'de'];
+// Joined prefixes that are safe to split off again; short ones like "al" would split Alexander
+const SPLITTABLE_PREFIXES = ['abdul', 'abdel', 'abu'];
+
+const tokenize = (name) => String(name ?? '').trim().split(/\s+/).filter(Boolean);
+
+// Keep the case style of the token being replaced ("SMITH", "Smith" or "smith")
+const matchCase = (replacement, original) => {
+  if (original === original.toUpperCase()) return replacement.toUpperCase();
+  if (original[0] === original[0].toUpperCase()) return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  return replacement;
+};
+
+// Small deterministic PRNG so the same seed always produces the same typos
+const createRandom = (text) => {
+  let state = [...text].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Edits work on code points so characters outside the BMP (emoji, rare CJK) are never split
+const typos = (name, limit) => {
+  const random = createRandom(name);
+  const chars = Array.from(name);
+  const letters = chars.map((char, idx) => idx).filter(idx => /\p{L}/u.test(chars[idx]));
+  const edits = [
+    // Swap a letter with the next one
+    (text, idx) => (idx + 1 < text.length && /\p{L}/u.test(text[idx + 1]) ? [...text.slice(0, idx), text[idx + 1], text[idx], ...text.slice(idx + 2)] : null),
+    // Drop a letter
+    (text, idx) => [...text.slice(0, idx), ...text.slice(idx + 1)],
+    // Double a letter
+    (text, idx) => [...text.slice(0, idx + 1), text[idx], ...text.slice(idx + 1)]
+  ];
+
+  const variants = [];
+  for (let attempt = 0; attempt < limit * 4 && variants.length < limit && letters.length > 1; attempt++) {
+    const idx = letters[Math.floor(random() * letters.length)];
+    const variant = edits[attempt % edits.length](chars, idx);
+    if (variant) variants.push(variant.join(''));
+  }
+  return variants;
+};
+
+const dropTokens = (tokens) => (tokens.length < 2 ? [] : tokens.map((_, idx) => tokens.filter((__, i) => i !== idx).join(' ')));
+
+const swapTokens = (tokens) => {
+  if (tokens.length < 2) return [];
+  return [
+    [tokens[tokens.length - 1], ...tokens.slice(0, -1)].join(' '),
+    [...tokens].reverse().join(' '),
+    ...tokens.slice(0, -1).map((_, idx) => {
+      const swapped = [...tokens];
+      [swapped[idx], swapped[idx + 1]] = [swapped[idx + 1], swapped[idx]];
+      return swapped.join(' ');
+    })
+  ];
+};
+
+const initials = (tokens) => {
+  if (tokens.length < 2) return [];
+  const last = tokens[tokens.length - 1];
+  const rest = tokens.slice(0, -1);
+  return [
+    [...rest.map(token => `${token[0]}.`), last].join(' '),
+    [...rest.map(token => token[0]), last].join(' '),
+    [tokens[0], ...rest.slice(1).map(token => `${token[0]}.`), last].join(' ')
+  ];
+};
+
+const honorifics = (name) => HONORIFICS.map(honorific => `${honorific} ${name}`);
+
+const stripDiacritics = (name) => [name.normalize('NFKD').replace(/[\u0300-\u036f]/g, '')];
+
+const transliterations = (tokens) => {
+  const variants = [];
+  tokens.forEach((token, idx) => {
+    const lower = token.toLowerCase();
+    const replace = (replacement) => {
+      variants.push([...tokens.slice(0, idx), matchCase(replacement, token), ...tokens.slice(idx + 1)].join(' '));
+    };
+
+    const group = SPELLING_GROUPS.find(spellings => spellings.includes(lower));
+    if (group) {
+      group.filter(spelling => spelling !== lower).forEach(replace);
+    }
+    SPELLING_RULES.forEach(([pattern, replacements]) => {
+      if (pattern.test(lower)) {
+        replacements.forEach(replacement => replace(lower.replace(pattern, replacement)));
+      }
+    });
+  });
+  return variants;
+};
+
+const joinSplit = (tokens) => {
+  const variants = [];
+  tokens.forEach((token, idx) => {
+    // Hyphenated tokens: Al-Qaida → Al Qaida, AlQaida
+    if (token.includes('-')) {
+      const parts = token.split('-').filter(Boolean);
+      variants.push([...tokens.slice(0, idx), ...parts, ...tokens.slice(idx + 1)].join(' '));
+      variants.push([...tokens.slice(0, idx), parts.join(''), ...tokens.slice(idx + 1)].join(' '));
+    }
+    // Joined prefixes: Abdulrahman → Abdul Rahman
+    const prefix = SPLITTABLE_PREFIXES.find(item => token.toLowerCase().startsWith(item) && token.length > item.length + 2);
+    if (prefix) {
+      const rest = token.slice(prefix.length);
+      variants.push([...tokens.slice(0, idx), token.slice(0, prefix.length), matchCase(rest, token), ...tokens.slice(idx + 1)].join(' '));
+    }
+    // Separate prefixes: Abdul Rahman → Abdulrahman
+    if (idx + 1 < tokens.length && JOINABLE_PREFIXES.includes(token.toLowerCase())) {
+      variants.push([...tokens.slice(0, idx), token + tokens[idx + 1].toLowerCase(), ...tokens.slice(idx + 2)].join(' '));
+    }
+  });
+  return variants;
+};
+
+const GENERATORS = {
+  [VARIANT_TYPES.TYPO]: (name, tokens, limit) => typos(name, limit),
+  [VARIANT_TYPES.DROP_TOKEN]: (name, tokens) => dropTokens(tokens),
+  [VARIANT_TYPES.SWAP_TOKENS]: (name, tokens) => swapTokens(tokens),
+  [VARIANT_TYPES.INITIALS]: (name, tokens) => initials(tokens),
+  [VARIANT_TYPES.HONORIFIC]: (name) => honorifics(name),
+  [VARIANT_TYPES.DIACRITICS]: (name) => stripDiacritics(name),
+  [VARIANT_TYPES.TRANSLITERATION]: (name, tokens) => transliterations(tokens),
+  [VARIANT_TYPES.JOIN_SPLIT]: (name, tokens) => joinSplit(tokens)
+};
+
+// Variants of one seed as { seed, name, type }: up to `limit` per type, without duplicates of the seed
+// or of each other (ignoring case and spacing)
+export const generateVariants = (seed, { types = Object.values(VARIANT_TYPES), limit = DEFAULT_VARIANTS_PER_TYPE } = {}) => {
+  const name = tokenize(seed).join(' ');
+  const tokens = tokenize(name);
+  const seen = new Set([name.toLowerCase()]);
+
+  return types.flatMap(type => GENERATORS[type](name, tokens, limit)
+    .map(variant => tokenize(variant).join(' '))
+    .filter(variant => {
+      const key = variant.toLowerCase();
+      if (!variant || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit)
+    .map(variant => ({ seed: name, name: variant, type })));
+};
+
+// Sheet-style rows (header first) for a run over the seeds and their variants. `seeds` are
+// { fullName, expectedHits } records; the expected hits column is only added when a seed has one.
+export const buildVariantRows = (seeds, options) => {
+  const withExpected = seeds.some(seed => seed.expectedHits);
+  const header = ['fullName', 'variantOf', 'variantType', ...(withExpected ? ['expectedHits'] : [])];
+  const toRow = (name, seed, type) => [name, seed.fullName, type, ...(withExpected ? [seed.expectedHits || ''] : [])];
+
+  return [
+    header,
+    ...seeds.flatMap(seed => [
+      toRow(seed.fullName, seed, SEED_TYPE),
+      ...generateVariants(seed.fullName, options).map(variant => toRow(variant.name, seed, variant.type))
+    ])
+  ];
+};
+
+export const VARIANT_OUTCOMES = {
+  KEPT: 'kept',
+  PARTIAL: 'partial',
+  LOST: 'lost',
+  NO_SEED_HITS: 'noSeedHits',
+  NOT_CHECKED: 'notChecked'
+};
+
+export const VARIANT_OUTCOME_LABELS = {
+  [VARIANT_OUTCOMES.KEPT]: 'Still hits',
+  [VARIANT_OUTCOMES.PARTIAL]: 'Partly hits',
+  [VARIANT_OUTCOMES.LOST]: 'Lost',
+  [VARIANT_OUTCOMES.NO_SEED_HITS]: 'Seed has no hits',
+  [VARIANT_OUTCOMES.NOT_CHECKED]: 'Failed / not run'
+};
+
+const normalizeSeed = (name) => String(name ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const isCompleted = (result) => !result.error && !result.notRun;
+
+export const isVariantResult = (result) => Boolean(result.variantOf) && result.variantType !== SEED_TYPE;
+
+// The seed's SDN IDs: its expected hits when given, otherwise everything any version returned for the seed
+const getSeedIds = (seedResult, versions) => {
+  if (!seedResult) return [];
+  if (Array.isArray(seedResult.expected) && seedResult.expected.length > 0) return seedResult.expected.map(String);
+  if (!isCompleted(seedResult)) return [];
+  return [...new Set(versions.flatMap(version => getSdnHits(seedResult.versions?.[version.key]).map(hit => String(hit.id))))];
+};
+
+// Per-variant outcome for each version, plus per-version totals by outcome and by variant type:
+// { rows: [{ result, seed, type, seedIds, versions: { [key]: { outcome, hitIds, missedIds } } }],
+//   summary: { [key]: { outcomes: { [outcome]: n }, byType: { [type]: { kept, total } } } } }
+export const buildVariantReport = (results, versions) => {
+  const seedResults = new Map();
+  results.filter(result => result.variantType === SEED_TYPE).forEach(result => {
+    seedResults.set(normalizeSeed(result.variantOf), result);
+  });
+
+  const rows = results.filter(isVariantResult).map(result => {
+    const seedIds = getSeedIds(seedResults.get(normalizeSeed(result.variantOf)), versions);
+    return {
+      result,
+      seed: result.variantOf,
+      type: result.variantType,
+      seedIds,
+      versions: Object.fromEntries(versions.map(version => {
+        if (!isCompleted(result)) return [version.key, { outcome: VARIANT_OUTCOMES.NOT_CHECKED, hitIds: [], missedIds: [] }];
+        if (seedIds.length === 0) return [version.key, { outcome: VARIANT_OUTCOMES.NO_SEED_HITS, hitIds: [], missedIds: [] }];
+
+        const returned = new Set(getSdnHits(result.versions?.[version.key]).map(hit => String(hit.id)));
+        const hitIds = seedIds.filter(id => returned.has(id));
+        const missedIds = seedIds.filter(id => !returned.has(id));
+        const outcome = missedIds.length === 0
+          ? VARIANT_OUTCOMES.KEPT
+          : hitIds.length > 0 ? VARIANT_OUTCOMES.PARTIAL : VARIANT_OUTCOMES.LOST;
+        return [version.key, { outcome, hitIds, missedIds }];
+      }))
+    };
+  });
+
+  const summary = Object.fromEntries(versions.map(version => {
+    const outcomes = Object.fromEntries(Object.values(VARIANT_OUTCOMES).map(outcome => [outcome, 0]));
+    const byType = {};
+    rows.forEach(row => {
+      const { outcome } = row.versions[version.key];
+      outcomes[outcome]++;
+      if (outcome === VARIANT_OUTCOMES.NO_SEED_HITS || outcome === VARIANT_OUTCOMES.NOT_CHECKED) return;
+      byType[row.type] = byType[row.type] || { kept: 0, total: 0 };
+      byType[row.type].total++;
+      if (outcome === VARIANT_OUTCOMES.KEPT) byType[row.type].kept++;
+    });
+    return [version.key, { outcomes, byType }];
+  }));
+
+  return { rows, summary };
+};
+
+export const getVariantLabel = (type) => VARIANT_LABELS[type] || type || 'Variant';
+
+// Rows for the "Variants" sheet: one per variant with each version's outcome and missed seed IDs
+export const buildVariantSheetRows = (results, versions) => {
+  return buildVariantReport(results, versions).rows.map(row => ({
+    'Seed': row.seed,
+    'Variant': row.result.name,
+    'Variant Type': getVariantLabel(row.type),
+    'Seed SDN IDs': row.seedIds.join('; '),
+    ...Object.fromEntries(versions.flatMap(version => [
+      [`${version.label} Outcome`, VARIANT_OUTCOME_LABELS[row.versions[version.key].outcome]],
+      [`${version.label} Missed IDs`, row.versions[version.key].missedIds.join('; ')]
+    ]))
+  }));
+};
@@ -0,0 +1,75 @@
+import {
+  SEED_TYPE,
+  VARIANT_OUTCOMES,
+  VARIANT_TYPES,
+  buildVariantReport,
+  buildVariantRows,
+  generateVariants
+} from './nameVariants';
+
+const names = (variants) => variants.map(variant => variant.name);
+
+test('generates each kind of variant linked to its seed', () => {
+  const only = (type, seed) => names(generateVariants(seed, { types: [type] }));
+
+  expect(only(VARIANT_TYPES.DROP_TOKEN, 'Osama bin Laden')).toEqual(['bin Laden', 'Osama Laden', 'Osama bin']);
+  expect(only(VARIANT_TYPES.SWAP_TOKENS, 'John Smith')).toEqual(['Smith John']);
+  expect(only(VARIANT_TYPES.INITIALS, 'John Paul Smith')).toEqual(['J. P. Smith', 'J P Smith', 'John P. Smith']);
+  expect(only(VARIANT_TYPES.DIACRITICS, 'José Müller')).toEqual(['Jose Muller']);
+  expect(only(VARIANT_TYPES.TRANSLITERATION, 'Mohammed Ivanov')).toEqual(['Muhammad Ivanov', 'Mohamed Ivanov', 'Mohammad Ivanov']);
+  expect(only(VARIANT_TYPES.JOIN_SPLIT, 'Abdulrahman Al-Rashid')).toEqual(['Abdul Rahman Al-Rashid', 'Abdulrahman Al Rashid', 'Abdulrahman AlRashid']);
+  expect(generateVariants('John Smith', { types: [VARIANT_TYPES.HONORIFIC], limit: 1 }))
+    .toEqual([{ seed: 'John Smith', name: 'Mr John Smith', type: VARIANT_TYPES.HONORIFIC }]);
+});
+
+test('edits characters outside the Basic Multilingual Plane as whole letters', () => {
+  const loneSurrogate = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+  const typos = names(generateVariants('\u{2070E}\u{20731} Li \u{1F600}', { types: [VARIANT_TYPES.TYPO], limit: 12 }));
+
+  expect(typos).toContain('\u{20731}\u{2070E} Li \u{1F600}');
+  expect(typos).toContain('\u{2070E} Li \u{1F600}');
+  typos.forEach(typo => {
+    expect(typo).not.toMatch(loneSurrogate);
+    expect(typo.endsWith(' \u{1F600}')).toBe(true);
+  });
+});
+
+test('produces the same distinct typos for a seed every time', () => {
+  const typos = names(generateVariants('Vladimir Putin', { types: [VARIANT_TYPES.TYPO] }));
+
+  expect(typos).toHaveLength(3);
+  expect(new Set(typos.map(name => name.toLowerCase())).size).toBe(3);
+  expect(typos).not.toContain('Vladimir Putin');
+  expect(names(generateVariants('Vladimir Putin', { types: [VARIANT_TYPES.TYPO] }))).toEqual(typos);
+  expect(generateVariants('Madonna', { types: [VARIANT_TYPES.DROP_TOKEN, VARIANT_TYPES.SWAP_TOKENS] })).toEqual([]);
+});
+
+test('builds input rows with the seed first and its expected hits carried over', () => {
+  const rows = buildVariantRows([{ fullName: 'John Smith', expectedHits: '101' }], { types: [VARIANT_TYPES.SWAP_TOKENS] });
+
+  expect(rows).toEqual([
+    ['fullName', 'variantOf', 'variantType', 'expectedHits'],
+    ['John Smith', 'John Smith', SEED_TYPE, '101'],
+    ['Smith John', 'John Smith', VARIANT_TYPES.SWAP_TOKENS, '101']
+  ]);
+});
+
+test('reports per version which variants still hit the seed SDN IDs', () => {
+  const versions = [{ key: 'a', label: 'V2' }, { key: 'b', label: 'V4' }];
+  const response = (...ids) => ({ responses: ids.map(id => ({ rulesDetails: { sdnid: id } })) });
+  const result = (name, type, a, b) => ({ name, variantOf: 'John Smith', variantType: type, versions: { a, b } });
+
+  const { rows, summary } = buildVariantReport([
+    result('John Smith', SEED_TYPE, response('1', '2'), response('1')),
+    result('Smith John', VARIANT_TYPES.SWAP_TOKENS, response('1', '2'), response()),
+    result('J. Smith', VARIANT_TYPES.INITIALS, response('2'), response('1', '2')),
+    { name: 'Jon Smith', variantOf: 'john  smith', variantType: VARIANT_TYPES.TYPO, error: 'Error: timeout' }
+  ], versions);
+
+  expect(rows.map(row => row.seedIds)).toEqual([['1', '2'], ['1', '2'], ['1', '2']]);
+  expect(rows.map(row => row.versions.a.outcome)).toEqual([VARIANT_OUTCOMES.KEPT, VARIANT_OUTCOMES.PARTIAL, VARIANT_OUTCOMES.NOT_CHECKED]);
+  expect(rows.map(row => row.versions.b.outcome)).toEqual([VARIANT_OUTCOMES.LOST, VARIANT_OUTCOMES.KEPT, VARIANT_OUTCOMES.NOT_CHECKED]);
+  expect(rows[1].versions.a.missedIds).toEqual(['1']);
+  expect(summary.b.byType).toEqual({ [VARIANT_TYPES.SWAP_TOKENS]: { kept: 0, total: 1 }, [VARIANT_TYPES.INITIALS]: { kept: 1, total: 1 } });
+  expect(summary.a.outcomes[VARIANT_OUTCOMES.NOT_CHECKED]).toBe(1);
+});
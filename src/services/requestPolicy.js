@@ -0,0 +1,104 @@
+// Timeout and retry policy for matcher requests, plus classification of failed calls.
+// The policy is persisted in localStorage so it survives a page reload.
+
+const STORAGE_KEY = 'requestPolicy';
+
+export const DEFAULT_REQUEST_POLICY = {
+  timeoutMs: 0, // 0 disables the timeout so slow matcher calls can still complete
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 30000
+};
+
+// Error categories recorded on failed results
+export const ERROR_CATEGORIES = {
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  RATE_LIMITED: 'rate_limited',
+  SERVER: 'server',
+  AUTH: 'auth',
+  CLIENT: 'client',
+  CANCELLED: 'cancelled',
+  UNKNOWN: 'unknown'
+};
+
+const RETRYABLE_CATEGORIES = [
+  ERROR_CATEGORIES.TIMEOUT,
+  ERROR_CATEGORIES.NETWORK,
+  ERROR_CATEGORIES.RATE_LIMITED,
+  ERROR_CATEGORIES.SERVER
+];
+
+export const loadRequestPolicy = () => {
+  try {
+    return { ...DEFAULT_REQUEST_POLICY, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch (error) {
+    console.error('Error reading request policy:', error);
+    return { ...DEFAULT_REQUEST_POLICY };
+  }
+};
+
+export const saveRequestPolicy = (policy) => {
+  const sanitized = Object.fromEntries(
+    Object.keys(DEFAULT_REQUEST_POLICY).map(key => [key, Math.max(0, Number(policy[key]) || 0)])
+  );
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(sanitized));
+  return sanitized;
+};
+
+export const classifyError = (error) => {
+  if (error.code === 'ERR_CANCELED') return ERROR_CATEGORIES.CANCELLED;
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return ERROR_CATEGORIES.TIMEOUT;
+  // Raised by authService when there is no session to renew
+  if (error.code === 'AUTH_REQUIRED') return ERROR_CATEGORIES.AUTH;
+
+  const status = error.response?.status;
+  if (!status) {
+    return error.request || error.code === 'ERR_NETWORK' ? ERROR_CATEGORIES.NETWORK : ERROR_CATEGORIES.UNKNOWN;
+  }
+  if (status === 429) return ERROR_CATEGORIES.RATE_LIMITED;
+  if (status === 401 || status === 403) return ERROR_CATEGORIES.AUTH;
+  if (status >= 500) return ERROR_CATEGORIES.SERVER;
+  if (status >= 400) return ERROR_CATEGORIES.CLIENT;
+  return ERROR_CATEGORIES.UNKNOWN;
+};
+
+export const isRetryable = (category) => RETRYABLE_CATEGORIES.includes(category);
+
+// Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// Delay before the next attempt: Retry-After when the server sends one,
+// otherwise exponential backoff with jitter. `attempt` is the attempt that just failed (1-based).
+export const getRetryDelay = (attempt, error, policy) => {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, policy.maxDelayMs);
+  }
+
+  const backoff = policy.baseDelayMs * 2 ** (attempt - 1);
+  return Math.min(backoff + Math.random() * policy.baseDelayMs, policy.maxDelayMs);
+};
+
+// Wait for `ms`, resolving early if the signal is aborted
+export const wait = (ms, signal) => {
+  return new Promise(resolve => {
+    if (signal?.aborted) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+};
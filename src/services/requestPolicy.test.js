@@ -0,0 +1,31 @@
+import { DEFAULT_REQUEST_POLICY, classifyError, getRetryDelay, isRetryable, parseRetryAfter } from './requestPolicy';
+
+test('classifies transient and permanent failures', () => {
+  expect(classifyError({ code: 'ECONNABORTED' })).toBe('timeout');
+  expect(classifyError({ code: 'ERR_NETWORK', request: {} })).toBe('network');
+  expect(classifyError({ response: { status: 429 } })).toBe('rate_limited');
+  expect(classifyError({ response: { status: 502 } })).toBe('server');
+  expect(classifyError({ response: { status: 400 } })).toBe('client');
+  expect(classifyError({ code: 'ERR_CANCELED' })).toBe('cancelled');
+
+  expect(isRetryable('server')).toBe(true);
+  expect(isRetryable('client')).toBe(false);
+});
+
+test('honors Retry-After in seconds or as an HTTP date', () => {
+  const now = Date.parse('2024-01-01T00:00:00Z');
+  expect(parseRetryAfter('2', now)).toBe(2000);
+  expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:05 GMT', now)).toBe(5000);
+  expect(parseRetryAfter(undefined, now)).toBeNull();
+
+  const error = { response: { status: 429, headers: { 'retry-after': '3' } } };
+  expect(getRetryDelay(1, error, DEFAULT_REQUEST_POLICY)).toBe(3000);
+});
+
+test('backs off exponentially up to the maximum delay', () => {
+  const policy = { ...DEFAULT_REQUEST_POLICY, baseDelayMs: 100, maxDelayMs: 1000 };
+  const error = { response: { status: 503 } };
+  expect(getRetryDelay(1, error, policy)).toBeGreaterThanOrEqual(100);
+  expect(getRetryDelay(3, error, policy)).toBeGreaterThanOrEqual(400);
+  expect(getRetryDelay(10, error, policy)).toBe(1000);
+});
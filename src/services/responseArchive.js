@@ -0,0 +1,131 @@
+// Record-and-replay of matcher calls. A recording wraps the comparison core's `post` and keeps every
+// request, response, status and timing in a portable JSON archive together with the run's input records;
+// a replay `post` answers from that archive without any network, so a run can be re-analysed offline
+// with different comparison settings, re-exported, or shared as a reproducible case.
+
+export const ARCHIVE_FORMAT = 'namecheck-response-archive';
+export const ARCHIVE_VERSION = 1;
+
+// Raised by the replay transport for a request the archive has no answer for
+export const NOT_RECORDED = 'ERR_NOT_RECORDED';
+
+// A new archive for a run: where it was recorded, what was called and the records it was called with
+export const createArchive = ({ source, profile, versions, pairs, records, settings }) => ({
+  format: ARCHIVE_FORMAT,
+  version: ARCHIVE_VERSION,
+  createdAt: new Date().toISOString(),
+  source,
+  profile,
+  versions,
+  pairs,
+  records,
+  settings,
+  exchanges: []
+});
+
+// Identical requests to the same endpoint share a key; replays answer them in the order they were recorded
+const getExchangeKey = (endpointKey, payload) => `${endpointKey}|${JSON.stringify(payload)}`;
+
+// `post` that forwards to `post` and appends every settled call to `archive.exchanges`.
+// Calls cancelled by the user are not recorded, since they never produced an answer.
+export const createRecordingPost = (post, archive) => async (endpoint, payload, config) => {
+  const recordedAt = new Date().toISOString();
+  try {
+    const response = await post(endpoint, payload, config);
+    archive.exchanges.push({
+      endpoint: endpoint.key,
+      path: endpoint.path,
+      request: payload,
+      status: response.status ?? 200,
+      response: response.data,
+      duration: response.duration,
+      recordedAt
+    });
+    return response;
+  } catch (error) {
+    if (error.code !== 'ERR_CANCELED') {
+      archive.exchanges.push({
+        endpoint: endpoint.key,
+        path: endpoint.path,
+        request: payload,
+        status: error.response?.status ?? null,
+        response: error.response?.data ?? null,
+        error: {
+          message: error.message,
+          code: error.code || (error.request && !error.response ? 'ERR_NETWORK' : null),
+          retryAfter: error.response?.headers?.['retry-after'] ?? null
+        },
+        duration: null,
+        recordedAt
+      });
+    }
+    throw error;
+  }
+};
+
+// Rebuild a recorded failure with the fields the request policy classifies errors by
+const toReplayError = (exchange) => {
+  const error = new Error(exchange.error.message);
+  error.code = exchange.error.code || undefined;
+  if (exchange.status) {
+    error.response = {
+      status: exchange.status,
+      data: exchange.response,
+      headers: exchange.error.retryAfter ? { 'retry-after': exchange.error.retryAfter } : {}
+    };
+  }
+  return error;
+};
+
+// `post` answering from the archive. Repeated identical requests get the recorded answers in order
+// (so retries replay the same sequence of failures), then keep getting the last one.
+export const createReplayPost = (archive) => {
+  const queues = new Map();
+  archive.exchanges.forEach(exchange => {
+    const key = getExchangeKey(exchange.endpoint, exchange.request);
+    queues.set(key, [...(queues.get(key) || []), exchange]);
+  });
+  const positions = new Map();
+
+  return async (endpoint, payload) => {
+    const key = getExchangeKey(endpoint.key, payload);
+    const queue = queues.get(key);
+    if (!queue) {
+      const names = (payload.matchingRequestDto || []).map(request => request.fullName).join(', ');
+      const error = new Error(`No recorded response from ${endpoint.label || endpoint.key} for ${names}`);
+      error.code = NOT_RECORDED;
+      throw error;
+    }
+
+    const position = positions.get(key) || 0;
+    positions.set(key, position + 1);
+    const exchange = queue[Math.min(position, queue.length - 1)];
+    if (exchange.error) {
+      throw toReplayError(exchange);
+    }
+    return { data: exchange.response, duration: exchange.duration, status: exchange.status };
+  };
+};
+
+export const isArchive = (value) => value?.format === ARCHIVE_FORMAT;
+
+// Parse archive JSON, rejecting other files and archives written by a newer version of the tool
+export const parseArchive = (text) => {
+  const archive = JSON.parse(text);
+  if (!isArchive(archive)) {
+    throw new Error('Not a response archive');
+  }
+  if (archive.version > ARCHIVE_VERSION) {
+    throw new Error(`Archive version ${archive.version} is newer than this tool supports`);
+  }
+  if (!Array.isArray(archive.versions) || !Array.isArray(archive.records) || !Array.isArray(archive.exchanges)) {
+    throw new Error('Response archive is incomplete');
+  }
+  return archive;
+};
+
+export const serializeArchive = (archive) => JSON.stringify(archive);
+
+export const getArchiveFileName = (archive) => (
+  `responses_${String(archive.source || 'run').replace(/\.[^.]+$/, '').replace(/[^A-Za-z0-9_.-]+/g, '_').toLowerCase()}_${archive.createdAt.slice(0, 10)}.json`
+);
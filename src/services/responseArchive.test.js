@@ -0,0 +1,75 @@
+import { createMatcher } from './comparisonCore';
+import {
+  NOT_RECORDED,
+  createArchive,
+  createRecordingPost,
+  createReplayPost,
+  parseArchive,
+  serializeArchive
+} from './responseArchive';
+
+const endpoints = [{ key: 'a', path: '/a' }, { key: 'b', path: '/b' }];
+const noRetries = () => ({ timeoutMs: 0, maxRetries: 0, baseDelayMs: 0, maxDelayMs: 0 });
+const onceRetry = () => ({ timeoutMs: 0, maxRetries: 1, baseDelayMs: 0, maxDelayMs: 0 });
+
+const hit = (id) => ({ rulesDetails: { sdnid: id } });
+
+const newArchive = () => createArchive({
+  source: 'names.xlsx',
+  versions: endpoints,
+  pairs: [],
+  records: [{ fullName: 'John Smith' }],
+  settings: { batchSize: 1, parallel: false }
+});
+
+test('replays recorded responses and timings without calling the network', async () => {
+  const archive = newArchive();
+  const live = jest.fn(async (endpoint) => ({ data: { responses: [hit(endpoint.key === 'a' ? '1' : '2')] }, duration: 42, status: 200 }));
+  const recorded = await createMatcher({ post: createRecordingPost(live, archive), getPolicy: noRetries }).processName('John Smith', endpoints);
+
+  expect(archive.exchanges.map(exchange => [exchange.endpoint, exchange.status])).toEqual([['a', 200], ['b', 200]]);
+
+  const replayed = await createMatcher({
+    post: createReplayPost(parseArchive(serializeArchive(archive))),
+    getPolicy: noRetries
+  }).processName('John Smith', endpoints);
+
+  expect(live).toHaveBeenCalledTimes(2);
+  expect(replayed.versions).toEqual(recorded.versions);
+  expect(replayed.versions.b._duration).toBe(42);
+});
+
+test('replays recorded failures in order, so retries behave as recorded', async () => {
+  const archive = newArchive();
+  let calls = 0;
+  const flaky = async () => {
+    calls++;
+    if (calls === 1) {
+      const error = new Error('Request failed with status code 503');
+      error.response = { status: 503, data: 'busy', headers: {} };
+      throw error;
+    }
+    return { data: { responses: [hit('1')] }, duration: 10 };
+  };
+  await createMatcher({ post: createRecordingPost(flaky, archive), getPolicy: onceRetry }).processName('John Smith', endpoints.slice(0, 1));
+
+  expect(archive.exchanges.map(exchange => exchange.status)).toEqual([503, 200]);
+
+  const replayed = await createMatcher({ post: createReplayPost(archive), getPolicy: onceRetry })
+    .processName('John Smith', endpoints.slice(0, 1));
+  expect(replayed.versions.a._attempts).toBe(2);
+});
+
+test('fails requests that were never recorded', async () => {
+  const replay = createReplayPost(newArchive());
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  await expect(createMatcher({ post: replay, getPolicy: noRetries }).processName('Jane Doe', endpoints))
+    .rejects.toMatchObject({ code: NOT_RECORDED, details: { attempts: 1 } });
+  console.error.mockRestore();
+});
+
+test('rejects files that are not response archives', () => {
+  expect(() => parseArchive('{"results": []}')).toThrow('Not a response archive');
+  expect(() => parseArchive(serializeArchive({ ...newArchive(), version: 99 }))).toThrow('newer');
+});
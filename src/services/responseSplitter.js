@@ -0,0 +1,62 @@
+// Splits a multi-record matcher response back into one response per request record
+
+// Fields on a response item that may carry the position of its request record
+const INDEX_FIELDS = ['requestIndex', 'recordIndex', 'index'];
+// Fields on a response item that may echo the name it was matched for
+const NAME_FIELDS = ['fullName', 'inputName', 'requestName', 'customerName'];
+
+const normalizeName = (name) => String(name ?? '').trim().toLowerCase();
+
+const findValue = (item, fields) => {
+  for (const source of [item, item?.rulesDetails]) {
+    for (const field of fields) {
+      if (source?.[field] !== undefined && source?.[field] !== null && source?.[field] !== '') {
+        return source[field];
+      }
+    }
+  }
+  return undefined;
+};
+
+// Returns one `{ ...data, responses }` object per request, in request order.
+// Throws when any hit can't be attributed to exactly one request, so callers can fall back
+// to single-name requests instead of reporting hits against the wrong name.
+export const splitBatchResponse = (data, requests) => {
+  if (requests.length === 1 && !Array.isArray(data)) {
+    return [data];
+  }
+
+  // Some deployments answer with one response object per record, in request order
+  if (Array.isArray(data)) {
+    if (data.length !== requests.length) {
+      throw new Error(`Expected ${requests.length} responses but received ${data.length}`);
+    }
+    return data;
+  }
+
+  const { responses = [], ...rest } = data || {};
+  const buckets = requests.map(() => []);
+
+  const nameIndexes = new Map();
+  requests.forEach((request, idx) => {
+    const name = normalizeName(request.fullName);
+    nameIndexes.set(name, nameIndexes.has(name) ? -1 : idx); // -1 marks a duplicated name
+  });
+
+  responses.forEach((item, itemIdx) => {
+    const index = Number(findValue(item, INDEX_FIELDS));
+    if (Number.isInteger(index) && index >= 0 && index < requests.length) {
+      buckets[index].push(item);
+      return;
+    }
+
+    const name = findValue(item, NAME_FIELDS);
+    const nameIndex = name === undefined ? undefined : nameIndexes.get(normalizeName(name));
+    if (nameIndex === undefined || nameIndex === -1) {
+      throw new Error(`Cannot attribute response item ${itemIdx} to a single request record`);
+    }
+    buckets[nameIndex].push(item);
+  });
+
+  return buckets.map(bucket => ({ ...rest, responses: bucket }));
+};
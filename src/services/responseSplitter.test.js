@@ -0,0 +1,28 @@
+import { splitBatchResponse } from './responseSplitter';
+
+const requests = [{ fullName: 'John Smith' }, { fullName: 'Ali Hassan' }];
+const hit = (sdnid, extra) => ({ ...extra, rulesDetails: { sdnid } });
+
+test('splits hits by request index or echoed name', () => {
+  const split = splitBatchResponse({
+    status: 'OK',
+    responses: [hit('1', { requestIndex: 1 }), hit('2', { fullName: 'john smith' })]
+  }, requests);
+
+  expect(split[0]).toEqual({ status: 'OK', responses: [hit('2', { fullName: 'john smith' })] });
+  expect(split[1].responses.map(item => item.rulesDetails.sdnid)).toEqual(['1']);
+});
+
+test('accepts one response object per record', () => {
+  const data = [{ responses: [] }, { responses: [hit('3')] }];
+  expect(splitBatchResponse(data, requests)).toBe(data);
+  expect(() => splitBatchResponse([data[0]], requests)).toThrow();
+});
+
+test('refuses to guess when a hit cannot be attributed', () => {
+  expect(() => splitBatchResponse({ responses: [hit('4')] }, requests)).toThrow();
+  expect(() => splitBatchResponse(
+    { responses: [hit('5', { fullName: 'Ali' })] },
+    [{ fullName: 'Ali' }, { fullName: 'ali' }]
+  )).toThrow();
+});
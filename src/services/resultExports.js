@@ -0,0 +1,286 @@
+// Text export formats for a run: raw JSON, flattened CSV, a standalone HTML report and JUnit XML.
+// Builders take `diffColumns` ({ label, getSdns(result) }) and `getStatus(result)` from the results
+// view so every format reports the same columns and statuses as the Excel export. The optional
+// `getTriage(result, sdn)` returns the triage verdict of a divergent hit, and `identity` is the match
+// identity the results were compared with, which hits are matched to the diff columns and verdicts by.
+
+import { getKeyedSdnHits, hasDifferences } from './sdnComparison';
+import { buildLatencySummaryRows } from './latencyStats';
+import { DEFAULT_MATCH_IDENTITY } from './matchIdentity';
+import { VERDICT_LABELS, describeTriage, getHitKey, isTriaged } from './triageStore';
+
+export const EXPORT_TYPES = {
+  JSON: { extension: 'json', mimeType: 'application/json' },
+  CSV: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  HTML: { extension: 'html', mimeType: 'text/html;charset=utf-8' },
+  JUNIT: { extension: 'xml', mimeType: 'application/xml;charset=utf-8' }
+};
+
+const isCompleted = (result) => !result.error && !result.notRun;
+
+const formatMs = (value) => (typeof value === 'number' ? value.toFixed(2) : '');
+
+const formatSdn = (sdn) => `${sdn.id || 'N/A'} - ${sdn.name || 'N/A'}`;
+
+const noTriage = () => null;
+
+// Key of the strictly fastest version for a result, if every version reported a duration
+export const getFastestVersion = (result, versions) => {
+  const timed = versions
+    .map(version => ({ key: version.key, duration: result.versions?.[version.key]?._duration }))
+    .filter(version => version.duration);
+  if (timed.length < 2 || timed.length !== versions.length) return null;
+
+  const fastest = timed.reduce((min, version) => (version.duration < min.duration ? version : min));
+  return timed.filter(version => version.duration === fastest.duration).length === 1 ? fastest.key : null;
+};
+
+export const summarizeResults = (results) => ({
+  total: results.length,
+  completed: results.filter(isCompleted).length,
+  errors: results.filter(result => result.error).length,
+  notRun: results.filter(result => result.notRun).length,
+  divergent: results.filter(result => isCompleted(result) && hasDifferences(result._sdnComparison)).length
+});
+
+// Field/value rows identifying a run: source, environment profile, versions, how hits were matched
+// and the filter applied to the export
+export const buildRunInfoRows = ({ meta, versions }) => [
+  ['Source', meta.fileName],
+  ['Run ID', meta.runId],
+  ['Profile', meta.profile?.name],
+  ['API Base URL', meta.profile?.apiBaseUrl],
+  ['Keycloak Realm', meta.profile?.realm],
+  ['Versions', versions.map(version => `${version.label} (${version.path})`).join(', ')],
+  ['Match Identity', meta.matchIdentity],
+  ['Filter', meta.filter],
+  ['Names Exported', meta.filter ? meta.exportedCount : null],
+  ['Exported', new Date().toISOString()]
+].filter(([, value]) => value !== undefined && value !== null && value !== '')
+  .map(([field, value]) => ({ 'Field': field, 'Value': value }));
+
+// Triaged divergent hits as { name, sdnId, hitKey, difference, verdict, note, reviewer, updatedAt },
+// where `hitKey` is the identity key the verdict is stored under
+const collectTriage = (results, diffColumns, getTriage) => {
+  return results.flatMap(result => diffColumns.flatMap(column => column.getSdns(result).map(sdn => {
+    const entry = getTriage(result, sdn);
+    return isTriaged(entry) ? {
+      name: result.name,
+      sdnId: sdn.id,
+      hitKey: getHitKey(sdn),
+      difference: column.label,
+      verdict: entry.verdict,
+      note: entry.note,
+      reviewer: entry.reviewer,
+      updatedAt: entry.updatedAt
+    } : null;
+  }).filter(Boolean)));
+};
+
+// Full raw results with the run configuration, for other tools to consume
+export const buildJsonExport = (results, { meta, versions, pairs, diffColumns = [], getTriage = noTriage }) => ({
+  ...meta,
+  exportedAt: new Date().toISOString(),
+  versions,
+  pairs,
+  summary: summarizeResults(results),
+  triage: collectTriage(results, diffColumns, getTriage),
+  results
+});
+
+// One row per name, version and SDN hit, with a Yes/blank flag per diff column and the hit's verdict
+export const buildCombinedRows = (results, {
+  meta,
+  versions,
+  diffColumns,
+  getStatus,
+  getTriage = noTriage,
+  identity = DEFAULT_MATCH_IDENTITY
+}) => {
+  return results.flatMap((result, idx) => {
+    const base = {
+      ...(meta?.profile ? { 'Profile': meta.profile.name } : {}),
+      '#': idx + 1,
+      'Name': result.name,
+      'Status': getStatus(result)
+    };
+    if (!isCompleted(result)) {
+      return [base];
+    }
+
+    const fastestVersion = getFastestVersion(result, versions);
+    const columnKeys = diffColumns.map(column => new Set(column.getSdns(result).map(getHitKey)));
+
+    return versions.flatMap(version => {
+      const versionData = result.versions?.[version.key];
+      const versionBase = {
+        ...base,
+        'API Version': version.label,
+        'Duration (ms)': formatMs(versionData?._duration),
+        'Fastest': fastestVersion === version.key ? 'Yes' : ''
+      };
+      const hits = getKeyedSdnHits(versionData, identity);
+      if (hits.length === 0) {
+        return [{ ...versionBase, 'SDN ID': 'No matches', 'SDN Name': '', 'Reference': '' }];
+      }
+      return hits.map(hit => {
+        const divergent = columnKeys.some(keys => keys.has(getHitKey(hit)));
+        const entry = divergent ? getTriage(result, hit) : null;
+        return {
+          ...versionBase,
+          'SDN ID': hit.id,
+          'SDN Name': hit.name,
+          'Reference': hit.reference,
+          ...Object.fromEntries(diffColumns.map((column, columnIdx) => [
+            column.label,
+            columnKeys[columnIdx].has(getHitKey(hit)) ? 'Yes' : ''
+          ])),
+          'Verdict': isTriaged(entry) ? VERDICT_LABELS[entry.verdict] : '',
+          'Triage Note': entry?.note || '',
+          'Reviewer': entry?.reviewer || ''
+        };
+      });
+    });
+  });
+};
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV text from row objects; the header is the union of keys in first-seen order
+export const toCsv = (rows) => {
+  const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  return [headers, ...rows.map(row => headers.map(header => row[header]))]
+    .map(cells => cells.map(escapeCsv).join(','))
+    .join('\r\n');
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// SDN text including field changes for hits both versions returned and the verdict, if any,
+// e.g. "123 - John Smith (score: 90 → 85) [Regression: dropped alias — J. Doe]"
+const describeSdn = (sdn, entry) => {
+  const text = sdn.fields
+    ? `${formatSdn(sdn)} (${sdn.fields.map(field => `${field.path}: ${field.a} → ${field.b}`).join('; ')})`
+    : formatSdn(sdn);
+  return isTriaged(entry) ? `${text} [${describeTriage(entry)}]` : text;
+};
+
+// Lines describing where a result's versions diverge, e.g. "Only in V2: 123 - John Smith"
+const describeDivergence = (result, diffColumns, getTriage) => {
+  return diffColumns.flatMap(column => column.getSdns(result).map(
+    sdn => `${column.label}: ${describeSdn(sdn, getTriage(result, sdn))}`
+  ));
+};
+
+const REPORT_STYLES = `
+  body { font-family: Arial, sans-serif; margin: 24px; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 24px; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+  th { background: #eee; }
+  .error { background: #ffebee; }
+  ul { margin: 0; padding-left: 18px; }
+`;
+
+const renderTable = (headers, rows) => `
+  <table>
+    <thead><tr>${headers.map(header => `<th>${escapeXml(header)}</th>`).join('')}</tr></thead>
+    <tbody>${rows.join('')}</tbody>
+  </table>`;
+
+// Self-contained HTML report (inline styles, no scripts) with summary, latency stats and discrepancies
+export const buildHtmlReport = (results, { meta, versions, diffColumns, getStatus, getTriage = noTriage }) => {
+  const summary = summarizeResults(results);
+  const latencyRows = buildLatencySummaryRows(results, versions);
+  const latencyHeaders = Object.keys(latencyRows[0] || { Version: '' });
+  const divergent = results.filter(result => isCompleted(result) && hasDifferences(result._sdnComparison));
+  const failed = results.filter(result => !isCompleted(result));
+
+  const metaRows = buildRunInfoRows({ meta, versions })
+    .map(row => `<tr><th>${escapeXml(row.Field)}</th><td>${escapeXml(row.Value)}</td></tr>`);
+
+  const summaryRows = [
+    ['Names', summary.total],
+    ['Completed', summary.completed],
+    ['With discrepancies', summary.divergent],
+    ['Errors', summary.errors],
+    ['Not run', summary.notRun]
+  ].map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Name Matching Comparison Report</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+  <h1>Name Matching Comparison Report</h1>
+  <table>${metaRows.join('')}</table>
+
+  <h2>Summary</h2>
+  <table>${summaryRows.join('')}</table>
+
+  <h2>Latency</h2>
+  ${renderTable(latencyHeaders, latencyRows.map(row => `<tr>${latencyHeaders.map(header => `<td>${escapeXml(row[header])}</td>`).join('')}</tr>`))}
+
+  <h2>Discrepancies (${divergent.length})</h2>
+  ${divergent.length === 0 ? '<p>No discrepancies between the compared versions.</p>' : renderTable(
+    ['Name', ...diffColumns.map(column => column.label)],
+    divergent.map(result => `<tr><td>${escapeXml(result.name)}</td>${diffColumns.map(column => {
+      const sdns = column.getSdns(result);
+      return `<td>${sdns.length ? `<ul>${sdns.map(sdn => `<li>${escapeXml(describeSdn(sdn, getTriage(result, sdn)))}</li>`).join('')}</ul>` : ''}</td>`;
+    }).join('')}</tr>`)
+  )}
+
+  ${failed.length === 0 ? '' : `<h2>Errors and Skipped Names (${failed.length})</h2>
+  ${renderTable(['Name', 'Status'], failed.map(result => `<tr class="error"><td>${escapeXml(result.name)}</td><td>${escapeXml(getStatus(result))}</td></tr>`))}`}
+</body>
+</html>
+`;
+};
+
+// JUnit XML: one test case per name, failing when the compared versions diverge,
+// erroring when the name could not be screened and skipped when it was not run
+export const buildJUnitXml = (results, { meta, versions, diffColumns, getStatus, getTriage = noTriage }) => {
+  const summary = summarizeResults(results);
+  const suiteName = `namecheck ${versions.map(version => version.label).join(' vs ')}`;
+  const className = `namecheck.${versions.map(version => version.label).join('_').replace(/[^A-Za-z0-9_]+/g, '_')}`;
+  const seconds = (ms) => (typeof ms === 'number' ? (ms / 1000).toFixed(3) : '0');
+  const totalTime = results.reduce((sum, result) => sum + (result._totalDuration || 0), 0);
+
+  const testCases = results.map(result => {
+    const attributes = `name="${escapeXml(result.name)}" classname="${escapeXml(className)}" time="${seconds(result._totalDuration)}"`;
+    if (result.notRun) {
+      return `    <testcase ${attributes}>\n      <skipped message="Not run"/>\n    </testcase>`;
+    }
+    if (result.error) {
+      return `    <testcase ${attributes}>\n      <error message="${escapeXml(getStatus(result))}"/>\n    </testcase>`;
+    }
+    const divergence = describeDivergence(result, diffColumns, getTriage);
+    if (divergence.length > 0) {
+      return `    <testcase ${attributes}>\n      <failure message="Versions diverge on ${divergence.length} SDN hit${divergence.length === 1 ? '' : 's'}">${escapeXml(divergence.join('\n'))}</failure>\n    </testcase>`;
+    }
+    return `    <testcase ${attributes}/>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(suiteName)}" tests="${summary.total}" failures="${summary.divergent}" errors="${summary.errors}" time="${seconds(totalTime)}">`,
+    `  <testsuite name="${escapeXml(suiteName)}" tests="${summary.total}" failures="${summary.divergent}" errors="${summary.errors}" skipped="${summary.notRun}" time="${seconds(totalTime)}" timestamp="${new Date().toISOString()}">`,
+    '    <properties>',
+    ...buildRunInfoRows({ meta, versions }).map(row => `      <property name="${escapeXml(row.Field)}" value="${escapeXml(row.Value)}"/>`),
+    '    </properties>',
+    ...testCases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+};
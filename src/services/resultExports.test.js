@@ -0,0 +1,106 @@
+import { buildCombinedRows, buildHtmlReport, buildJUnitXml, buildJsonExport, getFastestVersion, toCsv } from './resultExports';
+import { compareVersions } from './sdnComparison';
+import { MATCH_STRATEGIES } from './matchIdentity';
+import { findTriage, getHitKey, getTriageKey } from './triageStore';
+
+const versions = [{ key: 'a', label: 'V2', path: 'v2' }, { key: 'b', label: 'V4', path: 'v4' }];
+
+const hit = (id) => ({ rulesDetails: { sdnid: id, sdnname: `Name ${id}` } });
+
+const results = [
+  {
+    name: 'John <Smith>',
+    versions: { a: { responses: [hit('1'), hit('2')], _duration: 20 }, b: { responses: [hit('2')], _duration: 10 } },
+    _totalDuration: 30,
+    _sdnComparison: { 'a|b': { onlyInA: [{ id: '1', name: 'Name 1' }], onlyInB: [], changed: [] } }
+  },
+  {
+    name: 'Jane Doe',
+    versions: { a: { responses: [], _duration: 5 }, b: { responses: [], _duration: 6 } },
+    _totalDuration: 11,
+    _sdnComparison: { 'a|b': { onlyInA: [], onlyInB: [], changed: [] } }
+  },
+  { name: 'Failed Name', error: 'Request failed' },
+  { name: 'Skipped Name', notRun: true }
+];
+
+const options = {
+  meta: { fileName: 'names.csv' },
+  versions,
+  diffColumns: [{ label: 'Only in V2', getSdns: (result) => result._sdnComparison?.['a|b']?.onlyInA || [] }],
+  getStatus: (result) => (result.notRun ? 'Not run' : result.error || 'OK')
+};
+
+test('flattens results into one CSV row per name, version and hit', () => {
+  const rows = buildCombinedRows(results, options);
+
+  expect(rows).toHaveLength(7);
+  expect(rows[0]).toMatchObject({ 'Name': 'John <Smith>', 'API Version': 'V2', 'SDN ID': '1', 'Only in V2': 'Yes', 'Fastest': '' });
+  expect(rows[2]).toMatchObject({ 'API Version': 'V4', 'SDN ID': '2', 'Fastest': 'Yes' });
+  expect(rows[3]).toMatchObject({ 'Name': 'Jane Doe', 'SDN ID': 'No matches' });
+  expect(getFastestVersion(results[0], versions)).toBe('b');
+  expect(toCsv([{ a: 'x,y', b: 'say "hi"' }])).toBe('a,b\r\n"x,y","say ""hi"""');
+});
+
+test('writes a JUnit test case per name with failures, errors and skips', () => {
+  const xml = buildJUnitXml(results, options);
+
+  expect(xml).toContain('tests="4" failures="1" errors="1" skipped="1"');
+  expect(xml).toContain('<testcase name="John &lt;Smith&gt;" classname="namecheck.V2_V4" time="0.030">');
+  expect(xml).toContain('Only in V2: 1 - Name 1</failure>');
+  expect(xml).toContain('<testcase name="Jane Doe" classname="namecheck.V2_V4" time="0.011"/>');
+  expect(xml).toContain('<error message="Request failed"/>');
+});
+
+test('builds an escaped standalone HTML report', () => {
+  const html = buildHtmlReport(results, options);
+
+  expect(html).toContain('<h2>Discrepancies (1)</h2>');
+  expect(html).toContain('<td>John &lt;Smith&gt;</td>');
+  expect(html).not.toContain('<script');
+});
+
+test('includes triage verdicts of divergent hits', () => {
+  const entry = { verdict: 'regression', note: 'dropped alias', reviewer: 'Sam', updatedAt: '2024-01-01T00:00:00.000Z' };
+  const triaged = { ...options, getTriage: (result, sdn) => (sdn.id === '1' ? entry : null) };
+
+  expect(buildCombinedRows(results, triaged)[0]).toMatchObject({ 'Verdict': 'Regression', 'Triage Note': 'dropped alias', 'Reviewer': 'Sam' });
+  expect(buildCombinedRows(results, triaged)[1]).toMatchObject({ 'SDN ID': '2', 'Verdict': '' });
+  expect(buildJUnitXml(results, triaged)).toContain('Only in V2: 1 - Name 1 [Regression: dropped alias — Sam]</failure>');
+  expect(buildJsonExport(results, triaged).triage).toEqual([
+    { name: 'John <Smith>', sdnId: '1', hitKey: '1', difference: 'Only in V2', verdict: 'regression', note: 'dropped alias', reviewer: 'Sam', updatedAt: entry.updatedAt }
+  ]);
+});
+
+test('matches hits to diff columns and verdicts by the selected match identity', () => {
+  const identity = { strategy: MATCH_STRATEGIES.REFERENCE_ID, fields: [] };
+  const refHit = (id, reference, score) => ({ rulesDetails: { sdnid: id, sdnname: `Name ${id}`, sanctionReferenceName: reference, score } });
+  const pairs = [{ a: 'a', b: 'b', key: 'a|b' }];
+  const versionData = { a: { responses: [refHit('1', 'SDGT', 90), refHit('2', 'SDGT', 80)] }, b: { responses: [refHit('1', 'SDGT', 85)] } };
+  const result = { name: 'John Smith', versions: versionData, _sdnComparison: compareVersions(versionData, pairs, { identity }) };
+
+  const entries = {
+    [getTriageKey('John Smith', JSON.stringify(['sdgt', '1']))]: { verdict: 'expected_improvement', note: 'rescored', reviewer: 'Sam' },
+    [getTriageKey('John Smith', JSON.stringify(['sdgt', '2']))]: { verdict: 'regression', note: 'dropped', reviewer: 'Sam' }
+  };
+  const keyed = {
+    ...options,
+    diffColumns: [
+      { label: 'Only in V2', getSdns: (item) => item._sdnComparison['a|b'].onlyInA },
+      { label: 'Changed', getSdns: (item) => item._sdnComparison['a|b'].changed }
+    ],
+    getTriage: (item, sdn) => findTriage(entries, item.name, getHitKey(sdn)),
+    identity
+  };
+
+  const rows = buildCombinedRows([result], keyed);
+  expect(rows.map(row => [row['API Version'], row['SDN ID'], row['Only in V2'], row['Changed'], row['Verdict']])).toEqual([
+    ['V2', '1', '', 'Yes', 'Expected improvement'],
+    ['V2', '2', 'Yes', '', 'Regression'],
+    ['V4', '1', '', 'Yes', 'Expected improvement']
+  ]);
+  expect(buildJsonExport([result], keyed).triage.map(item => [item.sdnId, item.hitKey, item.difference, item.verdict])).toEqual([
+    ['2', '["sdgt","2"]', 'Only in V2', 'regression'],
+    ['1', '["sdgt","1"]', 'Changed', 'expected_improvement']
+  ]);
+});
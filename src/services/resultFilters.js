@@ -0,0 +1,144 @@
+// Search, filter and sort of the results tables. The same query narrows the exports, so what is
+// exported is exactly the subset on screen.
+
+import { getSdnHits, hasDifferences } from './sdnComparison';
+import { getFastestVersion } from './resultExports';
+
+export const RESULT_FILTERS = {
+  ERRORS: 'errors',
+  NO_MATCHES: 'noMatches',
+  DIVERGENT: 'divergent'
+};
+
+// Faster-version filters carry the version key, e.g. "faster:v2"
+const FASTER_PREFIX = 'faster:';
+
+export const getFasterFilter = (versionKey) => `${FASTER_PREFIX}${versionKey}`;
+
+export const SORT_FIELDS = {
+  INPUT: 'input',
+  DURATION: 'duration',
+  HITS: 'hits',
+  DIVERGENCE: 'divergence'
+};
+
+export const SORT_LABELS = {
+  [SORT_FIELDS.INPUT]: 'Input order',
+  [SORT_FIELDS.DURATION]: 'Duration',
+  [SORT_FIELDS.HITS]: 'Hit count',
+  [SORT_FIELDS.DIVERGENCE]: 'Divergence size'
+};
+
+export const DEFAULT_RESULT_QUERY = {
+  name: '',
+  sdn: '',
+  filters: [],
+  sort: SORT_FIELDS.INPUT,
+  descending: true
+};
+
+const isCompleted = (result) => !result.error && !result.notRun;
+
+const getAllHits = (result) => Object.values(result.versions || {}).flatMap(getSdnHits);
+
+const countDivergence = (result, diffColumns) => (
+  diffColumns.reduce((count, column) => count + column.getSdns(result).length, 0)
+);
+
+export const getFilterLabel = (filter, versions) => {
+  if (filter === RESULT_FILTERS.ERRORS) return 'Errors only';
+  if (filter === RESULT_FILTERS.NO_MATCHES) return 'No matches';
+  if (filter === RESULT_FILTERS.DIVERGENT) return 'Divergent only';
+  const key = filter.slice(FASTER_PREFIX.length);
+  return `${versions.find(version => version.key === key)?.label || key} faster`;
+};
+
+const matchesFilter = (result, filter, versions) => {
+  switch (filter) {
+    case RESULT_FILTERS.ERRORS:
+      return Boolean(result.error);
+    case RESULT_FILTERS.NO_MATCHES:
+      return isCompleted(result) && getAllHits(result).length === 0;
+    case RESULT_FILTERS.DIVERGENT:
+      return isCompleted(result) && hasDifferences(result._sdnComparison);
+    default:
+      return filter.startsWith(FASTER_PREFIX)
+        && isCompleted(result)
+        && getFastestVersion(result, versions) === filter.slice(FASTER_PREFIX.length);
+  }
+};
+
+const getSortValue = (result, sort, diffColumns) => {
+  switch (sort) {
+    case SORT_FIELDS.DURATION:
+      return result._totalDuration || 0;
+    case SORT_FIELDS.HITS:
+      return getAllHits(result).length;
+    case SORT_FIELDS.DIVERGENCE:
+      return countDivergence(result, diffColumns);
+    default:
+      return 0;
+  }
+};
+
+export const isQueryActive = (query) => Boolean(
+  query.name.trim() || query.sdn.trim() || query.filters.length > 0 || query.sort !== SORT_FIELDS.INPUT
+);
+
+// Query runner for one query: returns the results matching every part of it (searches are
+// case-insensitive substrings), in the requested order. Ties and input order keep the order of `results`.
+// Each result is matched and scored once per runner, so re-running it as results stream in only
+// evaluates the new ones.
+export const createResultQuery = (query, { versions, diffColumns }) => {
+  const name = query.name.trim().toLowerCase();
+  const sdn = query.sdn.trim().toLowerCase();
+  const matches = new WeakMap();
+  const sortValues = new WeakMap();
+
+  const isMatch = (result) => {
+    if (!matches.has(result)) {
+      matches.set(result, (!name || String(result.name ?? '').toLowerCase().includes(name))
+        && (!sdn || getAllHits(result).some(hit => (
+          String(hit.id).toLowerCase().includes(sdn) || String(hit.name).toLowerCase().includes(sdn)
+        )))
+        && query.filters.every(filter => matchesFilter(result, filter, versions)));
+    }
+    return matches.get(result);
+  };
+
+  const getCachedSortValue = (result) => {
+    if (!sortValues.has(result)) {
+      sortValues.set(result, getSortValue(result, query.sort, diffColumns));
+    }
+    return sortValues.get(result);
+  };
+
+  return (results) => {
+    const matched = isQueryActive(query) ? results.filter(isMatch) : results;
+    if (query.sort === SORT_FIELDS.INPUT) return matched;
+
+    const direction = query.descending ? -1 : 1;
+    return matched
+      .map(result => ({ result, value: getCachedSortValue(result) }))
+      .sort((a, b) => (a.value - b.value) * direction)
+      .map(item => item.result);
+  };
+};
+
+export const applyResultQuery = (results, query, context) => createResultQuery(query, context)(results);
+
+// Chips describing the active parts of a query; `remove` is the query without that part
+export const describeQuery = (query, versions) => [
+  ...(query.name.trim() ? [{ key: 'name', label: `Name: ${query.name.trim()}`, remove: { ...query, name: '' } }] : []),
+  ...(query.sdn.trim() ? [{ key: 'sdn', label: `SDN: ${query.sdn.trim()}`, remove: { ...query, sdn: '' } }] : []),
+  ...query.filters.map(filter => ({
+    key: filter,
+    label: getFilterLabel(filter, versions),
+    remove: { ...query, filters: query.filters.filter(item => item !== filter) }
+  })),
+  ...(query.sort !== SORT_FIELDS.INPUT ? [{
+    key: 'sort',
+    label: `Sorted by ${SORT_LABELS[query.sort].toLowerCase()} (${query.descending ? 'high to low' : 'low to high'})`,
+    remove: { ...query, sort: SORT_FIELDS.INPUT, descending: true }
+  }] : [])
+];
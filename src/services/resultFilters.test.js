@@ -0,0 +1,90 @@
+import {
+  DEFAULT_RESULT_QUERY,
+  RESULT_FILTERS,
+  SORT_FIELDS,
+  applyResultQuery,
+  createResultQuery,
+  describeQuery,
+  getFasterFilter
+} from './resultFilters';
+
+const versions = [{ key: 'a', label: 'V2' }, { key: 'b', label: 'V4' }];
+
+const hit = (id, name) => ({ rulesDetails: { sdnid: id, sdnname: name } });
+
+const diffColumns = [
+  { label: 'Only in V2', getSdns: (result) => result._sdnComparison?.['a|b']?.onlyInA || [] },
+  { label: 'Only in V4', getSdns: (result) => result._sdnComparison?.['a|b']?.onlyInB || [] }
+];
+
+const noDiff = { 'a|b': { onlyInA: [], onlyInB: [], changed: [] } };
+
+const results = [
+  {
+    _index: 0,
+    name: 'John Smith',
+    _totalDuration: 40,
+    versions: { a: { responses: [hit('1', 'SMITH, John'), hit('2', 'SMITH, J')], _duration: 30 }, b: { responses: [hit('2', 'SMITH, J')], _duration: 10 } },
+    _sdnComparison: { 'a|b': { onlyInA: [{ id: '1' }], onlyInB: [], changed: [] } }
+  },
+  {
+    _index: 1,
+    name: 'Jane Doe',
+    _totalDuration: 15,
+    versions: { a: { responses: [], _duration: 5 }, b: { responses: [], _duration: 10 } },
+    _sdnComparison: noDiff
+  },
+  { _index: 2, name: 'Broken Name', error: 'Request failed' },
+  {
+    _index: 3,
+    name: 'Ali Smith',
+    _totalDuration: 90,
+    versions: { a: { responses: [hit('7', 'ALI')], _duration: 45 }, b: { responses: [hit('7', 'ALI')], _duration: 45 } },
+    _sdnComparison: noDiff
+  }
+];
+
+const names = (items) => items.map(result => result.name);
+
+const run = (query) => names(applyResultQuery(results, { ...DEFAULT_RESULT_QUERY, ...query }, { versions, diffColumns }));
+
+test('searches names and SDN hits case-insensitively', () => {
+  expect(run({})).toEqual(['John Smith', 'Jane Doe', 'Broken Name', 'Ali Smith']);
+  expect(run({ name: 'smith' })).toEqual(['John Smith', 'Ali Smith']);
+  expect(run({ sdn: 'smith, j' })).toEqual(['John Smith']);
+  expect(run({ sdn: '7' })).toEqual(['Ali Smith']);
+});
+
+test('combines filters', () => {
+  expect(run({ filters: [RESULT_FILTERS.ERRORS] })).toEqual(['Broken Name']);
+  expect(run({ filters: [RESULT_FILTERS.NO_MATCHES] })).toEqual(['Jane Doe']);
+  expect(run({ filters: [RESULT_FILTERS.DIVERGENT] })).toEqual(['John Smith']);
+  expect(run({ filters: [getFasterFilter('b')] })).toEqual(['John Smith']);
+  expect(run({ filters: [getFasterFilter('a'), RESULT_FILTERS.NO_MATCHES] })).toEqual(['Jane Doe']);
+  expect(run({ name: 'smith', filters: [RESULT_FILTERS.DIVERGENT] })).toEqual(['John Smith']);
+});
+
+test('sorts by duration, hit count and divergence size', () => {
+  expect(run({ sort: SORT_FIELDS.DURATION })).toEqual(['Ali Smith', 'John Smith', 'Jane Doe', 'Broken Name']);
+  expect(run({ sort: SORT_FIELDS.DURATION, descending: false })).toEqual(['Broken Name', 'Jane Doe', 'John Smith', 'Ali Smith']);
+  expect(run({ sort: SORT_FIELDS.HITS })).toEqual(['John Smith', 'Ali Smith', 'Jane Doe', 'Broken Name']);
+  expect(run({ sort: SORT_FIELDS.DIVERGENCE })[0]).toBe('John Smith');
+});
+
+test('describes the active query as removable chips', () => {
+  const query = { ...DEFAULT_RESULT_QUERY, name: ' smith ', filters: [getFasterFilter('b')], sort: SORT_FIELDS.HITS };
+  const chips = describeQuery(query, versions);
+
+  expect(chips.map(chip => chip.label)).toEqual(['Name: smith', 'V4 faster', 'Sorted by hit count (high to low)']);
+  expect(chips[1].remove.filters).toEqual([]);
+  expect(describeQuery(DEFAULT_RESULT_QUERY, versions)).toEqual([]);
+});
+
+test('matches each result once per query as results stream in', () => {
+  const runQuery = createResultQuery({ ...DEFAULT_RESULT_QUERY, name: 'a' }, { versions, diffColumns });
+  const first = runQuery(results);
+  const streamed = { ...results[0], name: 'Zara Ali', _index: 99 };
+
+  expect(runQuery([...results, streamed])).toEqual([...first, streamed]);
+  expect(runQuery(results)).toEqual(first);
+});
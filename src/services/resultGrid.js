@@ -0,0 +1,105 @@
+// View data and windowing math for the virtualized results grid.
+// Each result's comparison data (fastest version, SDN rows per version, changed hits) is computed once
+// and cached per result object, so streaming more results in doesn't redo the earlier ones.
+
+import { getFastestVersion } from './resultExports';
+import { DEFAULT_MATCH_IDENTITY, getIdentityKey } from './matchIdentity';
+
+// Approximate rendered heights in px, used until a group has been measured
+const ROW_HEIGHT = 53;
+const DIFF_LINE_HEIGHT = 24;
+const TRIAGE_SDN_HEIGHT = 72;
+
+const getDiffLists = (result) => Object.values(result._sdnComparison || {})
+  .flatMap(comparison => [comparison.onlyInA || [], comparison.onlyInB || [], comparison.changed || []]);
+
+// Grouped rows of one result: one group per version with its SDN hits (or a "No matches" row).
+// Hits are flagged as changed by the match identity the result was compared with.
+export const buildResultView = (result, versions, identity = DEFAULT_MATCH_IDENTITY) => {
+  const changedKeys = new Set(Object.values(result._sdnComparison || {}).flatMap(
+    comparison => (comparison.changed || []).map(hit => hit.key ?? hit.id)
+  ));
+
+  const groups = result.error || result.notRun ? [] : versions
+    .filter(version => result.versions?.[version.key])
+    .map(version => {
+      const versionData = result.versions[version.key];
+      return {
+        key: version.key,
+        label: version.label,
+        duration: versionData._duration,
+        hits: (versionData.responses || []).map(item => ({
+          id: item.rulesDetails?.sdnid || 'N/A',
+          name: item.rulesDetails?.sdnname || 'N/A',
+          changed: changedKeys.has(getIdentityKey(item, identity))
+        }))
+      };
+    });
+
+  const diffLists = getDiffLists(result);
+  const rowCount = groups.reduce((count, group) => count + Math.max(1, group.hits.length), 0);
+  const diffLines = Math.max(0, ...diffLists.map(sdns => sdns.reduce((lines, sdn) => lines + (sdn.fields ? 2 : 1), 0)));
+  const divergentHits = Math.max(0, ...diffLists.map(sdns => sdns.length));
+
+  return {
+    key: result.id ?? `result-${result._index}`,
+    result,
+    fastestVersion: groups.length ? getFastestVersion(result, versions) : null,
+    groups,
+    rowCount,
+    heights: {
+      combined: result.error || result.notRun
+        ? ROW_HEIGHT * 1.5
+        : Math.max(rowCount * ROW_HEIGHT, diffLines * DIFF_LINE_HEIGHT + 32),
+      onlyIn: Math.max(ROW_HEIGHT, divergentHits * TRIAGE_SDN_HEIGHT + 32)
+    }
+  };
+};
+
+// Returns a lookup that builds views for one version list, reusing the view of a result object seen before
+export const createResultViewCache = (versions, identity) => {
+  const cache = new WeakMap();
+  return (result) => {
+    if (!cache.has(result)) {
+      cache.set(result, buildResultView(result, versions, identity));
+    }
+    return cache.get(result);
+  };
+};
+
+export const estimateCombinedHeight = (view) => view.heights.combined;
+
+export const estimateOnlyInHeight = (view) => view.heights.onlyIn;
+
+// Start offset of every item plus the total height as the last entry
+export const computeOffsets = (heights) => {
+  const offsets = new Float64Array(heights.length + 1);
+  for (let i = 0; i < heights.length; i++) {
+    offsets[i + 1] = offsets[i] + heights[i];
+  }
+  return offsets;
+};
+
+// Index of the first item ending after `position`
+const findItemAt = (offsets, position) => {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (offsets[mid + 1] <= position) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+// Items overlapping [top, bottom) as a half-open index range { start, end }
+export const findVisibleRange = (offsets, top, bottom) => {
+  const count = offsets.length - 1;
+  if (count <= 0) return { start: 0, end: 0 };
+  const start = Math.min(findItemAt(offsets, Math.max(0, top)), count - 1);
+  const end = Math.max(start + 1, Math.min(count, findItemAt(offsets, bottom) + 1));
+  return { start, end };
+};
@@ -0,0 +1,54 @@
+import { buildResultView, computeOffsets, createResultViewCache, findVisibleRange } from './resultGrid';
+
+const versions = [{ key: 'a', label: 'V2' }, { key: 'b', label: 'V4' }];
+
+const hit = (id) => ({ rulesDetails: { sdnid: id, sdnname: `Name ${id}` } });
+
+test('groups hits per version and flags changed hits', () => {
+  const result = {
+    id: 'r1',
+    name: 'John Smith',
+    versions: { a: { responses: [hit('1'), hit('2')], _duration: 20 }, b: { responses: [], _duration: 10 } },
+    _sdnComparison: { 'a|b': { onlyInA: [{ id: '1' }, { id: '2' }], onlyInB: [], changed: [{ id: '2', fields: [] }] } }
+  };
+
+  const view = buildResultView(result, versions);
+  expect(view.key).toBe('r1');
+  expect(view.fastestVersion).toBe('b');
+  expect(view.rowCount).toBe(3);
+  expect(view.groups.map(group => [group.label, group.hits.map(item => `${item.id}${item.changed ? '*' : ''}`)])).toEqual([
+    ['V2', ['1', '2*']],
+    ['V4', []]
+  ]);
+  expect(buildResultView({ id: 'r2', name: 'Failed', error: 'Boom' }, versions).groups).toEqual([]);
+});
+
+test('reuses views of results it has already seen', () => {
+  const getView = createResultViewCache(versions);
+  const result = { id: 'r1', versions: {} };
+  expect(getView(result)).toBe(getView(result));
+  expect(getView({ ...result })).not.toBe(getView(result));
+});
+
+test('finds the items overlapping a scroll window', () => {
+  const offsets = computeOffsets([100, 50, 200, 100]);
+  expect(Array.from(offsets)).toEqual([0, 100, 150, 350, 450]);
+
+  expect(findVisibleRange(offsets, 0, 120)).toEqual({ start: 0, end: 2 });
+  expect(findVisibleRange(offsets, 160, 200)).toEqual({ start: 2, end: 3 });
+  expect(findVisibleRange(offsets, -500, 5000)).toEqual({ start: 0, end: 4 });
+  expect(findVisibleRange(offsets, 1000, 2000)).toEqual({ start: 3, end: 4 });
+  expect(findVisibleRange(computeOffsets([]), 0, 100)).toEqual({ start: 0, end: 0 });
+});
+
+test('flags changed hits by the match identity the result was compared with', () => {
+  const byName = { strategy: 'name', fields: [] };
+  const result = {
+    name: 'John Smith',
+    versions: { a: { responses: [hit('1')] }, b: { responses: [{ rulesDetails: { sdnid: '9', sdnname: 'Name 1' } }] } },
+    _sdnComparison: { 'a|b': { onlyInA: [], onlyInB: [], changed: [{ id: '1', key: 'name 1', fields: [] }] } }
+  };
+
+  const view = buildResultView(result, versions, byName);
+  expect(view.groups.map(group => group.hits.map(item => item.changed))).toEqual([[true], [true]]);
+});
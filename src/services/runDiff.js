@@ -0,0 +1,83 @@
+// Per-name regression diff between two saved runs for the same matcher version
+
+import { compareSdnData, getIdentityHits } from './sdnComparison';
+import { DEFAULT_MATCH_IDENTITY } from './matchIdentity';
+
+export const DIFF_STATUS = {
+  CHANGED: 'changed',
+  UNCHANGED: 'unchanged',
+  ONLY_IN_BASELINE: 'only in baseline',
+  ONLY_IN_TARGET: 'only in target',
+  ERROR: 'error'
+};
+
+const normalizeName = (name) => String(name ?? '').trim().toLowerCase();
+
+// Key results by name; repeated names are paired up by occurrence ("name#2")
+const indexByName = (results) => {
+  const counts = {};
+  const index = new Map();
+  results.forEach(result => {
+    const name = normalizeName(result.name);
+    counts[name] = (counts[name] || 0) + 1;
+    index.set(`${name}#${counts[name]}`, result);
+  });
+  return index;
+};
+
+// Versions that both runs called, keyed by endpoint key
+export const getCommonVersions = (baselineRun, targetRun) => {
+  return baselineRun.versions.filter(version => (
+    targetRun.versions.some(other => other.key === version.key)
+  ));
+};
+
+const isUsable = (result, versionKey) => result && !result.error && !result.notRun && result.versions?.[versionKey];
+
+// Diff every name present in either run. Rows follow baseline order, then names only in the target.
+// Hits are the same across runs when their `identity` keys match, as in the version comparison.
+export const diffRuns = (baselineResults, targetResults, versionKey, { identity = DEFAULT_MATCH_IDENTITY } = {}) => {
+  const baseline = indexByName(baselineResults);
+  const target = indexByName(targetResults);
+  const keys = [...baseline.keys(), ...[...target.keys()].filter(key => !baseline.has(key))];
+
+  return keys.map(key => {
+    const base = baseline.get(key);
+    const next = target.get(key);
+    const name = (base || next).name;
+
+    if (!base || !next) {
+      return { name, status: base ? DIFF_STATUS.ONLY_IN_BASELINE : DIFF_STATUS.ONLY_IN_TARGET, added: [], removed: [], unchanged: [] };
+    }
+
+    if (!isUsable(base, versionKey) || !isUsable(next, versionKey)) {
+      return { name, status: DIFF_STATUS.ERROR, added: [], removed: [], unchanged: [] };
+    }
+
+    const baseData = base.versions[versionKey];
+    const nextData = next.versions[versionKey];
+    const { onlyInA: removed, onlyInB: added } = compareSdnData(baseData, nextData, { identity });
+    const removedKeys = new Set(removed.map(hit => hit.key));
+    const unchanged = getIdentityHits(baseData, identity).filter(hit => !removedKeys.has(hit.key));
+
+    return {
+      name,
+      status: added.length || removed.length ? DIFF_STATUS.CHANGED : DIFF_STATUS.UNCHANGED,
+      added,
+      removed,
+      unchanged,
+      baselineDuration: baseData._duration,
+      targetDuration: nextData._duration,
+      durationDelta: baseData._duration != null && nextData._duration != null ? nextData._duration - baseData._duration : null
+    };
+  });
+};
+
+export const summarizeRunDiff = (rows) => {
+  return rows.reduce((summary, row) => {
+    summary[row.status] = (summary[row.status] || 0) + 1;
+    summary.added += row.added.length;
+    summary.removed += row.removed.length;
+    return summary;
+  }, { added: 0, removed: 0 });
+};
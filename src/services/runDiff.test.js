@@ -0,0 +1,84 @@
+import { DIFF_STATUS, diffRuns, getCommonVersions, summarizeRunDiff } from './runDiff';
+
+const hit = (id) => ({ rulesDetails: { sdnid: id, sdnname: `SDN ${id}` } });
+
+const result = (name, ids, duration = 100) => ({
+  name,
+  versions: { v2: { responses: ids.map(hit), _duration: duration } }
+});
+
+test('classifies added, removed and unchanged hits per name', () => {
+  const [row] = diffRuns([result('Jane Doe', ['1', '2'], 120)], [result('jane doe ', ['2', '3'], 90)], 'v2');
+
+  expect(row.status).toBe(DIFF_STATUS.CHANGED);
+  expect(row.added.map(sdn => sdn.id)).toEqual(['3']);
+  expect(row.removed.map(sdn => sdn.id)).toEqual(['1']);
+  expect(row.unchanged.map(sdn => sdn.id)).toEqual(['2']);
+  expect(row.durationDelta).toBe(-30);
+});
+
+test('lists each unchanged hit once and keeps 0 ms durations', () => {
+  const [row] = diffRuns([result('Jane Doe', ['1', '1'], 0)], [result('Jane Doe', ['1'], 15)], 'v2');
+
+  expect(row.status).toBe(DIFF_STATUS.UNCHANGED);
+  expect(row.unchanged.map(sdn => sdn.id)).toEqual(['1']);
+  expect(row.durationDelta).toBe(15);
+});
+
+test('pairs repeated names by occurrence', () => {
+  const rows = diffRuns(
+    [result('Ali Khan', ['1']), result('Ali Khan', ['2'])],
+    [result('Ali Khan', ['1']), result('Ali Khan', ['3'])],
+    'v2'
+  );
+
+  expect(rows.map(row => row.status)).toEqual([DIFF_STATUS.UNCHANGED, DIFF_STATUS.CHANGED]);
+  expect(rows[1].added.map(sdn => sdn.id)).toEqual(['3']);
+});
+
+test('reports names missing from one run and names that failed in either', () => {
+  const rows = diffRuns(
+    [result('Jane Doe', []), { name: 'John Smith', error: 'timeout' }],
+    [{ name: 'John Smith', versions: {} }, result('Jane Doe', []), result('Maria Lopez', ['4'])],
+    'v2'
+  );
+
+  expect(rows.map(row => [row.name, row.status])).toEqual([
+    ['Jane Doe', DIFF_STATUS.UNCHANGED],
+    ['John Smith', DIFF_STATUS.ERROR],
+    ['Maria Lopez', DIFF_STATUS.ONLY_IN_TARGET]
+  ]);
+  expect(diffRuns([result('Jane Doe', [])], [], 'v2')[0].status).toBe(DIFF_STATUS.ONLY_IN_BASELINE);
+});
+
+test('summarizes statuses and hit counts', () => {
+  const rows = diffRuns(
+    [result('A', ['1']), result('B', ['2']), result('C', [])],
+    [result('A', ['1', '5']), result('B', []), result('C', [])],
+    'v2'
+  );
+
+  expect(summarizeRunDiff(rows)).toEqual({ added: 1, removed: 1, [DIFF_STATUS.CHANGED]: 2, [DIFF_STATUS.UNCHANGED]: 1 });
+});
+
+test('finds the versions both runs called', () => {
+  const baseline = { versions: [{ key: 'v1_2' }, { key: 'v2' }] };
+  const target = { versions: [{ key: 'v2' }, { key: 'v3' }] };
+
+  expect(getCommonVersions(baseline, target)).toEqual([{ key: 'v2' }]);
+});
+
+test('matches hits across runs by the selected identity', () => {
+  const named = (name, ids) => ({
+    name,
+    versions: { v2: { responses: ids.map(id => ({ rulesDetails: { sdnid: id, sdnname: 'ACME Ltd' } })), _duration: 10 } }
+  });
+  const byName = { strategy: 'name', fields: [] };
+
+  const [byId] = diffRuns([named('Acme', ['1'])], [named('Acme', ['2', '3'])], 'v2');
+  const [row] = diffRuns([named('Acme', ['1'])], [named('Acme', ['2', '3'])], 'v2', { identity: byName });
+
+  expect(byId.status).toBe(DIFF_STATUS.CHANGED);
+  expect(row.status).toBe(DIFF_STATUS.UNCHANGED);
+  expect(row.unchanged.map(sdn => sdn.id)).toEqual(['1']);
+});
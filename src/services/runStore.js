@@ -0,0 +1,155 @@
+// IndexedDB persistence for batch runs, so results survive a reload or tab crash.
+// A run stores its input file name, endpoint snapshot and request payloads; each
+// result (including the raw version responses) is written as soon as it arrives.
+
+const DB_NAME = 'apiNameMatcher';
+const DB_VERSION = 1;
+const RUNS_STORE = 'runs';
+const RESULTS_STORE = 'results';
+
+export const RUN_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+let dbPromise = null;
+
+// Split a run's records into the stored results to keep and the records still to process.
+// Not-run placeholders from a cancelled run don't count as processed, so a resumed run picks up
+// every name without a real result, starting from the first unprocessed one.
+export const getResumeState = (records, storedResults) => {
+  const completed = storedResults.filter(entry => !entry.notRun);
+  const doneIndexes = new Set(completed.map(entry => entry._index));
+  const pending = records
+    .map((record, i) => ({ record, i }))
+    .filter(({ i }) => !doneIndexes.has(i));
+  return { completed, pending };
+};
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+const openDb = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(RUNS_STORE, { keyPath: 'id' });
+        const results = db.createObjectStore(RESULTS_STORE, { keyPath: ['runId', 'index'] });
+        results.createIndex('runId', 'runId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const runStore = {
+  isAvailable: () => typeof indexedDB !== 'undefined',
+
+  createRun: async ({ fileName, profile, versions, pairs, records }) => {
+    const db = await openDb();
+    const now = new Date().toISOString();
+    const run = {
+      id: `run-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      fileName,
+      // Environment profile the run was sent to (see describeProfile)
+      profile: profile || null,
+      versions,
+      pairs,
+      records,
+      total: records.length,
+      processedCount: 0,
+      status: RUN_STATUS.RUNNING,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const transaction = db.transaction(RUNS_STORE, 'readwrite');
+    transaction.objectStore(RUNS_STORE).put(run);
+    await transactionDone(transaction);
+    return run;
+  },
+
+  updateRun: async (runId, changes) => {
+    const db = await openDb();
+    const transaction = db.transaction(RUNS_STORE, 'readwrite');
+    const store = transaction.objectStore(RUNS_STORE);
+    const run = await promisify(store.get(runId));
+    if (run) {
+      store.put({ ...run, ...changes, updatedAt: new Date().toISOString() });
+    }
+    await transactionDone(transaction);
+  },
+
+  // Save one result and bump the run's processed count in the same transaction
+  saveResult: async (runId, entry) => {
+    const db = await openDb();
+    const transaction = db.transaction([RUNS_STORE, RESULTS_STORE], 'readwrite');
+    const results = transaction.objectStore(RESULTS_STORE);
+    const runs = transaction.objectStore(RUNS_STORE);
+
+    const existing = await promisify(results.get([runId, entry._index]));
+    results.put({ runId, index: entry._index, entry });
+
+    const run = await promisify(runs.get(runId));
+    if (run && !existing) {
+      runs.put({ ...run, processedCount: run.processedCount + 1, updatedAt: new Date().toISOString() });
+    }
+    await transactionDone(transaction);
+  },
+
+  // Runs, newest first, without their request payloads
+  listRuns: async () => {
+    const db = await openDb();
+    const runs = await promisify(db.transaction(RUNS_STORE).objectStore(RUNS_STORE).getAll());
+    return runs
+      .map(({ records, ...run }) => run)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  },
+
+  // Full run with its stored results in input order
+  loadRun: async (runId) => {
+    const db = await openDb();
+    const transaction = db.transaction([RUNS_STORE, RESULTS_STORE]);
+    const run = await promisify(transaction.objectStore(RUNS_STORE).get(runId));
+    if (!run) {
+      throw new Error('Run not found');
+    }
+    const stored = await promisify(transaction.objectStore(RESULTS_STORE).index('runId').getAll(runId));
+    return {
+      run,
+      results: stored.sort((a, b) => a.index - b.index).map(item => item.entry)
+    };
+  },
+
+  deleteRun: async (runId) => {
+    const db = await openDb();
+    const transaction = db.transaction([RUNS_STORE, RESULTS_STORE], 'readwrite');
+    transaction.objectStore(RUNS_STORE).delete(runId);
+    const results = transaction.objectStore(RESULTS_STORE);
+    const keys = await promisify(results.index('runId').getAllKeys(runId));
+    keys.forEach(key => results.delete(key));
+    await transactionDone(transaction);
+  }
+};
+
+export default runStore;
@@ -0,0 +1,67 @@
+import 'fake-indexeddb/auto';
+import runStore, { RUN_STATUS, getResumeState } from './runStore';
+
+const records = ['Jane Doe', 'John Smith', 'Ali Khan', 'Maria Lopez'].map(fullName => ({ fullName }));
+
+const entry = (index, extra = {}) => ({ name: records[index].fullName, _index: index, ...extra });
+
+const createRun = () => runStore.createRun({
+  fileName: 'names.xlsx',
+  profile: { id: 'default', name: 'Default' },
+  versions: [{ key: 'a', path: '/a' }, { key: 'b', path: '/b' }],
+  pairs: [{ a: 'a', b: 'b', key: 'a|b' }],
+  records
+});
+
+test('resumes from the first name without a stored result', () => {
+  const { completed, pending } = getResumeState(records, [entry(0), entry(2)]);
+
+  expect(completed.map(result => result._index)).toEqual([0, 2]);
+  expect(pending).toEqual([{ record: records[1], i: 1 }, { record: records[3], i: 3 }]);
+});
+
+test('treats not-run placeholders of a cancelled run as unprocessed', () => {
+  const { completed, pending } = getResumeState(records, [entry(0), entry(1, { notRun: true })]);
+
+  expect(completed).toHaveLength(1);
+  expect(pending.map(({ i }) => i)).toEqual([1, 2, 3]);
+});
+
+test('persists each result as it arrives and counts it once', async () => {
+  const run = await createRun();
+
+  await runStore.saveResult(run.id, entry(1));
+  await runStore.saveResult(run.id, entry(0));
+  await runStore.saveResult(run.id, entry(1, { error: 'retried' }));
+
+  const { run: stored, results } = await runStore.loadRun(run.id);
+  expect(stored).toMatchObject({ status: RUN_STATUS.RUNNING, total: 4, processedCount: 2 });
+  expect(results.map(result => result._index)).toEqual([0, 1]);
+  expect(results[1].error).toBe('retried');
+});
+
+test('picks an interrupted run up where it stopped', async () => {
+  const run = await createRun();
+  await runStore.saveResult(run.id, entry(0));
+  await runStore.saveResult(run.id, entry(1));
+
+  // A fresh load, as after a reload or a crash
+  const { run: stored, results } = await runStore.loadRun(run.id);
+  const { pending } = getResumeState(stored.records, results);
+
+  expect(pending.map(({ record }) => record.fullName)).toEqual(['Ali Khan', 'Maria Lopez']);
+});
+
+test('lists runs without their records and deletes a run with its results', async () => {
+  const run = await createRun();
+  await runStore.saveResult(run.id, entry(0));
+  await runStore.updateRun(run.id, { status: RUN_STATUS.CANCELLED });
+
+  const listed = (await runStore.listRuns()).find(item => item.id === run.id);
+  expect(listed.status).toBe(RUN_STATUS.CANCELLED);
+  expect(listed).not.toHaveProperty('records');
+
+  await runStore.deleteRun(run.id);
+  await expect(runStore.loadRun(run.id)).rejects.toThrow('Run not found');
+  expect((await runStore.listRuns()).some(item => item.id === run.id)).toBe(false);
+});
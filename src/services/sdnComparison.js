@@ -0,0 +1,180 @@
+// Helpers for comparing SDN hits returned by different matcher versions
+
+import { DEFAULT_MATCH_IDENTITY, getIdentityKey, matchesAcrossIds } from './matchIdentity';
+
+const FIELDS_STORAGE_KEY = 'comparedFields';
+
+const SDN_ID_FIELD = 'rulesDetails.sdnid';
+
+// Response fields compared on SDN hits returned by both versions (dot paths into each response item)
+export const DEFAULT_COMPARED_FIELDS = [
+  'rulesDetails.sdnname',
+  'rulesDetails.sanctionReferenceName',
+  'rulesDetails.score',
+  'rulesDetails.ruleName',
+  'rulesDetails.matchedName',
+  'score',
+  'rule'
+];
+
+export const loadComparedFields = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(FIELDS_STORAGE_KEY));
+    return Array.isArray(stored) ? stored : DEFAULT_COMPARED_FIELDS;
+  } catch (error) {
+    console.error('Error reading compared fields:', error);
+    return DEFAULT_COMPARED_FIELDS;
+  }
+};
+
+export const saveComparedFields = (fields) => {
+  const cleaned = fields.map(field => field.trim()).filter(Boolean);
+  localStorage.setItem(FIELDS_STORAGE_KEY, JSON.stringify(cleaned));
+  return cleaned;
+};
+
+export const getFieldValue = (item, path) => {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), item);
+};
+
+// `key` is the hit's identity key under the match identity it was compared with
+const toHit = (rule, key) => ({
+  id: rule.sdnid,
+  key,
+  name: rule.sdnname || 'N/A',
+  reference: rule.sanctionReferenceName || ''
+});
+
+// Extract the SDN hits of a single version response as { id, name, reference }
+export const getSdnHits = (versionData) => {
+  return (versionData?.responses || [])
+    .map(item => item.rulesDetails)
+    .filter(rule => rule?.sdnid)
+    .map(rule => toHit(rule));
+};
+
+// Every SDN hit of a version response with its identity key, duplicates included (unlike getIdentityHits).
+// Hits lacking a part of the key get a null key.
+export const getKeyedSdnHits = (versionData, identity = DEFAULT_MATCH_IDENTITY) => {
+  return (versionData?.responses || [])
+    .filter(item => item.rulesDetails?.sdnid)
+    .map(item => toHit(item.rulesDetails, getIdentityKey(item, identity)));
+};
+
+// First response item for every identity key, so duplicates are only reported once
+const getItemsByIdentity = (versionData, identity) => {
+  const items = new Map();
+  (versionData?.responses || []).forEach(item => {
+    const key = getIdentityKey(item, identity);
+    if (key && !items.has(key)) {
+      items.set(key, item);
+    }
+  });
+  return items;
+};
+
+// SDN hits of a version response with their identity keys, each entity once
+export const getIdentityHits = (versionData, identity = DEFAULT_MATCH_IDENTITY) => (
+  [...getItemsByIdentity(versionData, identity)].map(([key, item]) => toHit(item.rulesDetails, key))
+);
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Compare SDN hits between two version responses, treating hits as the same when their `identity`
+// keys match (see matchIdentity). Hits present on both sides are also compared field by field; `changed`
+// lists those whose configured fields differ, as { id, name, reference, fields: [{ path, a, b }] }.
+// When the identity doesn't include the SDN ID, a re-keyed ID is reported as a changed field too.
+export const compareSdnData = (aData, bData, { fields = DEFAULT_COMPARED_FIELDS, identity = DEFAULT_MATCH_IDENTITY } = {}) => {
+  const aItems = getItemsByIdentity(aData, identity);
+  const bItems = getItemsByIdentity(bData, identity);
+  const comparedFields = matchesAcrossIds(identity) && !fields.includes(SDN_ID_FIELD) ? [SDN_ID_FIELD, ...fields] : fields;
+
+  const onlyInA = [...aItems].filter(([key]) => !bItems.has(key)).map(([key, item]) => toHit(item.rulesDetails, key));
+  const onlyInB = [...bItems].filter(([key]) => !aItems.has(key)).map(([key, item]) => toHit(item.rulesDetails, key));
+
+  const changed = [];
+  aItems.forEach((aItem, key) => {
+    const bItem = bItems.get(key);
+    if (!bItem) return;
+
+    const changedFields = comparedFields
+      .map(path => ({ path, a: getFieldValue(aItem, path), b: getFieldValue(bItem, path) }))
+      .filter(field => !sameValue(field.a, field.b));
+    if (changedFields.length > 0) {
+      changed.push({ ...toHit(aItem.rulesDetails, key), fields: changedFields });
+    }
+  });
+
+  return { onlyInA, onlyInB, changed };
+};
+
+// Human-readable list of field changes, e.g. "rulesDetails.score: 90 → 85"
+export const describeFieldChanges = (fields) => {
+  const format = (value) => (value === undefined || value === null ? '∅' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+  return fields.map(field => `${field.path}: ${format(field.a)} → ${format(field.b)}`).join('; ');
+};
+
+export const ALL_PAIRS = 'all';
+
+export const getPairKey = (a, b) => `${a}|${b}`;
+
+// Build the list of version pairs to diff.
+// `selection` is either ALL_PAIRS or a pair key such as "v1_2|v2".
+export const getComparisonPairs = (versionKeys, selection = ALL_PAIRS) => {
+  const pairs = [];
+  for (let i = 0; i < versionKeys.length; i++) {
+    for (let j = i + 1; j < versionKeys.length; j++) {
+      pairs.push({ a: versionKeys[i], b: versionKeys[j], key: getPairKey(versionKeys[i], versionKeys[j]) });
+    }
+  }
+
+  if (selection === ALL_PAIRS) return pairs;
+  const selected = pairs.find(pair => pair.key === selection);
+  // Fall back to the first pair if the selection no longer matches the chosen versions
+  return selected ? [selected] : pairs.slice(0, 1);
+};
+
+// Compare every requested pair for a single result: { [pairKey]: { a, b, onlyInA, onlyInB, changed } }
+export const compareVersions = (versions, pairs, options) => {
+  return pairs.reduce((acc, pair) => {
+    acc[pair.key] = {
+      a: pair.a,
+      b: pair.b,
+      ...compareSdnData(versions?.[pair.a], versions?.[pair.b], options)
+    };
+    return acc;
+  }, {});
+};
+
+// Re-run the comparison on results already collected, e.g. after the compared fields or identity change
+export const recompareResults = (results, pairs, options) => results.map(result => (
+  result.versions ? { ...result, _sdnComparison: compareVersions(result.versions, pairs, options) } : result
+));
+
+export const hasDifferences = (comparisons) => {
+  return Object.values(comparisons || {}).some(
+    comparison => comparison.onlyInA.length > 0 || comparison.onlyInB.length > 0 || comparison.changed?.length > 0
+  );
+};
+
+// Columns of the diff views and exports: "Only in" for each side of every pair, then its "Changed in both".
+// Labels only name the other version when several pairs are compared, e.g. "Only in V2 (vs RC1)".
+export const buildDiffColumns = (versions, pairs) => {
+  const getLabel = (key) => versions.find(version => version.key === key)?.label || key;
+  const several = pairs.length > 1;
+
+  return pairs.flatMap(pair => [
+    {
+      label: several ? `Only in ${getLabel(pair.a)} (vs ${getLabel(pair.b)})` : `Only in ${getLabel(pair.a)}`,
+      getSdns: (result) => result._sdnComparison?.[pair.key]?.onlyInA || []
+    },
+    {
+      label: several ? `Only in ${getLabel(pair.b)} (vs ${getLabel(pair.a)})` : `Only in ${getLabel(pair.b)}`,
+      getSdns: (result) => result._sdnComparison?.[pair.key]?.onlyInB || []
+    },
+    {
+      label: several ? `Changed in both (${getLabel(pair.a)} vs ${getLabel(pair.b)})` : 'Changed in both',
+      getSdns: (result) => result._sdnComparison?.[pair.key]?.changed || []
+    }
+  ]);
+};
@@ -0,0 +1,62 @@
+import { ALL_PAIRS, buildDiffColumns, compareSdnData, compareVersions, getComparisonPairs, hasDifferences } from './sdnComparison';
+
+const response = (...ids) => ({
+  responses: ids.map(id => ({ rulesDetails: { sdnid: id, sdnname: `Name ${id}` } }))
+});
+
+test('builds all pairs or a single selected pair', () => {
+  expect(getComparisonPairs(['a', 'b', 'c'], ALL_PAIRS).map(pair => pair.key)).toEqual(['a|b', 'a|c', 'b|c']);
+  expect(getComparisonPairs(['a', 'b', 'c'], 'b|c').map(pair => pair.key)).toEqual(['b|c']);
+});
+
+test('reports SDN IDs only present on one side of each pair', () => {
+  const versions = { a: response('1', '2'), b: response('2', '3'), c: response('1', '2') };
+  const comparisons = compareVersions(versions, getComparisonPairs(['a', 'b', 'c']));
+
+  expect(comparisons['a|b'].onlyInA.map(hit => hit.id)).toEqual(['1']);
+  expect(comparisons['a|b'].onlyInB.map(hit => hit.id)).toEqual(['3']);
+  expect(comparisons['a|c'].onlyInA).toEqual([]);
+  expect(hasDifferences(comparisons)).toBe(true);
+  expect(hasDifferences({ 'a|c': comparisons['a|c'] })).toBe(false);
+});
+
+test('reports field changes on hits returned by both versions', () => {
+  const a = { responses: [{ score: 90, rulesDetails: { sdnid: '1', sdnname: 'John Smith' } }] };
+  const b = { responses: [{ score: 85, rulesDetails: { sdnid: '1', sdnname: 'John Smith' } }] };
+
+  const { onlyInA, onlyInB, changed } = compareSdnData(a, b, { fields: ['score', 'rulesDetails.sdnname'] });
+
+  expect(onlyInA).toEqual([]);
+  expect(onlyInB).toEqual([]);
+  expect(changed).toEqual([
+    { id: '1', key: '1', name: 'John Smith', reference: '', fields: [{ path: 'score', a: 90, b: 85 }] }
+  ]);
+  expect(hasDifferences({ 'a|b': { onlyInA, onlyInB, changed } })).toBe(true);
+});
+
+test('labels diff columns with the other version only when several pairs are compared', () => {
+  const versions = [{ key: 'a', label: 'V2' }, { key: 'b', label: 'V4' }, { key: 'c', label: 'RC1' }];
+  const result = { _sdnComparison: { 'a|b': { onlyInA: [{ id: '1' }], onlyInB: [], changed: [] } } };
+
+  const single = buildDiffColumns(versions, getComparisonPairs(['a', 'b']));
+  expect(single.map(column => column.label)).toEqual(['Only in V2', 'Only in V4', 'Changed in both']);
+  expect(single[0].getSdns(result)).toEqual([{ id: '1' }]);
+
+  const several = buildDiffColumns(versions, getComparisonPairs(['a', 'b', 'c']));
+  expect(several).toHaveLength(9);
+  expect(several[1].label).toBe('Only in V4 (vs V2)');
+  expect(several[5].label).toBe('Changed in both (V2 vs RC1)');
+  expect(several[3].getSdns(result)).toEqual([]);
+});
+
+test('matches re-keyed hits by name and reports the ID change', () => {
+  const a = { responses: [{ rulesDetails: { sdnid: '1', sdnname: 'SMITH, John' } }] };
+  const b = { responses: [{ rulesDetails: { sdnid: '901', sdnname: 'Smith John' } }] };
+
+  expect(compareSdnData(a, b, { fields: [] }).onlyInA.map(hit => hit.id)).toEqual(['1']);
+
+  const byName = compareSdnData(a, b, { fields: [], identity: { strategy: 'name', fields: [] } });
+  expect(byName.onlyInA).toEqual([]);
+  expect(byName.onlyInB).toEqual([]);
+  expect(byName.changed[0].fields).toEqual([{ path: 'rulesDetails.sdnid', a: '1', b: '901' }]);
+});
@@ -0,0 +1,69 @@
+// Sheet, header-row and data-range selection for workbook inputs.
+// Row numbers here are the ones shown in Excel (1-based, including rows before the sheet's used range).
+
+const isBlankRow = (row) => !row || row.every(cell => String(cell ?? '').trim() === '');
+
+export const getLastRowNumber = (sheet) => sheet.firstRowNumber + sheet.rows.length - 1;
+
+// Number of non-blank rows, shown next to each sheet name
+export const countRows = (sheet) => sheet.rows.filter(row => !isBlankRow(row)).length;
+
+// Header on the first non-blank row, data from the next row to the end of the sheet
+export const getDefaultSelection = (sheet) => {
+  const headerIndex = Math.max(0, sheet.rows.findIndex(row => !isBlankRow(row)));
+  const headerRow = sheet.firstRowNumber + headerIndex;
+  return {
+    headerRow,
+    firstRow: headerRow + 1,
+    lastRow: getLastRowNumber(sheet)
+  };
+};
+
+// Sheet-style rows (header first) for the selection, without blank data rows
+export const sliceSheetRows = (sheet, { headerRow, firstRow, lastRow }) => {
+  const toIndex = (rowNumber) => rowNumber - sheet.firstRowNumber;
+  const header = sheet.rows[toIndex(headerRow)] || [];
+  const data = sheet.rows
+    .slice(Math.max(0, toIndex(firstRow)), Math.max(0, toIndex(lastRow) + 1))
+    .filter(row => !isBlankRow(row));
+  return [header, ...data];
+};
+
+export const validateSelection = (sheet, { headerRow, firstRow, lastRow }) => {
+  const minRow = sheet.firstRowNumber;
+  const maxRow = getLastRowNumber(sheet);
+  if (headerRow < minRow || headerRow > maxRow) return `Header row must be between ${minRow} and ${maxRow}`;
+  if (firstRow <= headerRow) return 'Data must start below the header row';
+  if (lastRow < firstRow) return 'Last data row must not be before the first data row';
+  return null;
+};
+
+const normalizeName = (name) => String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Blank and duplicate names in the selected range. `firstRow` is the sheet row number of rows[0].
+export const analyzeNames = (rows, nameColumn, firstRow) => {
+  const blankRows = [];
+  const occurrences = new Map();
+
+  rows.forEach((row, idx) => {
+    const rowNumber = firstRow + idx;
+    if (isBlankRow(row)) return;
+
+    const name = String(row[nameColumn] ?? '').trim();
+    if (!name) {
+      blankRows.push(rowNumber);
+      return;
+    }
+
+    const key = normalizeName(name);
+    if (!occurrences.has(key)) {
+      occurrences.set(key, { name, rows: [] });
+    }
+    occurrences.get(key).rows.push(rowNumber);
+  });
+
+  const duplicates = [...occurrences.values()].filter(entry => entry.rows.length > 1);
+  const nameCount = [...occurrences.values()].reduce((sum, entry) => sum + entry.rows.length, 0);
+
+  return { nameCount, blankRows, duplicates };
+};
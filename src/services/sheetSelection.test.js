@@ -0,0 +1,44 @@
+import { analyzeNames, countRows, getDefaultSelection, sliceSheetRows, validateSelection } from './sheetSelection';
+
+// A compliance-style sheet starting at row 2: title, blank line, header, data and a totals footer
+const sheet = {
+  name: 'Names',
+  firstRowNumber: 2,
+  rows: [
+    ['Screening list', ''],
+    ['', ''],
+    ['Full Name', 'Country'],
+    ['John Smith', 'UK'],
+    ['', 'FR'],
+    ['john  smith', 'US'],
+    ['Jane Doe', 'DE'],
+    ['Total', '4']
+  ]
+};
+
+test('defaults to the first non-blank row as header and the rest as data', () => {
+  expect(countRows(sheet)).toBe(7);
+  expect(getDefaultSelection(sheet)).toEqual({ headerRow: 2, firstRow: 3, lastRow: 9 });
+});
+
+test('slices the header row and the chosen data range by sheet row numbers', () => {
+  const selection = { headerRow: 4, firstRow: 5, lastRow: 8 };
+
+  expect(validateSelection(sheet, selection)).toBeNull();
+  expect(validateSelection(sheet, { headerRow: 4, firstRow: 4, lastRow: 8 })).toMatch(/below the header/);
+  expect(sliceSheetRows(sheet, selection)).toEqual([
+    ['Full Name', 'Country'],
+    ['John Smith', 'UK'],
+    ['', 'FR'],
+    ['john  smith', 'US'],
+    ['Jane Doe', 'DE']
+  ]);
+});
+
+test('reports blank and duplicate names with their row numbers', () => {
+  expect(analyzeNames(sheet.rows.slice(3, 7), 0, 5)).toEqual({
+    nameCount: 3,
+    blankRows: [6],
+    duplicates: [{ name: 'John Smith', rows: [5, 7] }]
+  });
+});
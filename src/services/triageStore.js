@@ -0,0 +1,111 @@
+// Triage of divergent SDN hits: a verdict, note and reviewer per name + hit identity (the SDN ID unless
+// another match identity is selected, see matchIdentity).
+// Verdicts are stored in localStorage independently of runs, so a hit that diverges again in a
+// later run (same normalized name, same identity key) shows the earlier verdict.
+
+const STORAGE_KEY = 'triageVerdicts';
+const REVIEWER_KEY = 'triageReviewer';
+
+export const VERDICTS = {
+  EXPECTED_IMPROVEMENT: 'expected_improvement',
+  REGRESSION: 'regression',
+  FALSE_POSITIVE: 'false_positive',
+  NEEDS_REVIEW: 'needs_review'
+};
+
+export const VERDICT_LABELS = {
+  [VERDICTS.EXPECTED_IMPROVEMENT]: 'Expected improvement',
+  [VERDICTS.REGRESSION]: 'Regression',
+  [VERDICTS.FALSE_POSITIVE]: 'False positive',
+  [VERDICTS.NEEDS_REVIEW]: 'Needs review'
+};
+
+// Names are matched case-insensitively with whitespace collapsed, so re-typed inputs still match
+export const normalizeTriageName = (name) => String(name ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Identity key of a compared hit; hits from before identity keys existed fall back to their SDN ID
+export const getHitKey = (sdn) => sdn.key ?? sdn.id;
+
+export const getTriageKey = (name, hitKey) => `${normalizeTriageName(name)}|${String(hitKey ?? '').trim()}`;
+
+export const findTriage = (entries, name, hitKey) => entries[getTriageKey(name, hitKey)] || null;
+
+export const isTriaged = (entry) => Boolean(entry?.verdict);
+
+// Text appended to an SDN in exports, e.g. "Regression: dropped alias — J. Doe"
+export const describeTriage = (entry) => {
+  if (!isTriaged(entry)) return '';
+  const text = [VERDICT_LABELS[entry.verdict] || entry.verdict, entry.note].filter(Boolean).join(': ');
+  return entry.reviewer ? `${text} — ${entry.reviewer}` : text;
+};
+
+// One row per divergent SDN hit of the results, with its verdict (blank when untriaged)
+export const buildTriageRows = (results, diffColumns, entries) => {
+  return results.flatMap(result => diffColumns.flatMap(column => column.getSdns(result).map(sdn => {
+    const entry = findTriage(entries, result.name, getHitKey(sdn));
+    return {
+      'Name': result.name,
+      'Difference': column.label,
+      'SDN ID': sdn.id,
+      'SDN Name': sdn.name,
+      'Verdict': isTriaged(entry) ? VERDICT_LABELS[entry.verdict] : '',
+      'Note': entry?.note || '',
+      'Reviewer': entry?.reviewer || '',
+      'Triaged At': entry?.updatedAt || ''
+    };
+  })));
+};
+
+// Whether a result still has a divergent hit without a verdict
+export const hasUntriagedSdns = (result, diffColumns, entries) => {
+  return diffColumns.some(column => column.getSdns(result).some(sdn => !isTriaged(findTriage(entries, result.name, getHitKey(sdn)))));
+};
+
+const load = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  } catch (error) {
+    console.error('Error reading triage verdicts:', error);
+    return {};
+  }
+};
+
+const triageStore = {
+  getEntries: () => load(),
+
+  // Save the verdict and note for a name + hit identity key; clearing both removes the entry.
+  // `sdnId` is the hit's SDN ID when the key is something else. Returns all entries.
+  saveTriage: (name, hitKey, { verdict, note, reviewer, runId, sdnId = hitKey }) => {
+    const entries = load();
+    const key = getTriageKey(name, hitKey);
+    const cleanNote = String(note ?? '').trim();
+
+    if (!verdict && !cleanNote) {
+      delete entries[key];
+    } else {
+      if (verdict && !VERDICT_LABELS[verdict]) {
+        throw new Error(`Unknown verdict "${verdict}"`);
+      }
+      entries[key] = {
+        name: String(name).trim(),
+        sdnId: String(sdnId),
+        verdict: verdict || null,
+        note: cleanNote,
+        reviewer: String(reviewer ?? '').trim(),
+        runId: runId || null,
+        updatedAt: new Date().toISOString()
+      };
+    }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    return entries;
+  },
+
+  getReviewer: () => localStorage.getItem(REVIEWER_KEY) || '',
+
+  setReviewer: (reviewer) => {
+    localStorage.setItem(REVIEWER_KEY, reviewer.trim());
+  }
+};
+
+export default triageStore;
@@ -0,0 +1,59 @@
+import triageStore, {
+  VERDICTS,
+  buildTriageRows,
+  describeTriage,
+  findTriage,
+  getHitKey,
+  hasUntriagedSdns
+} from './triageStore';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+const diffColumns = [
+  { label: 'Only in V2', getSdns: (result) => result.onlyInA },
+  { label: 'Only in V4', getSdns: (result) => result.onlyInB }
+];
+
+test('carries a verdict forward to the same name and SDN ID', () => {
+  triageStore.saveTriage('John  Smith', 123, {
+    verdict: VERDICTS.REGRESSION,
+    note: ' dropped alias ',
+    reviewer: 'J. Doe',
+    runId: 'run-1'
+  });
+
+  const entries = triageStore.getEntries();
+  expect(findTriage(entries, 'john smith', '123')).toMatchObject({ verdict: 'regression', note: 'dropped alias', runId: 'run-1' });
+  expect(findTriage(entries, 'John Smith', '124')).toBeNull();
+  expect(describeTriage(findTriage(entries, 'JOHN SMITH', 123))).toBe('Regression: dropped alias — J. Doe');
+
+  triageStore.saveTriage('John Smith', 123, { verdict: '', note: '' });
+  expect(triageStore.getEntries()).toEqual({});
+  expect(() => triageStore.saveTriage('John Smith', 123, { verdict: 'maybe' })).toThrow('Unknown verdict');
+});
+
+test('builds triage rows and finds untriaged results', () => {
+  const result = { name: 'Ali Hassan', onlyInA: [{ id: '1', name: 'ALI HASSAN' }], onlyInB: [{ id: '2', name: 'HASSAN ALI' }] };
+  let entries = triageStore.saveTriage('Ali Hassan', '1', { verdict: VERDICTS.FALSE_POSITIVE, reviewer: 'Sam' });
+
+  expect(hasUntriagedSdns(result, diffColumns, entries)).toBe(true);
+  expect(buildTriageRows([result], diffColumns, entries).map(row => [row['SDN ID'], row.Verdict, row.Reviewer])).toEqual([
+    ['1', 'False positive', 'Sam'],
+    ['2', '', '']
+  ]);
+
+  entries = triageStore.saveTriage('Ali Hassan', '2', { verdict: VERDICTS.EXPECTED_IMPROVEMENT, reviewer: 'Sam' });
+  expect(hasUntriagedSdns(result, diffColumns, entries)).toBe(false);
+});
+
+test('keys verdicts on the hit identity so they follow re-keyed SDN IDs', () => {
+  const before = { name: 'Acme', onlyInA: [{ id: '1', key: 'acme ltd', name: 'ACME Ltd' }], onlyInB: [] };
+  const after = { name: 'Acme', onlyInA: [{ id: '7', key: 'acme ltd', name: 'ACME Ltd' }], onlyInB: [] };
+  const entries = triageStore.saveTriage('Acme', getHitKey(before.onlyInA[0]), { verdict: VERDICTS.REGRESSION, sdnId: '1' });
+
+  expect(hasUntriagedSdns(after, diffColumns, entries)).toBe(false);
+  expect(findTriage(entries, 'Acme', 'acme ltd').sdnId).toBe('1');
+  expect(getHitKey({ id: '5' })).toBe('5');
+});
@@ -0,0 +1,24 @@
+// Loaded by the CRA dev server (npm start) only. Leave the profile's API Base URL and Keycloak URL empty
+// so the app calls its own origin, then either:
+//   MOCK_MATCHER=true            serve the matcher and Keycloak from the local mock (mock-server/)
+//   MATCHER_PROXY_TARGET=<url>   forward them to a real environment, avoiding CORS in development
+// MOCK_FIXTURES points the mock at another fixture file.
+
+const path = require('path');
+const { createProxyMiddleware } = require('http-proxy-middleware');
+
+const PROXIED_PATHS = ['/namecheck', '/realms'];
+
+module.exports = function setupProxy(app) {
+  if (process.env.MOCK_MATCHER === 'true') {
+    const { createMockServer, DEFAULT_FIXTURES_PATH } = require('../mock-server');
+    app.use(createMockServer({ fixturesPath: process.env.MOCK_FIXTURES ? path.resolve(process.env.MOCK_FIXTURES) : DEFAULT_FIXTURES_PATH }).middleware);
+    console.log('Serving the matcher and Keycloak from the local mock server');
+  } else if (process.env.MATCHER_PROXY_TARGET) {
+    app.use(createProxyMiddleware({
+      target: process.env.MATCHER_PROXY_TARGET,
+      changeOrigin: true,
+      pathFilter: PROXIED_PATHS
+    }));
+  }
+};